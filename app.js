@@ -10,89 +10,614 @@ const cors = require('cors');
 
 // Import our modules
 const GitHubScraper = require('./services/scraper');
+const createGitHubSource = require('./services/github-source');
 const AIProcessor = require('./services/ai-processor');
 const DataStore = require('./services/data-store');
+const JobManager = require('./services/job-manager');
+const CandidateRanker = require('./services/candidate-ranker');
+const { parseResultQuery, applyResultQuery } = require('./services/result-query');
+const { parseExportQuery, flattenUser, streamExport } = require('./services/result-export');
+const RequestValidator = require('./services/request-validator');
+const ApiKeyManager = require('./services/api-keys');
+const WebhookDispatcher = require('./services/webhooks');
+const SavedSearchManager = require('./services/saved-searches');
+const logger = require('./services/logger').child({ component: 'http' });
+const metrics = require('./services/metrics');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  GitHubNotFoundError,
+  toAppError
+} = require('./services/errors');
 
 // Load environment variables
 dotenv.config();
 // Initialize Expresss
 const app = express();
-app.use(cors())
 
-// Middleware
-app.use(express.json());
+// Browsers may only call the API from the origins listed in CORS_ORIGINS
+// (comma-separated, or * for any origin); by default none are allowed
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({
+  origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  exposedHeaders: [
+    'X-Request-Id',
+    'X-Total-Count',
+    'X-Next-Cursor',
+    'Retry-After',
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset'
+  ]
+}));
+
+// Setup logging. Each request is logged as one JSON line and timed in
+// http_request_duration_seconds; everything logged while serving it shares
+// its context, which gains a request_id once a search is started.
+app.use((req, res, next) => {
+  const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+
+  logger.withContext({}, context => {
+    let logged = false;
+    const logRequest = () => {
+      if (logged) return;
+      logged = true;
+      // Route patterns keep the label set small, e.g. /api/v1/jobs/:id
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const status = res.writableFinished ? res.statusCode : 499;
+      const seconds = endTimer({ route, status });
+      logger.info('Request completed', {
+        ...context,
+        method: req.method,
+        path: req.originalUrl,
+        status,
+        duration_ms: Math.round(seconds * 1000),
+        api_key_id: req.apiKey?.id
+      });
+    };
+    // A client that disconnects first (e.g. from an event stream) only closes the response
+    res.on('finish', logRequest);
+    res.on('close', logRequest);
+    next();
+  });
+});
 
-// Setup logging
 const accessLogStream = fs.createWriteStream(
   path.join(__dirname, 'access.log'), 
   { flags: 'a' }
 );
 app.use(morgan('combined', { stream: accessLogStream }));
-app.use(morgan('dev'));
+
+// Middleware
+app.use(express.json());
 
 // Initialize our components
 const dataStore = new DataStore();
-const scraper = new GitHubScraper();
-const aiProcessor = new AIProcessor();
+const scraper = createGitHubSource();
+const aiProcessor = new AIProcessor({ cache: dataStore });
+const jobManager = new JobManager(dataStore, scraper, aiProcessor);
+const candidateRanker = new CandidateRanker({ aiProcessor });
+const validator = new RequestValidator(swaggerDocument);
+const apiKeys = new ApiKeyManager({ dataStore });
+const webhooks = new WebhookDispatcher({ dataStore });
+const savedSearches = new SavedSearchManager({ dataStore, jobManager, apiKeys, webhooks });
 
 // Swagger API documentation
 app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
 
+// Prometheus metrics, outside /api/v1 so scrapers need no API key; keep the
+// port private or restrict /metrics at the proxy in public deployments
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.MetricsRegistry.CONTENT_TYPE).send(metrics.registry.render());
+});
+
+// API routes need an API key, except health checks and the admin routes,
+// which check for the admin key themselves. Each request counts against the
+// key's daily quota, apart from checking that quota at /usage.
+app.use('/api/v1', (req, res, next) => {
+  if (req.path.startsWith('/admin/') || req.path.startsWith('/health/')) return next();
+
+  req.apiKey = apiKeys.authenticate(ApiKeyManager.readApiKey(req));
+  req.meter = apiKeys.meter(req.apiKey);
+
+  if (req.apiKey && req.path !== '/usage') {
+    const quota = apiKeys.consumeRequest(req.apiKey);
+    if (quota.limit !== null) {
+      res.set({
+        'X-RateLimit-Limit': String(quota.limit),
+        'X-RateLimit-Remaining': String(quota.remaining),
+        'X-RateLimit-Reset': String(Math.floor(Date.parse(quota.resets_at) / 1000))
+      });
+    }
+  }
+  next();
+});
+
+function requireAdmin(req, res, next) {
+  apiKeys.assertAdmin(ApiKeyManager.readApiKey(req));
+  next();
+}
+
+/**
+ * Check the prompt template and AI provider a request asks for, and that its
+ * API key has AI calls left, before any scraping starts
+ * @param {Object} req - Express request
+ * @param {Object} [options]
+ * @param {string} [options.location] - Where the AI options are, "query" or "body"
+ * @param {boolean} [options.needsProvider] - Whether the request will call the provider
+ * @throws {ValidationError|AIProviderUnavailableError|QuotaExceededError}
+ */
+function checkAIOptions(req, { location = 'query', needsProvider = true } = {}) {
+  const { provider, template } = req[location];
+  if (template && !aiProcessor.hasTemplate(template)) {
+    const message = `Unknown prompt template: ${template}`;
+    throw new ValidationError(message, { details: [{ in: location, field: 'template', message }] });
+  }
+  if (needsProvider) {
+    aiProcessor.assertAvailable(provider);
+    req.meter?.assertAvailable();
+  }
+}
+
+/**
+ * Pipeline options for a search job started by a request
+ * @param {Object} req - Express request
+ * @param {Object} params - Search parameters, req.query or req.body
+ * @returns {Object} - Options for JobManager#createJob
+ */
+function jobOptions(req, params) {
+  return {
+    provider: params.provider,
+    skipAiCache: params.skip_ai_cache,
+    template: params.template,
+    apiKeyId: req.apiKey?.id,
+    meter: req.meter
+  };
+}
+
+/**
+ * Parse result filter, sort, pagination and export parameters
+ * @param {Object} query - Request query parameters
+ * @returns {{selection: Object, output: Object}} - Options for applyResultQuery
+ *   and the export format
+ * @throws {ValidationError}
+ */
+function parseResultOptions(query) {
+  return { selection: parseResultQuery(query), output: parseExportQuery(query) };
+}
+
+/**
+ * Send a stored or fresh result narrowed to the requested users, as JSON
+ * (where `total` counts matching users and `count` those returned) or as a
+ * streamed NDJSON or CSV export
+ * @param {Object} res - Express response
+ * @param {Object} result - Result with request_id, query, count and results
+ * @param {Object} options - Options from parseResultOptions
+ * @param {Object} [extra] - Additional JSON response properties
+ * @returns {Promise<void>|void}
+ */
+function sendResult(res, result, { selection, output }, extra = {}) {
+  const page = applyResultQuery(result.results, selection);
+
+  if (output.format === 'json') {
+    const results = output.fields ? page.results.map(user => flattenUser(user, output.fields)) : page.results;
+    return res.json({ ...result, ...page, count: results.length, results, ...extra });
+  }
+
+  // Exports have no envelope, so the result metadata goes into headers
+  res.set({ 'X-Request-Id': result.request_id, 'X-Total-Count': String(page.total) });
+  if (page.next_cursor) res.set('X-Next-Cursor', page.next_cursor);
+  return streamExport(res, page.results, { ...output, filename: `github-users-${result.request_id}` });
+}
+
+/**
+ * A stored request the API key making the call may see. Requests belong to
+ * the key that started them; other keys' requests are reported as missing,
+ * as saved searches are.
+ * @param {Object} req - Express request
+ * @param {string} requestId - Request ID
+ * @returns {Object}
+ * @throws {NotFoundError}
+ */
+function getOwnRequest(req, requestId) {
+  const request = dataStore.getRequest(requestId);
+  if (!request || (req.apiKey && request.api_key_id !== req.apiKey.id)) {
+    throw new NotFoundError(`Request ${requestId} not found`);
+  }
+  return request;
+}
+
+/**
+ * The failure of a finished job as an error carrying its request ID
+ * @param {Object} job - Failed job
+ * @returns {AppError}
+ */
+function jobFailure(job) {
+  job.failure.requestId = job.id;
+  return job.failure;
+}
+
 // Routes
-app.get('/api/v1/github/users', async (req, res) => {
-    console.log("starting request");
-   // console.log(`Received request for query: ${query}, pages: ${pages}`);
+app.get('/api/v1/github/users', validator.middleware('/github/users'), async (req, res, next) => {
   try {
-    const query = req.query.query || 'javascript developer';
-    const pages = parseInt(req.query.pages || 3);
-    
-    // Log request
-    const requestId = dataStore.logRequest(query, pages);
-    console.info(`Processing request ${requestId} for query: ${query}, pages: ${pages}`);
-    
-    // Scrape GitHub users
-    const users = await scraper.searchUsers(query, pages);
-    console.info(`Found ${users.length} users for query: ${query}`);
-    
-    // Process with AI
-    const enrichedUsers = [];
-    for (const user of users) {
-      try {
-        // Get AI insights
-        const aiInsights = await aiProcessor.processUser(user);
-        user.ai_insights = aiInsights;
-        enrichedUsers.push(user);
-      } catch (error) {
-        console.error(`Error processing user ${user.username}: ${error.message}`);
-        user.ai_insights = { error: error.message };
-        enrichedUsers.push(user);
-      }
+    checkAIOptions(req);
+    const resultOptions = parseResultOptions(req.query);
+
+    const job = jobManager.createJob(req.query.query, req.query.pages, jobOptions(req, req.query));
+    await jobManager.runJob(job);
+
+    if (job.status === JobManager.JOB_STATUS.FAILED) throw jobFailure(job);
+
+    await sendResult(res, job.result, resultOptions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stream a search as Server-Sent Events: scrape progress per page, each
+// profile as it is scraped, each AI insight as it resolves, then a summary
+app.get('/api/v1/github/users/stream', validator.middleware('/github/users/stream'), (req, res) => {
+  checkAIOptions(req);
+
+  const { query, pages } = req.query;
+  const job = jobManager.createJob(query, pages, jobOptions(req, req.query));
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const listeners = ['status', 'page', 'profile', 'insight', 'summary'].map(event => {
+    const listener = data => send(event, data);
+    job.events.on(event, listener);
+    return [event, listener];
+  });
+
+  // Comment lines keep proxies from closing an idle stream during long scrapes
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  // The job keeps running if the client disconnects; its results are still stored
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    listeners.forEach(([event, listener]) => job.events.off(event, listener));
+  });
+
+  send('accepted', { request_id: job.id, query, pages });
+  jobManager.runJob(job).finally(() => res.end());
+});
+
+// Look up a single user by username, skipping the search step
+app.get('/api/v1/github/users/:username', validator.middleware('/github/users/{username}'), async (req, res, next) => {
+  const { username } = req.params;
+
+  let requestId = null;
+  try {
+    if (!GitHubScraper.USERNAME_PATTERN.test(username)) {
+      const message = `Invalid GitHub username: ${username}`;
+      throw new ValidationError(message, { details: [{ in: 'path', field: 'username', message }] });
+    }
+    checkAIOptions(req);
+
+    const query = `user:${username}`;
+    requestId = dataStore.logRequest(query, 0, { apiKeyId: req.apiKey?.id });
+    logger.annotate({ request_id: requestId });
+
+    dataStore.updateRequest(requestId, { status: 'scraping' });
+    const profile = await scraper.scrapeUserProfile(scraper.createUserStub(username), {
+      refresh: req.query.refresh,
+      throwOnError: true
+    });
+
+    dataStore.updateRequest(requestId, { status: 'enriching' });
+    const insights = await aiProcessor.processUser(profile, {
+      provider: req.query.provider,
+      skipCache: req.query.skip_ai_cache,
+      template: req.query.template,
+      meter: req.meter
+    });
+    const user = { ...profile, ai_insights: insights };
+
+    dataStore.saveResults({
+      request_id: requestId,
+      query,
+      count: 1,
+      results: [user]
+    });
+    dataStore.logResponse(requestId, 1);
+
+    res.json({ request_id: requestId, ...user });
+  } catch (err) {
+    const error = err instanceof GitHubNotFoundError
+      ? new GitHubNotFoundError(`GitHub user ${username} not found`, { cause: err })
+      : toAppError(err);
+    if (requestId) {
+      logger.error('Error looking up user', { username, error: err });
+      dataStore.logFailure(requestId, err.message);
+      error.requestId = requestId;
     }
-    
-    
-    result={
-        request_id: requestId,
-        query: query,
-        count: enrichedUsers.length,
-        results: enrichedUsers
-      }
-    // Save results
-    dataStore.saveResults(result);
-    res.json(result);
+    next(error);
+  }
+});
+
+// Start a search in the background and return its request ID immediately
+app.post('/api/v1/jobs', validator.middleware('/jobs', 'post'), (req, res) => {
+  checkAIOptions(req, { location: 'body' });
+
+  const job = jobManager.createJob(req.body.query, req.body.pages, jobOptions(req, req.body));
+
+  res.status(202).json({
+    request_id: job.id,
+    status: job.status,
+    status_url: `/api/v1/jobs/${job.id}`
+  });
+
+  jobManager.runJob(job);
+});
+
+app.get('/api/v1/jobs/:id', validator.middleware('/jobs/{id}'), (req, res) => {
+  const job = jobManager.getJob(req.params.id, req.apiKey);
+
+  if (!job) throw new NotFoundError(`Job ${req.params.id} not found`);
+
+  res.json(job);
+});
+
+
+// Request history
+app.get('/api/v1/requests', validator.middleware('/requests'), (req, res) => {
+  const { limit, offset } = req.query;
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+
+  const { total, requests } = dataStore.findRequests({
+    query: req.query.query,
+    status: req.query.status,
+    from,
+    to,
+    apiKeyId: req.apiKey?.id,
+    limit,
+    offset
+  });
+
+  res.json({
+    total,
+    count: requests.length,
+    limit,
+    offset,
+    requests
+  });
+});
+
+app.get('/api/v1/requests/:id/results', validator.middleware('/requests/{id}/results'), async (req, res, next) => {
+  try {
+    const resultOptions = parseResultOptions(req.query);
+
+    const request = getOwnRequest(req, req.params.id);
+
+    const result = dataStore.getResult(req.params.id);
+    if (!result) {
+      throw new NotFoundError(`No stored results for request ${req.params.id} (status: ${request.status})`);
+    }
+
+    await sendResult(res, result, resultOptions, { source: "cache" });
   } catch (error) {
-    console.error(`Error in searchGitHubUsers: ${error.message}`);
-    res.status(500).json({
-       msg: "Internal server error",
-      status: "error"
+    next(error);
+  }
+});
+
+
+// Rank the users of a stored request, or of a new search, against a job
+app.post('/api/v1/rankings', validator.middleware('/rankings', 'post'), async (req, res, next) => {
+  try {
+    const ranking = CandidateRanker.parseRankingRequest(req.body);
+    if (!req.body.request_id && !req.body.query) {
+      const message = 'Provide the request_id of a stored search or a query to search for';
+      throw new ValidationError(message, { details: [{ in: 'body', field: 'request_id', message }] });
+    }
+    checkAIOptions(req, { location: 'body', needsProvider: Boolean(req.body.query) || ranking.mode === 'llm' });
+
+    let result;
+    if (req.body.request_id) {
+      getOwnRequest(req, req.body.request_id);
+      result = dataStore.getResult(req.body.request_id);
+      if (!result) throw new NotFoundError(`No stored results for request ${req.body.request_id}`);
+    } else {
+      const job = jobManager.createJob(req.body.query, req.body.pages, jobOptions(req, req.body));
+      await jobManager.runJob(job);
+      if (job.status === JobManager.JOB_STATUS.FAILED) throw jobFailure(job);
+      result = job.result;
+    }
+
+    const { mode, criteria, rankings } = await candidateRanker.rank(result.results, ranking, {
+      mode: ranking.mode,
+      provider: req.body.provider,
+      meter: req.meter
+    });
+    const page = req.body.limit === undefined ? rankings : rankings.slice(0, req.body.limit);
+
+    res.json({
+      request_id: result.request_id,
+      query: result.query,
+      mode,
+      criteria,
+      total: rankings.length,
+      count: page.length,
+      rankings: page
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+
+// Profile history for a user across all stored requests
+app.get('/api/v1/users/:username/history', validator.middleware('/users/{username}/history'), (req, res) => {
+  const history = dataStore.getUserHistory(req.params.username, req.apiKey);
+
+  if (!history) throw new NotFoundError(`No stored profile for user ${req.params.username}`);
+
+  res.json(history);
+});
+
+app.get('/api/v1/prompt-templates', (req, res) => {
+  res.json(aiProcessor.templates.list());
+});
+
+app.get('/api/v1/scraper/selectors', (req, res) => {
+  if (!scraper.selectorConfig) {
+    throw new NotFoundError("HTML scraping is not in use; the GitHub API data source is configured");
+  }
+
+  res.json(scraper.selectorConfig.getStats());
+});
+
+app.get('/api/v1/health/scraper', (req, res) => {
+  res.json(scraper.getHealth());
+});
+
+// Quotas, daily usage and searches of the API key making the request
+app.get('/api/v1/usage', validator.middleware('/usage'), (req, res) => {
+  if (!req.apiKey) {
+    throw new ForbiddenError('Usage is tracked per API key; this request was not made with one');
   }
+
+  res.json(apiKeys.usage(req.apiKey.id, req.query));
+});
+
+// Saved searches run on a schedule, scoped to the API key that created them
+app.post('/api/v1/saved-searches', validator.middleware('/saved-searches', 'post'), (req, res) => {
+  checkAIOptions(req, { location: 'body', needsProvider: false });
+  res.status(201).json(savedSearches.create(req.apiKey, req.body));
+});
+
+app.get('/api/v1/saved-searches', (req, res) => {
+  const searches = savedSearches.list(req.apiKey);
+  res.json({ count: searches.length, saved_searches: searches });
+});
+
+app.get('/api/v1/saved-searches/:id', validator.middleware('/saved-searches/{id}'), (req, res) => {
+  res.json(savedSearches.get(req.apiKey, req.params.id));
+});
+
+app.patch('/api/v1/saved-searches/:id', validator.middleware('/saved-searches/{id}', 'patch'), (req, res) => {
+  checkAIOptions(req, { location: 'body', needsProvider: false });
+  res.json(savedSearches.update(req.apiKey, req.params.id, req.body));
+});
+
+app.delete('/api/v1/saved-searches/:id', validator.middleware('/saved-searches/{id}', 'delete'), (req, res) => {
+  savedSearches.remove(req.apiKey, req.params.id);
+  res.status(204).end();
+});
+
+// Run a saved search now; the run is compared with the previous one as usual
+app.post('/api/v1/saved-searches/:id/runs', validator.middleware('/saved-searches/{id}/runs', 'post'), (req, res) => {
+  const search = savedSearches.get(req.apiKey, req.params.id);
+  aiProcessor.assertAvailable(search.provider ?? undefined);
+  req.meter?.assertAvailable();
+
+  const run = savedSearches.runNow(req.apiKey, req.params.id, { meter: req.meter });
+  res.status(202).json({
+    ...run,
+    status_url: `/api/v1/saved-searches/${req.params.id}/runs/${run.id}`
+  });
+});
+
+app.get('/api/v1/saved-searches/:id/runs', validator.middleware('/saved-searches/{id}/runs'), (req, res) => {
+  res.json(savedSearches.listRuns(req.apiKey, req.params.id, req.query));
+});
+
+app.get('/api/v1/saved-searches/:id/runs/:runId', validator.middleware('/saved-searches/{id}/runs/{runId}'), (req, res) => {
+  res.json(savedSearches.getRun(req.apiKey, req.params.id, req.params.runId));
+});
+
+// Webhook delivery log of a saved search
+app.get('/api/v1/saved-searches/:id/deliveries', validator.middleware('/saved-searches/{id}/deliveries'), (req, res) => {
+  res.json(savedSearches.listDeliveries(req.apiKey, req.params.id, req.query));
+});
+
+
+// API key management, with the admin key
+app.post('/api/v1/admin/api-keys', requireAdmin, validator.middleware('/admin/api-keys', 'post'), (req, res) => {
+  res.status(201).json(apiKeys.create(req.body));
+});
+
+app.get('/api/v1/admin/api-keys', requireAdmin, (req, res) => {
+  const keys = apiKeys.list();
+  res.json({ count: keys.length, api_keys: keys });
+});
+
+app.delete('/api/v1/admin/api-keys/:id', requireAdmin, validator.middleware('/admin/api-keys/{id}', 'delete'), (req, res) => {
+  res.json(apiKeys.revoke(req.params.id));
+});
+
+app.get('/api/v1/admin/api-keys/:id/usage', requireAdmin, validator.middleware('/admin/api-keys/{id}/usage'), (req, res) => {
+  res.json(apiKeys.usage(req.params.id, req.query));
+});
+
+// Scraper HTTP cache, with the admin key
+app.get('/api/v1/admin/scraper-cache', requireAdmin, async (req, res, next) => {
+  try {
+    res.json(await scraper.httpCache.stats());
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/admin/scraper-cache/entries', requireAdmin, validator.middleware('/admin/scraper-cache/entries'), async (req, res, next) => {
+  try {
+    const { prefix, kind, limit, offset } = req.query;
+    const { total, entries } = await scraper.httpCache.list({ prefix, kind, limit, offset });
+    res.json({ total, count: entries.length, limit, offset, entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Purge one entry by key, every entry under a key prefix, or everything
+app.delete('/api/v1/admin/scraper-cache/entries', requireAdmin, validator.middleware('/admin/scraper-cache/entries', 'delete'), async (req, res, next) => {
+  try {
+    const purged = await scraper.httpCache.purge({ key: req.query.key, prefix: req.query.prefix });
+    res.json({ purged });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use('/api', (req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.originalUrl}`));
+});
+
+// Every error response follows ErrorResponse in swagger.json; unexpected
+// errors are logged and reported without their internal message
+app.use((err, req, res, next) => {
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    logger.error('Request failed', { method: req.method, path: req.originalUrl, error: err });
+  }
+
+  // A streamed export that fails midway can only be cut off
+  if (res.headersSent) return res.destroy();
+
+  if (error.retryAfter !== undefined) res.set('Retry-After', String(error.retryAfter));
+  res.status(error.status).json(error);
 });
 
 
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info('Server running', { port: Number(PORT) });
+  savedSearches.start();
 });
 
 module.exports = app;
\ No newline at end of file
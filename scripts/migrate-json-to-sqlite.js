@@ -0,0 +1,112 @@
+// scripts/migrate-json-to-sqlite.js
+// Imports data/requests.json, data/results.json, the API keys with their
+// usage and the saved searches with their runs and webhook deliveries into
+// the SQLite database. Requests, API keys and saved searches that already
+// exist in the database are skipped, so the script can be re-run safely.
+// The JSON files are only read: data in an older format is upgraded in
+// memory for the import.
+//
+// Usage: npm run migrate:sqlite -- [--data-dir <dir>] [--db <file>]
+const path = require('path');
+const dotenv = require('dotenv');
+const { JsonFileStorage, SqliteStorage } = require('../services/storage');
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--data-dir') args.dataDir = argv[++i];
+    else if (argv[i] === '--db') args.file = argv[++i];
+  }
+  return args;
+}
+
+function migrate({ dataDir, file }) {
+  const source = new JsonFileStorage({ dataDir, readOnly: true });
+  const target = new SqliteStorage({ file });
+
+  const stats = { apiKeys: 0, requests: 0, results: 0, savedSearches: 0, skipped: 0 };
+
+  const run = target.db.transaction(() => {
+    for (const apiKey of source.listApiKeys()) {
+      if (target.getApiKey(apiKey.id)) continue;
+      target.insertApiKey(apiKey);
+      for (const { date, ...counts } of source.getUsage(apiKey.id)) {
+        target.incrementUsage(apiKey.id, date, counts);
+      }
+      stats.apiKeys++;
+    }
+
+    const requestIds = new Set();
+
+    for (const request of source.listRequests()) {
+      if (target.getRequest(request.id)) {
+        stats.skipped++;
+        continue;
+      }
+      target.insertRequest(request);
+      requestIds.add(request.id);
+      stats.requests++;
+    }
+
+    for (const result of source.listResults()) {
+      // Results saved before their request was logged still need a parent row
+      if (!target.getRequest(result.request_id)) {
+        target.insertRequest({
+          id: result.request_id,
+          query: result.query,
+          pages: null,
+          timestamp: new Date().toISOString(),
+          status: 'completed',
+          result_count: result.count
+        });
+        requestIds.add(result.request_id);
+        stats.requests++;
+      }
+
+      if (!requestIds.has(result.request_id)) continue;
+
+      const request = target.getRequest(result.request_id);
+      target.saveResult(result, request.completed_at || request.timestamp);
+      stats.results++;
+    }
+
+    for (const search of source.listSavedSearches()) {
+      if (target.getSavedSearch(search.id)) continue;
+      target.insertSavedSearch(search);
+
+      // Both are listed newest first
+      const { runs } = source.findSearchRuns({ savedSearchId: search.id, limit: Infinity, offset: 0 });
+      runs.reverse().forEach(searchRun => target.insertSearchRun(searchRun));
+      const { deliveries } = source.findWebhookDeliveries({ savedSearchId: search.id, limit: Infinity, offset: 0 });
+      deliveries.reverse().forEach(delivery => target.insertWebhookDelivery(delivery));
+      stats.savedSearches++;
+    }
+  });
+
+  try {
+    run();
+  } finally {
+    target.close();
+  }
+
+  return stats;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const dataDir = args.dataDir || path.join(__dirname, '..', 'data');
+  const file = args.file || process.env.SQLITE_DB_PATH || path.join(dataDir, 'insights.db');
+
+  try {
+    console.info(`Migrating JSON data from ${dataDir} into ${file}`);
+    const stats = migrate({ dataDir, file });
+    console.info(`Imported ${stats.apiKeys} API keys, ${stats.requests} requests, ${stats.results} results and ${stats.savedSearches} saved searches (${stats.skipped} requests already present)`);
+  } catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = migrate;
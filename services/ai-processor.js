@@ -1,252 +1,610 @@
 // services/ai-processor.js
-const axios = require('axios');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
 const { performance } = require('perf_hooks');
+const { createProvider, providerNames } = require('./ai-providers');
+const RateLimiter = require('./rate-limiter');
+const PromptTemplates = require('./prompt-templates');
+const { summarizeContributions } = require('./profile-stats');
+const { SCHEMA_VERSION, INSIGHT_FIELDS, toJsonSchema, validateInsights } = require('./insights-schema');
+const { AppError, AIError, AIProviderUnavailableError, AIRateLimitError, toAppError } = require('./errors');
+const logger = require('./logger').child({ component: 'ai' });
+const metrics = require('./metrics');
 
 dotenv.config();
 
+// Response format for scoring a candidate against a job
+const RANKING_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer', description: 'Overall match from 0 (no fit) to 100 (perfect fit)' },
+    criteria: {
+      type: 'array',
+      description: 'One entry per job requirement',
+      items: {
+        type: 'object',
+        properties: {
+          criterion: { type: 'string', description: 'The requirement' },
+          matched: { type: 'boolean', description: 'Whether the candidate meets it' },
+          explanation: { type: 'string', description: 'Evidence from the profile' }
+        },
+        required: ['criterion', 'matched', 'explanation'],
+        additionalProperties: false
+      }
+    },
+    summary: { type: 'string', description: "One or two sentences on the candidate's fit" }
+  },
+  required: ['score', 'criteria', 'summary'],
+  additionalProperties: false
+};
+
 class AIProcessor {
-  constructor() {
-    // Gemini API key from .env
-    this.geminiApiKey = process.env.GEMINI_API_KEY;
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.cache] - Insight cache with getCachedInsights(key) and
+   *   saveCachedInsights(key, insights, ttlMs), e.g. the DataStore
+   * @param {PromptTemplates} [options.templates] - Named prompt templates
+   */
+  constructor({ cache = null, templates = new PromptTemplates() } = {}) {
+    // Provider used when a request doesn't name one (gemini, openai, ollama or mock)
+    this.defaultProvider = process.env.AI_PROVIDER || 'gemini';
+    if (!this.hasProvider(this.defaultProvider)) {
+      throw new Error(`Unknown AI_PROVIDER "${this.defaultProvider}". Expected one of: ${providerNames.join(', ')}`);
+    }
+    this.providers = new Map();
+    this.templates = templates;
+
+    // Parsed insights are cached by prompt, provider and model; 0 disables the cache
+    this.cache = cache;
+    this.cacheTtlMs = parseFloat(process.env.AI_CACHE_TTL_HOURS ?? 168) * 60 * 60 * 1000;
 
-    // Rate limit handling
+    // Rate limit handling: up to `concurrency` requests in flight, each provider
+    // limited to its own requests/tokens per minute
     this.requestQueue = [];
-    this.processingQueue = false;
-    this.rateLimitDelay = 1000; // 1 second between requests
+    this.activeRequests = 0;
+    this.concurrency = Math.max(1, parseInt(process.env.AI_CONCURRENCY || 4));
+    this.requestsPerMinute = parseFloat(process.env.AI_REQUESTS_PER_MINUTE) || Infinity;
+    this.tokensPerMinute = parseFloat(process.env.AI_TOKENS_PER_MINUTE) || Infinity;
+    this.limiters = new Map();
+
+    // Retries use exponential backoff with full jitter, or the provider's Retry-After
+    this.maxRetries = parseInt(process.env.AI_MAX_RETRIES || 3);
+    this.retryBaseDelay = 1000;
+    this.retryMaxDelay = 60000;
+  }
+
+  /**
+   * Check whether a provider name is supported
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  hasProvider(name) {
+    return providerNames.includes(name);
+  }
+
+  /**
+   * Check whether a prompt template exists
+   * @param {string} name - Template name
+   * @returns {boolean}
+   */
+  hasTemplate(name) {
+    return this.templates.has(name);
+  }
+
+  /**
+   * Get a provider instance, creating it on first use
+   * @param {string} [name] - Provider name, defaults to the configured provider
+   * @returns {Object} - Provider with name, model and generate(prompt)
+   */
+  getProvider(name = this.defaultProvider) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createProvider(name));
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Fail fast when a provider can't be used, before any scraping starts
+   * @param {string} [name] - Provider name, defaults to the configured provider
+   * @throws {AIProviderUnavailableError} - If the provider is missing credentials
+   */
+  assertAvailable(name = this.defaultProvider) {
+    if (!this.getProvider(name).isConfigured()) {
+      throw new AIProviderUnavailableError(`AI provider "${name}" is not configured; set its API key or choose another provider`);
+    }
   }
 
-  async processUser(user) {
+  /**
+   * Generate AI insights for a user
+   * @param {Object} user - Scraped user
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Provider overriding the configured default
+   * @param {boolean} [options.skipCache] - Ignore cached insights and call the AI
+   * @param {string} [options.template] - Prompt template overriding the configured default
+   * @param {Object} [options.meter] - Quota counter from ApiKeyManager#meter, charged
+   *   for each provider call
+   * @returns {Promise<Object>} - Insights with cache_hit, or an error object
+   */
+  async processUser(user, { provider: providerName, skipCache = false, template: templateName, meter = null } = {}) {
     const startTime = performance.now();
-    console.info(`Processing user ${user.username} with AI`);
+    logger.debug('Processing user with AI', { username: user.username });
 
+    let template = null;
     try {
-      const userContent = this.prepareUserContent(user);
-      const prompt = this.createPrompt(userContent);
-      const aiResponse = await this.queueAIRequest(prompt);
-      const insights = this.parseAIResponse(aiResponse);
+      template = this.templates.get(templateName);
+      const provider = this.getProvider(providerName);
+      const prompt = this.createPrompt(user, template);
+      const schema = toJsonSchema(template.fields);
+
+      const cacheKey = this.getCacheKey(prompt, provider, template);
+      const useCache = this.cache && this.cacheTtlMs > 0;
+      if (useCache && !skipCache) {
+        const cached = this.cache.getCachedInsights(cacheKey);
+        metrics.aiCacheLookups.inc({ kind: 'insights', result: cached ? 'hit' : 'miss' });
+        if (cached) {
+          logger.debug('AI cache hit', { username: user.username });
+          return { ...cached, cache_hit: true };
+        }
+      }
+
+      meter?.consume();
+      let aiResponse = await this.queueAIRequest(prompt, provider, { schema });
+      let parsed = this.parseAIResponse(aiResponse, template.fields);
+      let repaired = false;
+
+      // One repair round: show the model its output and what was wrong with it
+      if (!parsed.valid) {
+        metrics.aiParseFailures.inc({ provider: provider.name, kind: 'insights', attempt: 'initial' });
+        logger.warn('AI response failed validation, requesting repair', { username: user.username, validation_errors: parsed.errors });
+        const repairPrompt = this.createRepairPrompt(prompt, aiResponse, parsed.errors);
+        meter?.consume();
+        aiResponse = await this.queueAIRequest(repairPrompt, provider, { schema });
+        parsed = this.parseAIResponse(aiResponse, template.fields);
+        repaired = true;
+      }
+
+      const metadata = {
+        raw_response: aiResponse,
+        schema_version: SCHEMA_VERSION,
+        provider: provider.name,
+        model: provider.model,
+        template: template.name,
+        template_version: template.version,
+        repaired,
+        timestamp: new Date().toISOString()
+      };
+
+      if (!parsed.valid) {
+        metrics.aiParseFailures.inc({ provider: provider.name, kind: 'insights', attempt: 'repair' });
+        logger.error('AI response still invalid after repair', { username: user.username, validation_errors: parsed.errors });
+        return {
+          error: 'AI response failed schema validation',
+          status: 'error',
+          validation_errors: parsed.errors,
+          ...metadata
+        };
+      }
+
+      const insights = { ...parsed.value, ...metadata };
+      if (useCache) this.cache.saveCachedInsights(cacheKey, insights, this.cacheTtlMs);
 
       const endTime = performance.now();
-      console.info(`AI processing for ${user.username} completed in ${((endTime - startTime) / 1000).toFixed(2)} seconds`);
+      logger.info('AI processing completed', { username: user.username, duration_seconds: Number(((endTime - startTime) / 1000).toFixed(2)), repaired });
 
-      return insights;
+      return { ...insights, cache_hit: false };
     } catch (error) {
-      console.error(`Error in AI processing for user ${user.username}: ${error.message}`);
+      logger.error('Error in AI processing', { username: user.username, error });
       return {
         error: error.message,
+        error_code: toAppError(error).code,
         status: 'error',
+        schema_version: SCHEMA_VERSION,
+        template: template?.name ?? templateName ?? null,
+        template_version: template?.version ?? null,
         timestamp: new Date().toISOString()
       };
     }
   }
 
-  prepareUserContent(user) {
-    let content = `GitHub Username: ${user.username}\n`;
+  /**
+   * Ask the AI to score how well a user matches a job
+   * @param {Object} user - Enriched user
+   * @param {Object} job
+   * @param {string} [job.description] - Free-text job description
+   * @param {Array<Object>} [job.criteria] - Weighted requirements ({type, value, weight})
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Provider overriding the configured default
+   * @param {Object} [options.meter] - Quota counter charged for each provider call
+   * @returns {Promise<Object>} - score, matches, summary, provider and model, or score null and an error
+   */
+  async scoreCandidate(user, { description = null, criteria = [] }, { provider: providerName, meter = null } = {}) {
+    try {
+      const provider = this.getProvider(providerName);
+      const prompt = this.createRankingPrompt(this.prepareUserContent(user), user.ai_insights, { description, criteria });
+      const options = { schema: RANKING_SCHEMA, schemaName: 'ranking' };
+
+      const cacheKey = this.getCacheKey(prompt, provider);
+      const useCache = this.cache && this.cacheTtlMs > 0;
+      let result = useCache ? this.cache.getCachedInsights(cacheKey) : null;
+      if (useCache) metrics.aiCacheLookups.inc({ kind: 'ranking', result: result ? 'hit' : 'miss' });
+
+      if (!result) {
+        meter?.consume();
+        let aiResponse = await this.queueAIRequest(prompt, provider, options);
+        let parsed = this.parseRankingResponse(aiResponse);
+
+        if (!parsed.valid) {
+          metrics.aiParseFailures.inc({ provider: provider.name, kind: 'ranking', attempt: 'initial' });
+          logger.warn('AI ranking failed validation, requesting repair', { username: user.username, validation_errors: parsed.errors });
+          meter?.consume();
+          aiResponse = await this.queueAIRequest(this.createRepairPrompt(prompt, aiResponse, parsed.errors), provider, options);
+          parsed = this.parseRankingResponse(aiResponse);
+          if (!parsed.valid) metrics.aiParseFailures.inc({ provider: provider.name, kind: 'ranking', attempt: 'repair' });
+        }
+        if (!parsed.valid) throw new Error(`AI ranking failed schema validation: ${parsed.errors.join('; ')}`);
 
-    if (user.display_name) content += `Display Name: ${user.display_name}\n`;
-    if (user.bio) content += `Bio: ${user.bio}\n`;
-    if (user.location) content += `Location: ${user.location}\n`;
-    if (user.contribution_count) content += `Contribution Count: ${user.contribution_count}\n`;
+        result = { ...parsed.value, provider: provider.name, model: provider.model };
+        if (useCache) this.cache.saveCachedInsights(cacheKey, result, this.cacheTtlMs);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error ranking user', { username: user.username, error });
+      return { score: null, matches: [], summary: null, error: error.message, error_code: toAppError(error).code };
+    }
+  }
+
+  createRankingPrompt(userContent, insights = {}, { description, criteria }) {
+    let job = '';
+    if (description) job += `Job Description:\n${description}\n`;
+    if (criteria.length > 0) {
+      job += `${description ? '\n' : ''}Job Requirements:\n`;
+      job += criteria.map(criterion => {
+        const label = criterion.type === 'skill' ? criterion.value : `${criterion.type.replace('_', ' ')}: ${criterion.value}`;
+        return `- ${label} (weight ${criterion.weight})`;
+      }).join('\n') + '\n';
+    }
+
+    let analysis = '';
+    if (insights && !insights.error) {
+      if (insights.primary_skills?.length) analysis += `Primary Skills: ${insights.primary_skills.join(', ')}\n`;
+      if (insights.tech_stack?.length) analysis += `Tech Stack: ${insights.tech_stack.join(', ')}\n`;
+      if (insights.experience_level) analysis += `Experience Level: ${insights.experience_level}\n`;
+    }
+
+    return `
+Score how well the following GitHub user matches the job below.
+
+${job}
+Candidate Profile:
+${userContent}${analysis ? `\nPrevious Analysis:\n${analysis}` : ''}
+Respond with a JSON object with exactly these keys:
+
+- "score" (integer): ${RANKING_SCHEMA.properties.score.description}, weighing requirements by their weight
+- "criteria" (array of objects with "criterion", "matched" (boolean) and "explanation"): ${criteria.length > 0 ? 'one entry per job requirement, in order' : 'one entry per key requirement of the job'}
+- "summary" (string): ${RANKING_SCHEMA.properties.summary.description}
+
+Respond with the JSON object only, without markdown or commentary.
+    `;
+  }
+
+  /**
+   * Extract and validate a candidate score from a model response
+   * @param {string} aiResponse - Raw model output
+   * @returns {{valid: boolean, errors: Array<string>, value: Object}} - value has score, matches and summary
+   */
+  parseRankingResponse(aiResponse) {
+    let data;
+    try {
+      data = JSON.parse(aiResponse.match(/\{[\s\S]*\}/)?.[0]);
+    } catch (error) {
+      return { valid: false, errors: ['response did not contain a valid JSON object'], value: {} };
+    }
+
+    const errors = [];
+    const score = Number(data?.score);
+    if (!Number.isFinite(score)) errors.push('score must be a number from 0 to 100');
+    if (!Array.isArray(data?.criteria)) errors.push('criteria must be an array');
+    if (errors.length > 0) return { valid: false, errors, value: {} };
+
+    const matches = data.criteria
+      .filter(entry => entry && typeof entry.criterion === 'string')
+      .map(entry => ({
+        criterion: entry.criterion.trim(),
+        matched: entry.matched === true || entry.matched === 'true',
+        explanation: typeof entry.explanation === 'string' ? entry.explanation.trim() : ''
+      }));
+
+    return {
+      valid: true,
+      errors: [],
+      value: {
+        score: Math.round(Math.min(100, Math.max(0, score))),
+        matches,
+        summary: typeof data.summary === 'string' ? data.summary.trim() : null
+      }
+    };
+  }
+
+  /**
+   * Cache key for a prompt sent to a specific provider and model. The schema
+   * and template versions are included so a change never serves stale insights.
+   * @param {string} prompt - Prompt text
+   * @param {Object} provider - Provider instance
+   * @param {Object} [template] - Prompt template the prompt was rendered from
+   * @returns {string}
+   */
+  getCacheKey(prompt, provider, template = null) {
+    const templateId = template ? `${template.name}@${template.version}` : '';
+    return crypto
+      .createHash('sha256')
+      .update(`${provider.name}\n${provider.model}\n${SCHEMA_VERSION}\n${templateId}\n${prompt}`)
+      .digest('hex');
+  }
+
+  prepareUserContent(user) {
+    return Object.values(this.prepareUserSections(user)).filter(Boolean).join('\n\n') + '\n';
+  }
 
+  /**
+   * Profile sections available to prompt templates; missing data gives an empty section
+   * @param {Object} user - Scraped user
+   * @returns {{basics: string, pinned_repositories: string, details: string, repositories: string,
+   *   contributions: string, profile_readme: string}}
+   */
+  prepareUserSections(user) {
+    let basics = `GitHub Username: ${user.username}\n`;
+    if (user.display_name) basics += `Display Name: ${user.display_name}\n`;
+    if (user.bio) basics += `Bio: ${user.bio}\n`;
+    if (user.location) basics += `Location: ${user.location}\n`;
+    if (user.contribution_count != null) basics += `Contribution Count: ${user.contribution_count}\n`;
+
+    let pinned = '';
     if (user.pinned_repositories && user.pinned_repositories.length > 0) {
-      content += "\nPinned Repositories:\n";
+      pinned = "Pinned Repositories:\n";
       user.pinned_repositories.forEach((repo, index) => {
-        content += `${index + 1}. ${repo.name}${repo.language ? ` (${repo.language})` : ''}\n`;
+        pinned += `${index + 1}. ${repo.name}${repo.language ? ` (${repo.language})` : ''}\n`;
         if (repo.description) {
-          content += `   Description: ${repo.description}\n`;
+          pinned += `   Description: ${repo.description}\n`;
         }
       });
     }
 
-    if (user.raw_data) {
-      if (user.raw_data.followers) content += `\nFollowers: ${user.raw_data.followers}\n`;
-      if (user.raw_data.following) content += `Following: ${user.raw_data.following}\n`;
-      if (user.raw_data.organizations?.length)
-        content += `Organizations: ${user.raw_data.organizations.join(', ')}\n`;
-      if (user.raw_data.profile_readme)
-        content += `\nProfile README:\n${user.raw_data.profile_readme}\n`;
+    const rawData = user.raw_data || {};
+    let details = '';
+    if (rawData.followers != null) details += `Followers: ${rawData.followers}\n`;
+    if (rawData.following != null) details += `Following: ${rawData.following}\n`;
+    if (rawData.organizations?.length) details += `Organizations: ${rawData.organizations.join(', ')}\n`;
+    if (rawData.company) details += `Company: ${rawData.company}\n`;
+    if (rawData.website) details += `Website: ${rawData.website}\n`;
+    if (rawData.social_links?.length) details += `Social Links: ${rawData.social_links.join(', ')}\n`;
+    if (rawData.joined_at) details += `Joined GitHub: ${rawData.joined_at.slice(0, 10)}\n`;
+
+    return {
+      basics: basics.trim(),
+      pinned_repositories: pinned.trim(),
+      details: details.trim(),
+      repositories: this.describeRepositories(rawData).trim(),
+      contributions: this.describeContributions(rawData.contribution_calendar).trim(),
+      profile_readme: rawData.profile_readme ? `Profile README:\n${rawData.profile_readme}`.trim() : ''
+    };
+  }
+
+  /**
+   * Prompt section for the public repositories and their languages
+   * @param {Object} rawData - Scraped raw_data
+   * @returns {string}
+   */
+  describeRepositories(rawData) {
+    let content = '';
+
+    if (rawData.languages?.length) {
+      const languages = rawData.languages
+        .slice(0, 8)
+        .map(entry => `${entry.language} ${Math.round(entry.share * 100)}%`);
+      content += `\nLanguages (share of repositories): ${languages.join(', ')}\n`;
+    }
+
+    if (rawData.repositories?.length) {
+      // Most starred first, then most recently updated
+      const top = [...rawData.repositories]
+        .sort((a, b) => b.stars - a.stars || String(b.updated_at).localeCompare(String(a.updated_at)))
+        .slice(0, 10);
+
+      content += `\nPublic Repositories (${rawData.repositories.length} listed, top ${top.length} by stars):\n`;
+      top.forEach((repo, index) => {
+        content += `${index + 1}. ${repo.name}${repo.language ? ` [${repo.language}]` : ''}: ${repo.stars} stars, ${repo.forks} forks`;
+        if (repo.updated_at) content += `, updated ${repo.updated_at.slice(0, 10)}`;
+        if (repo.forked_from) content += `, fork of ${repo.forked_from}`;
+        content += '\n';
+        if (repo.description) content += `   Description: ${repo.description}\n`;
+      });
     }
 
     return content;
   }
 
-  createPrompt(userContent) {
-    return `
-Analyze the following GitHub user profile and provide structured insights:
+  /**
+   * Prompt section summarizing the contribution calendar
+   * @param {Array} [calendar] - Days with contribution counts
+   * @returns {string}
+   */
+  describeContributions(calendar) {
+    const summary = summarizeContributions(calendar);
+    if (!summary) return '';
+
+    return `\nContribution Activity (${summary.from} to ${summary.to}): ${summary.total} contributions on ${summary.active_days} days, ` +
+      `longest streak ${summary.longest_streak} days, current streak ${summary.current_streak} days, ` +
+      `${summary.last_30_days} in the last 30 days\n`;
+  }
+
+  /**
+   * Render a prompt template for a user
+   * @param {Object} user - Scraped user
+   * @param {Object} [template] - Template from PromptTemplates, defaults to the configured one
+   * @returns {string}
+   */
+  createPrompt(user, template = this.templates.get()) {
+    const sections = this.prepareUserSections(user);
+    return this.templates.render(template, {
+      ...sections,
+      username: user.username,
+      profile: Object.values(sections).filter(Boolean).join('\n\n'),
+      fields: this.describeFields(template.fields)
+    });
+  }
+
+  /**
+   * Describe insight fields for a prompt, one line per field
+   * @param {Object} fields - Field definitions
+   * @returns {string}
+   */
+  describeFields(fields) {
+    return Object.entries(fields).map(([name, field]) => {
+      let type = 'string';
+      if (field.type === 'string[]') type = 'array of strings';
+      if (field.type === 'enum') type = `one of ${field.values.map(v => `"${v}"`).join(', ')}`;
+      if (field.type === 'integer') type = 'integer';
+      if (field.type === 'boolean') type = 'true or false';
+      return `- "${name}" (${type}): ${field.description}`;
+    }).join('\n');
+  }
 
-${userContent}
+  /**
+   * Ask the model to fix a response that failed validation
+   * @param {string} prompt - Original prompt
+   * @param {string} aiResponse - Invalid response
+   * @param {Array<string>} errors - Validation errors
+   * @returns {string}
+   */
+  createRepairPrompt(prompt, aiResponse, errors) {
+    return `${prompt}
 
-Based on the information above, please provide a structured analysis with the following:
+Your previous response was:
+${aiResponse}
 
-1. Primary skills (as a comma-separated list)
-2. Tech stack (specific technologies and frameworks they seem familiar with)
-3. Experience level (beginner, intermediate, advanced, or expert)
-4. Notable contributions or focus areas
-5. Brief professional summary (2-3 sentences)
+It was rejected because:
+${errors.map(error => `- ${error}`).join('\n')}
 
-Format the response as a JSON object with keys: "primary_skills", "tech_stack", "experience_level", "notable_contributions", and "professional_summary".
+Return a corrected JSON object only.
     `;
   }
 
-  async queueAIRequest(prompt) {
+  async queueAIRequest(prompt, provider = this.getProvider(), options = {}) {
     return new Promise((resolve, reject) => {
-      this.requestQueue.push({ prompt, resolve, reject });
+      this.requestQueue.push({ prompt, provider, options, resolve, reject });
       this.processQueue();
     });
   }
 
-  async processQueue() {
-    if (this.processingQueue || this.requestQueue.length === 0) return;
-
-    this.processingQueue = true;
-    const { prompt, resolve, reject } = this.requestQueue.shift();
+  /**
+   * Start queued requests while below the concurrency limit
+   */
+  processQueue() {
+    while (this.activeRequests < this.concurrency && this.requestQueue.length > 0) {
+      const item = this.requestQueue.shift();
+      this.activeRequests++;
+
+      this.sendWithRetry(item)
+        .then(item.resolve, item.reject)
+        .finally(() => {
+          this.activeRequests--;
+          this.processQueue();
+        });
+    }
+  }
 
-    try {
-      let attempts = 0;
-      const maxAttempts = 3;
-
-      while (attempts < maxAttempts) {
-        try {
-          const response = await this.sendToGemini(prompt);
-          resolve(response);
-          break;
-        } catch (error) {
-          attempts++;
-          if (attempts >= maxAttempts) throw error;
-
-          const retryDelay = this.rateLimitDelay * attempts;
-          console.warn(`AI request failed, attempt ${attempts}/${maxAttempts}. Retrying in ${retryDelay}ms...`);
-          await this.sleep(retryDelay);
-        }
+  /**
+   * Send a request through the provider's rate limiter, retrying transient
+   * failures. Each call is timed in ai_request_duration_seconds.
+   * @param {Object} item - Queued request
+   * @returns {Promise<string>} - Model output
+   * @throws {AIError} - Once retries are exhausted or the failure isn't retryable
+   */
+  async sendWithRetry({ prompt, provider, options }) {
+    const limiter = this.getLimiter(provider);
+    const tokens = this.estimateTokens(prompt);
+
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire(tokens);
+
+      const endTimer = metrics.aiRequestDuration.startTimer({ provider: provider.name });
+      try {
+        const output = await provider.generate(prompt, options);
+        endTimer({ outcome: 'success' });
+        return output;
+      } catch (error) {
+        const status = getErrorStatus(error);
+        const failure = toAIError(error, provider, status);
+        endTimer({ outcome: failure.code });
+        if (attempt >= this.maxRetries || !isRetryable(error, status)) throw failure;
+
+        const retryAfter = getRetryAfterMs(error);
+        const backoff = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** attempt);
+        const delay = retryAfter ?? Math.round(Math.random() * backoff);
+
+        // A 429 means the quota is exhausted for every in-flight request, not just this one
+        if (status === 429) limiter.pauseFor(delay);
+
+        metrics.aiRetries.inc({ provider: provider.name, status: status || 'network' });
+        logger.warn('AI request failed, retrying', {
+          provider: provider.name,
+          status,
+          attempt: attempt + 1,
+          max_attempts: this.maxRetries + 1,
+          retry_in_ms: delay
+        });
+        await this.sleep(delay);
       }
-    } catch (error) {
-      reject(error);
-    } finally {
-      this.processingQueue = false;
-      setTimeout(() => this.processQueue(), this.rateLimitDelay);
     }
   }
 
-  async sendToGemini(prompt) {
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${this.geminiApiKey}`;
+  /**
+   * Get the rate limiter for a provider
+   * @param {Object} provider - Provider instance
+   * @returns {RateLimiter}
+   */
+  getLimiter(provider) {
+    if (!this.limiters.has(provider.name)) {
+      this.limiters.set(provider.name, new RateLimiter({
+        requestsPerMinute: this.requestsPerMinute,
+        tokensPerMinute: this.tokensPerMinute
+      }));
+    }
+    return this.limiters.get(provider.name);
+  }
 
-    const body = {
-      contents: [
-        {
-          parts: [{ text: prompt }]
-        }
-      ]
-    };
+  /**
+   * Rough token count for a request: ~4 characters per prompt token plus an
+   * allowance for the response
+   * @param {string} prompt - Prompt text
+   * @returns {number}
+   */
+  estimateTokens(prompt) {
+    return Math.ceil(prompt.length / 4) + 500;
+  }
 
-    try {
-      console.log(`[DEBUG] Sending request to Gemini API...`);
-      
-      const response = await axios.post(endpoint, body, {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 15000
-      });
-      
-      // Debug the full response structure (omitting sensitive datas)
-      // console.log(`[DEBUG] Gemini API response structure:`, 
-      //   JSON.stringify({
-      //     status: response.status,
-      //     headers: response.headers,
-      //     dataKeys: Object.keys(response.data || {}),
-      //     candidates: response.data?.candidates ? 
-      //       `Found ${response.data.candidates.length} candidates` : 
-      //       'No candidates'
-      //   }, null, 2)
-      // );
-
-      const content = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
-      
-      if (!content) {
-        console.error('[DEBUG] Empty content in Gemini response:', JSON.stringify(response.data, null, 2));
-        throw new Error('Empty response from Gemini');
-      }
-      
-      // console.log(`[DEBUG]Gemini response content (first 100 chars): ${content.substring(0, 100)}...`);
-      
-      return content;
-    } catch (error) {
-      console.error(`[DEBUG] Gemini API error:`, error);
-      if (error.response) {
-        console.error(`[DEBUG] Error response data:`, JSON.stringify(error.response.data, null, 2));
-        console.error(`[DEBUG] Error response status:`, error.response.status);
-        console.error(`[DEBUG] Error response headers:`, error.response.headers);
-      }
-      throw error;
+  /**
+   * Extract the JSON object from a model response and validate it
+   * @param {string} aiResponse - Raw model output
+   * @param {Object} [fields] - Field definitions to validate against
+   * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+   */
+  parseAIResponse(aiResponse, fields = INSIGHT_FIELDS) {
+    // Models without structured output sometimes wrap the JSON in prose or code fences
+    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      return { valid: false, errors: ['response did not contain a JSON object'], value: {} };
     }
-  }
 
-  parseAIResponse(aiResponse) {
-    // console.log(`[DEBUG] Parsing AI response (length: ${aiResponse.length}):`);
-    // console.log(`[DEBUG] Raw response: ${aiResponse.substring(0, 300)}...`);
-    
+    let data;
     try {
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        // console.log(`[DEBUG] Found JSON pattern in response`);
-        try {
-          const jsonString = jsonMatch[0];
-          // console.log(`[DEBUG] Extracted JSON string: ${jsonString.substring(0, 100)}...`);
-          
-          const insights = JSON.parse(jsonString);
-         // console.log(`[DEBUG] Successfully parsed JSON response with keys:`, Object.keys(insights));
-          
-          insights.raw_response = aiResponse;
-          insights.timestamp = new Date().toISOString();
-          return insights;
-        } catch (jsonError) {
-          console.error(`[DEBUG] JSON parsing error: ${jsonError.message}`);
-          console.error(`[DEBUG] Problematic JSON string: ${jsonMatch[0]}`);
-          throw jsonError;
-        }
-      } else {
-        console.log(`[DEBUG] No JSON pattern found, falling back to line parsing`);
-      }
-
-      const lines = aiResponse.split('\n');
-     //console.log(`[DEBUG] Split response into ${lines.length} lines`);
-      
-      const insights = {
-        primary_skills: this.extractSection(lines, 'Primary skills'),
-        tech_stack: this.extractSection(lines, 'Tech stack'),
-        experience_level: this.extractSection(lines, 'Experience level'),
-        notable_contributions: this.extractSection(lines, 'Notable contributions'),
-        professional_summary: this.extractSection(lines, 'Brief professional summary'),
-        raw_response: aiResponse,
-        timestamp: new Date().toISOString()
-      };
-      
-      console.log(`[DEBUG] Extracted insights:`, JSON.stringify(insights, null, 2));
-      return insights;
+      data = JSON.parse(jsonMatch[0]);
     } catch (error) {
-      console.error(`[DEBUG] Error parsing AI response: ${error.message}`);
-      return {
-        error: "Failed to parse AI response",
-        raw_response: aiResponse,
-        timestamp: new Date().toISOString()
-      };
+      return { valid: false, errors: [`response was not valid JSON: ${error.message}`], value: {} };
     }
-  }
 
-  extractSection(lines, sectionName) {
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].includes(sectionName)) {
-        let content = lines[i].split(':')[1]?.trim() || '';
-        let j = i + 1;
-        while (j < lines.length && !lines[j].includes(':') && lines[j].trim()) {
-          content += ' ' + lines[j].trim();
-          j++;
-        }
-        console.log(`[DEBUG] Extracted '${sectionName}': ${content}`);
-        return content;
-      }
-    }
-    console.log(`[DEBUG] Section '${sectionName}' not found`);
-    return '';
+    return validateInsights(data, fields);
   }
 
   sleep(ms) {
@@ -254,4 +612,68 @@ Format the response as a JSON object with keys: "primary_skills", "tech_stack",
   }
 }
 
+/**
+ * HTTP status of a provider error (axios and OpenAI SDK errors)
+ * @param {Error} error
+ * @returns {number|undefined}
+ */
+function getErrorStatus(error) {
+  return error.response?.status ?? error.status;
+}
+
+/**
+ * Whether a failed request is worth retrying: rate limits, server errors,
+ * timeouts and network failures, but not bad requests or missing credentials
+ * @param {Error} error
+ * @param {number} [status]
+ * @returns {boolean}
+ */
+function isRetryable(error, status) {
+  if (error instanceof AppError) return false;
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return Boolean(error.code) || /timeout|network|socket|connection/i.test(error.message);
+}
+
+/**
+ * Delay requested by a Retry-After header, in seconds or as an HTTP date
+ * @param {Error} error
+ * @returns {number|null} - Milliseconds, or null if the header is absent
+ */
+function getRetryAfterMs(error) {
+  const headers = error.response?.headers || error.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Classify a failed provider request
+ * @param {Error} error
+ * @param {Object} provider - Provider instance
+ * @param {number} [status] - HTTP status
+ * @returns {AIError}
+ */
+function toAIError(error, provider, status) {
+  if (error instanceof AppError) return error;
+
+  const message = `AI provider ${provider.name} failed: ${error.message}`;
+  if (status === 429) {
+    const retryAfter = getRetryAfterMs(error);
+    return new AIRateLimitError(message, {
+      retryAfter: retryAfter === null ? undefined : Math.ceil(retryAfter / 1000),
+      cause: error
+    });
+  }
+  // Bad credentials, or the provider can't be reached at all
+  if (status === 401 || status === 403 || (!status && isRetryable(error, status))) {
+    return new AIProviderUnavailableError(message, { cause: error });
+  }
+  return new AIError(message, { cause: error });
+}
+
 module.exports = AIProcessor;
\ No newline at end of file
@@ -0,0 +1,117 @@
+// services/ai-providers/gemini-provider.js
+const axios = require('axios');
+const { AIProviderUnavailableError } = require('../errors');
+const logger = require('../logger').child({ component: 'ai' });
+const metrics = require('../metrics');
+
+/**
+ * Google Gemini via the generateContent REST endpoint
+ */
+class GeminiProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} [options.model] - Model name
+   * @param {number} [options.timeout] - Request timeout in ms
+   */
+  constructor({ apiKey, model = 'gemini-2.0-flash', timeout = 15000 }) {
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Send a prompt and return the generated text
+   * @param {string} prompt - Prompt text
+   * @param {Object} [options]
+   * @param {Object} [options.schema] - JSON Schema the response must follow
+   * @returns {Promise<string>}
+   */
+  async generate(prompt, { schema } = {}) {
+    if (!this.apiKey) {
+      throw new AIProviderUnavailableError('GEMINI_API_KEY is not configured');
+    }
+
+    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`;
+
+    const body = {
+      contents: [
+        {
+          parts: [{ text: prompt }]
+        }
+      ]
+    };
+
+    if (schema) {
+      body.generationConfig = {
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(schema)
+      };
+    }
+
+    try {
+      logger.debug('Sending request to Gemini API', { model: this.model });
+
+      const response = await axios.post(endpoint, body, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: this.timeout
+      });
+
+      const usage = response.data?.usageMetadata;
+      if (usage) {
+        metrics.aiTokens.inc({ provider: this.name, type: 'prompt' }, usage.promptTokenCount || 0);
+        metrics.aiTokens.inc({ provider: this.name, type: 'completion' }, usage.candidatesTokenCount || 0);
+      }
+
+      const content = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+
+      if (!content) {
+        logger.error('Empty content in Gemini response', { response: response.data });
+        throw new Error('Empty response from Gemini');
+      }
+
+      return content;
+    } catch (error) {
+      logger.debug('Gemini API error', {
+        reason: error.message,
+        status: error.response?.status,
+        response: error.response?.data
+      });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Convert a JSON Schema into the OpenAPI subset Gemini accepts as
+ * responseSchema (upper-case types, no additionalProperties)
+ * @param {Object} schema - JSON Schema
+ * @returns {Object}
+ */
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.required) converted.required = schema.required;
+  if (schema.properties) {
+    converted.properties = {};
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      converted.properties[name] = toGeminiSchema(property);
+    });
+  }
+
+  return converted;
+}
+
+module.exports = GeminiProvider;
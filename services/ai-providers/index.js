@@ -0,0 +1,52 @@
+// services/ai-providers/index.js
+const GeminiProvider = require('./gemini-provider');
+const OpenAIProvider = require('./openai-provider');
+const MockProvider = require('./mock-provider');
+
+/**
+ * LLM providers used by AIProcessor. Every provider exposes `name`, `model`,
+ * `isConfigured() -> boolean` and `generate(prompt, { schema }) -> Promise<string>`,
+ * using the provider's structured output support for `schema` where it has one.
+ */
+const PROVIDERS = {
+  gemini: env => new GeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL
+  }),
+  openai: env => new OpenAIProvider({
+    name: 'openai',
+    apiKey: env.OPENAI_API_KEY,
+    baseURL: env.OPENAI_BASE_URL,
+    model: env.OPENAI_MODEL || 'gpt-4o-mini',
+    responseFormat: env.OPENAI_RESPONSE_FORMAT
+  }),
+  ollama: env => new OpenAIProvider({
+    name: 'ollama',
+    // Ollama ignores the key, but the SDK requires one
+    apiKey: env.OLLAMA_API_KEY || 'ollama',
+    baseURL: env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    model: env.OLLAMA_MODEL || 'llama3.1',
+    timeout: 120000,
+    responseFormat: env.OLLAMA_RESPONSE_FORMAT || 'json_object'
+  }),
+  mock: () => new MockProvider()
+};
+
+/**
+ * Create an LLM provider
+ * @param {string} name - Provider name
+ * @param {Object} [env] - Configuration source, defaults to process.env
+ * @returns {Object} - Provider instance
+ */
+function createProvider(name, env = process.env) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(env);
+}
+
+module.exports = {
+  createProvider,
+  providerNames: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,99 @@
+// services/ai-providers/mock-provider.js
+
+const KNOWN_SKILLS = [
+  'JavaScript', 'TypeScript', 'Python', 'Go', 'Rust', 'Java', 'C++', 'C#', 'C',
+  'Ruby', 'PHP', 'Kotlin', 'Swift', 'Scala', 'Shell', 'HTML', 'CSS'
+];
+
+/**
+ * Offline provider that derives a deterministic answer from the prompt text.
+ * The same prompt always produces the same response, which makes it suitable
+ * for tests and local development without an API key.
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.model = 'mock-1';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Build a JSON response from the languages and counts found in the prompt
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>}
+   */
+  async generate(prompt) {
+    if (prompt.includes('Candidate Profile:')) return this.scoreCandidate(prompt);
+
+    const username = prompt.match(/GitHub Username: (\S+)/)?.[1] || 'unknown';
+    const languages = [...prompt.matchAll(/\(([^()\n]+)\)\n/g)].map(match => match[1]);
+    const breakdown = prompt.match(/Languages \(share of repositories\): (.+)/)?.[1];
+    if (breakdown) languages.push(...breakdown.split(', ').map(entry => entry.replace(/ \d+%$/, '')));
+    const skills = KNOWN_SKILLS.filter(skill => languages.includes(skill));
+    const contributions = parseInt((prompt.match(/Contribution Count: ([\d,]+)/)?.[1] || '0').replace(/,/g, ''), 10);
+
+    let experienceLevel = 'beginner';
+    if (contributions >= 2000) experienceLevel = 'expert';
+    else if (contributions >= 500) experienceLevel = 'advanced';
+    else if (contributions >= 100) experienceLevel = 'intermediate';
+
+    const summary = `${username} is ${/^[aeiou]/.test(experienceLevel) ? 'an' : 'a'} ${experienceLevel} developer${skills.length ? ` working mainly with ${skills.join(', ')}` : ''}.`;
+    const standard = {
+      primary_skills: skills,
+      tech_stack: skills,
+      experience_level: experienceLevel,
+      notable_contributions: [`${contributions} contributions in the last year`],
+      professional_summary: summary
+    };
+
+    // Answer every field the prompt asks for; custom template fields get a
+    // value of their type
+    const response = {};
+    for (const [, name, type] of prompt.matchAll(/^- "(\w+)" \(([^)]*)\)/gm)) {
+      if (name in standard) response[name] = standard[name];
+      else if (type === 'array of strings') response[name] = skills;
+      else if (type === 'integer') response[name] = contributions;
+      else if (type === 'true or false') response[name] = contributions > 0;
+      else if (type.startsWith('one of ')) response[name] = type.match(/"([^"]+)"/)[1];
+      else response[name] = summary;
+    }
+
+    return JSON.stringify(Object.keys(response).length > 0 ? response : standard);
+  }
+
+  /**
+   * Score a ranking prompt: a requirement matches when the profile mentions it
+   * @param {string} prompt - Ranking prompt
+   * @returns {string}
+   */
+  scoreCandidate(prompt) {
+    const [job, profile] = prompt.split('Candidate Profile:');
+    const profileText = profile.toLowerCase();
+
+    let requirements = [...job.matchAll(/^- (.+) \(weight ([\d.]+)\)$/gm)]
+      .map(match => ({ criterion: match[1], weight: parseFloat(match[2]) }));
+    if (requirements.length === 0) {
+      requirements = KNOWN_SKILLS
+        .filter(skill => new RegExp(`(?<![\\w+#])${skill.replace(/[+]/g, '\\+')}(?![\\w+#])`).test(job))
+        .map(skill => ({ criterion: skill, weight: 1 }));
+    }
+
+    const criteria = requirements.map(({ criterion }) => {
+      const matched = profileText.includes(criterion.toLowerCase());
+      return { criterion, matched, explanation: matched ? 'Mentioned in the profile' : 'Not mentioned in the profile' };
+    });
+    const total = requirements.reduce((sum, { weight }) => sum + weight, 0);
+    const earned = requirements.reduce((sum, { weight }, i) => sum + (criteria[i].matched ? weight : 0), 0);
+
+    return JSON.stringify({
+      score: total > 0 ? Math.round((earned / total) * 100) : 0,
+      criteria,
+      summary: `Matches ${criteria.filter(entry => entry.matched).length} of ${criteria.length} requirements.`
+    });
+  }
+}
+
+module.exports = MockProvider;
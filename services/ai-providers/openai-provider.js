@@ -0,0 +1,102 @@
+// services/ai-providers/openai-provider.js
+const { OpenAI } = require('openai');
+const { AIProviderUnavailableError } = require('../errors');
+const logger = require('../logger').child({ component: 'ai' });
+const metrics = require('../metrics');
+
+/**
+ * OpenAI chat completions, or any server exposing an OpenAI-compatible API
+ * (e.g. a local Ollama instance) when baseURL is set
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.name] - Provider name reported with insights
+   * @param {string} options.apiKey - API key (local servers accept any value)
+   * @param {string} [options.baseURL] - API base URL, defaults to OpenAI
+   * @param {string} options.model - Model name
+   * @param {number} [options.timeout] - Request timeout in ms
+   * @param {string} [options.responseFormat] - Structured output mode: 'json_schema'
+   *   (strict schema), 'json_object' (any JSON) or 'none' for servers without support
+   */
+  constructor({ name = 'openai', apiKey, baseURL, model, timeout = 15000, responseFormat = 'json_schema' }) {
+    this.name = name;
+    this.responseFormat = responseFormat;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.timeout = timeout;
+    this.client = null;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Create the SDK client on first use so a missing key only fails requests
+   * that actually target this provider
+   * @returns {OpenAI}
+   */
+  getClient() {
+    if (!this.client) {
+      if (!this.apiKey) {
+        throw new AIProviderUnavailableError(`API key for AI provider "${this.name}" is not configured`);
+      }
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseURL,
+        timeout: this.timeout,
+        // Retries are handled by the AIProcessor queue
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Send a prompt and return the generated text
+   * @param {string} prompt - Prompt text
+   * @param {Object} [options]
+   * @param {Object} [options.schema] - JSON Schema the response must follow
+   * @param {string} [options.schemaName] - Name reported for the schema
+   * @returns {Promise<string>}
+   */
+  async generate(prompt, { schema, schemaName = 'insights' } = {}) {
+    logger.debug('Sending request to AI provider', { provider: this.name, model: this.model });
+
+    const request = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }]
+    };
+
+    if (schema && this.responseFormat === 'json_schema') {
+      request.response_format = {
+        type: 'json_schema',
+        json_schema: { name: schemaName, schema, strict: true }
+      };
+    } else if (schema && this.responseFormat === 'json_object') {
+      request.response_format = { type: 'json_object' };
+    }
+
+    const completion = await this.getClient().chat.completions.create(request);
+
+    if (completion.usage) {
+      metrics.aiTokens.inc({ provider: this.name, type: 'prompt' }, completion.usage.prompt_tokens || 0);
+      metrics.aiTokens.inc({ provider: this.name, type: 'completion' }, completion.usage.completion_tokens || 0);
+    }
+
+    const content = completion.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error(`Empty response from ${this.name}`);
+    }
+
+    return content;
+  }
+}
+
+module.exports = OpenAIProvider;
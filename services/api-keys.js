@@ -0,0 +1,313 @@
+// services/api-keys.js
+const crypto = require('crypto');
+const {
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  QuotaExceededError
+} = require('./errors');
+const logger = require('./logger').child({ component: 'api-keys' });
+
+const KEY_PREFIX = 'gui_';
+
+/**
+ * Read a daily quota from the environment; unset or empty means unlimited
+ * @param {string} value - Environment variable value
+ * @returns {number|null}
+ */
+function parseQuota(value) {
+  if (value === undefined || value === '') return null;
+  const quota = parseInt(value, 10);
+  return Number.isInteger(quota) && quota >= 0 ? quota : null;
+}
+
+/**
+ * SHA-256 of a key; only the hash is stored
+ * @param {string} key - API key
+ * @returns {string} - Hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Current UTC date and the time its counters reset
+ * @param {Date} [now]
+ * @returns {{date: string, resetsAt: Date}}
+ */
+function usageDay(now = new Date()) {
+  const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  return { date: now.toISOString().slice(0, 10), resetsAt };
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Remaining allowance for one quota
+ * @param {number} used - Calls made today
+ * @param {number|null} limit - Daily limit, null for unlimited
+ * @returns {{used: number, limit: number|null, remaining: number|null}}
+ */
+function quotaState(used, limit) {
+  return { used, limit, remaining: limit === null ? null : Math.max(0, limit - used) };
+}
+
+/**
+ * API keys issued by the service. A key is shown once when it is created;
+ * only its SHA-256 hash and a short prefix for recognising it are stored.
+ *
+ * Each key may have daily quotas for API requests and AI provider calls,
+ * counted per UTC day. A separate admin key (ADMIN_API_KEY) manages keys
+ * and is not subject to quotas. With API_AUTH=disabled requests need no key
+ * and nothing is metered.
+ */
+class ApiKeyManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dataStore - DataStore holding keys and usage
+   * @param {string} [options.adminKey] - Key allowed to use the admin routes
+   * @param {boolean} [options.required] - Whether API routes need a key
+   * @param {Object} [options.defaultQuotas] - Quotas for keys created without them
+   * @param {number|null} [options.defaultQuotas.requests_per_day]
+   * @param {number|null} [options.defaultQuotas.ai_calls_per_day]
+   */
+  constructor({
+    dataStore,
+    adminKey = process.env.ADMIN_API_KEY || null,
+    required = process.env.API_AUTH !== 'disabled',
+    defaultQuotas = {
+      requests_per_day: parseQuota(process.env.API_KEY_REQUESTS_PER_DAY),
+      ai_calls_per_day: parseQuota(process.env.API_KEY_AI_CALLS_PER_DAY)
+    }
+  }) {
+    this.dataStore = dataStore;
+    this.adminKeyHash = adminKey ? hashKey(adminKey) : null;
+    this.required = required;
+    this.defaultQuotas = defaultQuotas;
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} options
+   * @param {string} options.name - Label for the key's owner or purpose
+   * @param {number|null} [options.requests_per_day] - Daily request quota, null for unlimited
+   * @param {number|null} [options.ai_calls_per_day] - Daily AI call quota, null for unlimited
+   * @returns {Object} - The key's public view plus the key itself
+   */
+  create({ name, requests_per_day: requestsPerDay, ai_calls_per_day: aiCallsPerDay }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      key_hash: hashKey(key),
+      requests_per_day: requestsPerDay === undefined ? this.defaultQuotas.requests_per_day : requestsPerDay,
+      ai_calls_per_day: aiCallsPerDay === undefined ? this.defaultQuotas.ai_calls_per_day : aiCallsPerDay,
+      created_at: new Date().toISOString(),
+      revoked_at: null,
+      last_used_at: null
+    };
+
+    this.dataStore.createApiKey(record);
+    logger.info('Created API key', { api_key_id: record.id, name });
+    return { ...this.toView(record), key };
+  }
+
+  /**
+   * Every key, oldest first
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.dataStore.listApiKeys().map(record => this.toView(record));
+  }
+
+  /**
+   * Revoke a key; revoking it again keeps the original revocation time
+   * @param {string} id - API key ID
+   * @returns {Object} - The revoked key
+   * @throws {NotFoundError}
+   */
+  revoke(id) {
+    const record = this.getRecord(id);
+    if (!record.revoked_at) {
+      this.dataStore.updateApiKey(id, { revoked_at: new Date().toISOString() });
+      logger.info('Revoked API key', { api_key_id: id, name: record.name });
+    }
+    return this.toView(this.getRecord(id));
+  }
+
+  /**
+   * Check that a key is the admin key
+   * @param {string|null} key - Key sent with the request
+   * @throws {ForbiddenError} - If no admin key is configured
+   * @throws {AuthenticationError}
+   */
+  assertAdmin(key) {
+    if (!this.adminKeyHash) {
+      throw new ForbiddenError('Admin routes are disabled; set ADMIN_API_KEY to enable them');
+    }
+    if (!this.isAdminKey(key)) {
+      throw new AuthenticationError('A valid admin key is required');
+    }
+  }
+
+  /**
+   * Find the key a request was made with
+   * @param {string|null} key - Key sent with the request
+   * @returns {Object|null} - Key record, or null for the admin key or when
+   *   keys are not required and none was sent
+   * @throws {AuthenticationError} - If the key is missing, unknown or revoked
+   */
+  authenticate(key) {
+    if (!key) {
+      if (!this.required) return null;
+      throw new AuthenticationError('An API key is required; send it as a Bearer token or in the X-API-Key header');
+    }
+    if (this.isAdminKey(key)) return null;
+
+    const record = this.dataStore.findApiKeyByHash(hashKey(key));
+    if (!record) throw new AuthenticationError('Invalid API key');
+    if (record.revoked_at) throw new AuthenticationError(`API key ${record.prefix}… was revoked`);
+    return record;
+  }
+
+  /**
+   * Count a request against a key's daily request quota
+   * @param {Object} record - Key record from authenticate
+   * @returns {{limit: number|null, remaining: number|null, resets_at: string}}
+   * @throws {QuotaExceededError} - If the quota is used up; the request is not counted
+   */
+  consumeRequest(record) {
+    const { date, resetsAt } = usageDay();
+    const used = this.todayUsage(record.id, date).requests;
+    const limit = record.requests_per_day;
+
+    if (limit !== null && used >= limit) {
+      throw new QuotaExceededError(`Daily request quota of ${limit} reached for this API key`, {
+        retryAfter: secondsUntil(resetsAt)
+      });
+    }
+
+    this.dataStore.recordUsage(record.id, date, { requests: 1 });
+    this.dataStore.updateApiKey(record.id, { last_used_at: new Date().toISOString() });
+    return { ...quotaState(used + 1, limit), resets_at: resetsAt.toISOString() };
+  }
+
+  /**
+   * Counter for the AI provider calls made on behalf of a key, passed to
+   * AIProcessor so cache hits are free
+   * @param {Object|null} record - Key record from authenticate
+   * @returns {{assertAvailable: Function, consume: Function}|null} - null when
+   *   the request is not metered
+   */
+  meter(record) {
+    if (!record) return null;
+
+    const check = () => {
+      const { date, resetsAt } = usageDay();
+      const limit = record.ai_calls_per_day;
+      if (limit !== null && this.todayUsage(record.id, date).ai_calls >= limit) {
+        throw new QuotaExceededError(`Daily AI call quota of ${limit} reached for this API key`, {
+          retryAfter: secondsUntil(resetsAt)
+        });
+      }
+      return date;
+    };
+
+    return {
+      assertAvailable: () => {
+        check();
+      },
+      consume: () => {
+        this.dataStore.recordUsage(record.id, check(), { ai_calls: 1 });
+      }
+    };
+  }
+
+  /**
+   * A key's quotas, daily usage and the searches it started
+   * @param {string} id - API key ID
+   * @param {Object} [options]
+   * @param {number} [options.days] - Days of daily counts, including today
+   * @param {number} [options.limit] - Searches to return
+   * @param {number} [options.offset] - Searches to skip, newest first
+   * @returns {Object}
+   * @throws {NotFoundError}
+   */
+  usage(id, { days = 30, limit = 20, offset = 0 } = {}) {
+    const record = this.getRecord(id);
+    const { date, resetsAt } = usageDay();
+    const fromDate = new Date(Date.parse(date) - (days - 1) * 86400000).toISOString().slice(0, 10);
+
+    const daily = this.dataStore.getUsage(id, fromDate);
+    const today = daily.find(day => day.date === date) || { requests: 0, ai_calls: 0 };
+    const { total, requests } = this.dataStore.findRequests({ apiKeyId: id, limit, offset });
+
+    return {
+      api_key: this.toView(record),
+      today: {
+        date,
+        resets_at: resetsAt.toISOString(),
+        requests: quotaState(today.requests, record.requests_per_day),
+        ai_calls: quotaState(today.ai_calls, record.ai_calls_per_day)
+      },
+      daily,
+      totals: {
+        requests: daily.reduce((sum, day) => sum + day.requests, 0),
+        ai_calls: daily.reduce((sum, day) => sum + day.ai_calls, 0)
+      },
+      searches: { total, count: requests.length, limit, offset, requests }
+    };
+  }
+
+  getRecord(id) {
+    const record = this.dataStore.getApiKey(id);
+    if (!record) throw new NotFoundError(`API key ${id} not found`);
+    return record;
+  }
+
+  todayUsage(id, date) {
+    return this.dataStore.getUsage(id, date).find(day => day.date === date) || { requests: 0, ai_calls: 0 };
+  }
+
+  isAdminKey(key) {
+    if (!this.adminKeyHash || !key) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(this.adminKeyHash, 'hex'));
+  }
+
+  /**
+   * A key record without its hash
+   * @param {Object} record
+   * @returns {Object}
+   */
+  toView(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      prefix: record.prefix,
+      requests_per_day: record.requests_per_day,
+      ai_calls_per_day: record.ai_calls_per_day,
+      created_at: record.created_at,
+      revoked_at: record.revoked_at,
+      last_used_at: record.last_used_at
+    };
+  }
+}
+
+/**
+ * The key sent with a request, as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+  const authorization = req.get('Authorization');
+  const match = authorization && /^Bearer\s+(\S+)$/i.exec(authorization);
+  if (match) return match[1];
+  return req.get('X-API-Key') || null;
+}
+
+ApiKeyManager.readApiKey = readApiKey;
+
+module.exports = ApiKeyManager;
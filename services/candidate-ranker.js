@@ -0,0 +1,291 @@
+// services/candidate-ranker.js
+const { EXPERIENCE_LEVELS, INSIGHT_FIELDS } = require('./insights-schema');
+const { LANGUAGE_NAMES, normalizeLanguage } = require('./profile-normalizer');
+const { ValidationError } = require('./errors');
+
+const RANKING_MODES = ['deterministic', 'llm'];
+const CRITERION_TYPES = ['skill', 'experience_level', 'location'];
+const MAX_WEIGHT = 10;
+
+// Share of a skill's weight earned depending on where it was found
+const SKILL_CREDIT = {
+  insights: 1,
+  languages: 0.75,
+  text: 0.5
+};
+
+/**
+ * Ranks users against a job, either with deterministic keyword/weight scoring
+ * that works offline or by asking the AI provider to score each candidate.
+ */
+class CandidateRanker {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.aiProcessor] - AIProcessor used for the llm mode
+   */
+  constructor({ aiProcessor = null } = {}) {
+    this.aiProcessor = aiProcessor;
+  }
+
+  /**
+   * Score and rank users, best match first
+   * @param {Array<Object>} users - Enriched users
+   * @param {Object} job - Job from parseRankingRequest
+   * @param {string} [job.description] - Free-text job description
+   * @param {Array<Object>} [job.criteria] - Structured criteria ({type, value, weight})
+   * @param {Object} [options]
+   * @param {string} [options.mode] - "deterministic" (default) or "llm"
+   * @param {string} [options.provider] - AI provider for the llm mode
+   * @param {Object} [options.meter] - Quota counter for the llm mode's AI calls
+   * @returns {Promise<{mode: string, criteria: Array<Object>, rankings: Array<Object>}>}
+   */
+  async rank(users, { description = null, criteria = [] }, { mode = 'deterministic', provider, meter } = {}) {
+    const candidates = users.filter(user => !user.raw_data?.error);
+
+    const resolved = criteria.length > 0 ? criteria : extractCriteria(description, candidates);
+
+    let scored;
+    if (mode === 'llm') {
+      if (!this.aiProcessor) throw new Error('The llm ranking mode needs an AI processor');
+      scored = await Promise.all(candidates.map(async user => {
+        const result = await this.aiProcessor.scoreCandidate(user, { description, criteria }, { provider, meter });
+        return { user, ...result };
+      }));
+    } else {
+      scored = candidates.map(user => ({ user, ...scoreCandidate(user, resolved) }));
+    }
+
+    // Failed scores rank last; ties keep the search order
+    scored.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+
+    return {
+      mode,
+      criteria: mode === 'llm' && criteria.length === 0 ? [] : resolved,
+      rankings: scored.map(({ user, ...result }, index) => ({
+        rank: index + 1,
+        username: user.username,
+        display_name: user.display_name ?? null,
+        profile_url: user.profile_url,
+        ...result
+      }))
+    };
+  }
+}
+
+/**
+ * Validate a ranking request body
+ * @param {Object} body - Request body
+ * @returns {{description: string|null, criteria: Array<Object>, mode: string}}
+ * @throws {ValidationError} - If the body is invalid
+ */
+function parseRankingRequest(body = {}) {
+  const mode = body.mode || 'deterministic';
+  if (!RANKING_MODES.includes(mode)) {
+    throw invalid('mode', `Invalid mode "${mode}", expected one of: ${RANKING_MODES.join(', ')}`);
+  }
+
+  const description = typeof body.job_description === 'string' && body.job_description.trim()
+    ? body.job_description.trim()
+    : null;
+
+  if (body.requirements !== undefined && !Array.isArray(body.requirements)) {
+    throw invalid('requirements', 'requirements must be an array');
+  }
+  const criteria = (body.requirements || []).map((requirement, i) => parseRequirement(requirement, i));
+
+  if (!description && criteria.length === 0) {
+    throw invalid('job_description', 'Provide a job_description or a non-empty requirements list');
+  }
+
+  return { description, criteria, mode };
+}
+
+/**
+ * A requirement is a skill string, or an object with one of `skill`,
+ * `experience_level` or `location` and an optional `weight`
+ */
+function parseRequirement(requirement, index) {
+  if (typeof requirement === 'string' && requirement.trim()) {
+    return { type: 'skill', value: requirement.trim(), weight: 1 };
+  }
+
+  const type = CRITERION_TYPES.find(name => typeof requirement?.[name] === 'string' && requirement[name].trim());
+  if (!type) {
+    throw invalid(`requirements[${index}]`, `requirements[${index}] must be a skill string or an object with one of: ${CRITERION_TYPES.join(', ')}`);
+  }
+
+  const weight = requirement.weight ?? 1;
+  if (typeof weight !== 'number' || !(weight > 0) || weight > MAX_WEIGHT) {
+    throw invalid(`requirements[${index}].weight`, `requirements[${index}].weight must be a number above 0 and at most ${MAX_WEIGHT}`);
+  }
+
+  let value = requirement[type].trim();
+  if (type === 'experience_level') {
+    value = resolveExperienceLevel(value);
+    if (!value) {
+      throw invalid(`requirements[${index}].experience_level`, `requirements[${index}].experience_level must be one of: ${EXPERIENCE_LEVELS.join(', ')}`);
+    }
+  }
+
+  return { type, value, weight };
+}
+
+/**
+ * Criteria found in a free-text job description: every known language and
+ * every skill, technology or language of some candidate that the description
+ * mentions, plus the seniority if one is stated
+ * @param {string} description - Job description
+ * @param {Array<Object>} users - Candidates
+ * @returns {Array<Object>}
+ */
+function extractCriteria(description, users) {
+  if (!description) return [];
+
+  const vocabulary = new Map();
+  // Single letters ("C", "R") are too ambiguous in prose unless a candidate lists them
+  LANGUAGE_NAMES.filter(name => name.length > 1).forEach(name => vocabulary.set(name.toLowerCase(), name));
+  users.forEach(user => {
+    const { insights, languages } = collectSkills(user);
+    [...insights, ...languages].forEach(term => {
+      if (!vocabulary.has(term.toLowerCase())) vocabulary.set(term.toLowerCase(), term);
+    });
+  });
+
+  const criteria = [...vocabulary.values()]
+    .filter(term => mentions(description, term))
+    .sort((a, b) => a.localeCompare(b))
+    .map(value => ({ type: 'skill', value, weight: 1 }));
+
+  const words = description.toLowerCase().match(/[a-z][a-z-]*/g) || [];
+  const level = words.map(word => resolveExperienceLevel(word)).find(Boolean);
+  if (level) criteria.push({ type: 'experience_level', value: level, weight: 1 });
+
+  return criteria;
+}
+
+/**
+ * Deterministic score of a user against weighted criteria
+ * @param {Object} user - Enriched user
+ * @param {Array<Object>} criteria - Resolved criteria
+ * @returns {{score: number, matches: Array<Object>}} - Score from 0 to 100 and one explanation per criterion
+ */
+function scoreCandidate(user, criteria) {
+  const matches = criteria.map(criterion => {
+    const { credit, explanation } = CRITERION_SCORERS[criterion.type](user, criterion.value);
+    return {
+      criterion: criterion.value,
+      type: criterion.type,
+      weight: criterion.weight,
+      matched: credit > 0,
+      score: credit,
+      explanation
+    };
+  });
+
+  const totalWeight = matches.reduce((sum, match) => sum + match.weight, 0);
+  const earned = matches.reduce((sum, match) => sum + match.weight * match.score, 0);
+
+  return {
+    score: totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : 0,
+    matches
+  };
+}
+
+const CRITERION_SCORERS = {
+  skill(user, skill) {
+    const { insights, text } = collectSkills(user);
+    const inInsights = [...new Set(insights.filter(entry => mentions(entry, skill)))];
+    if (inInsights.length > 0) {
+      return { credit: SKILL_CREDIT.insights, explanation: `Listed in AI-inferred skills: ${inInsights.join(', ')}` };
+    }
+
+    const language = normalizeLanguage(skill);
+    const repos = countLanguageRepositories(user, language);
+    if (repos > 0) {
+      return {
+        credit: SKILL_CREDIT.languages,
+        explanation: `Language of ${repos} ${repos === 1 ? 'repository' : 'repositories'}`
+      };
+    }
+
+    const source = text.find(([, value]) => mentions(value, skill));
+    if (source) {
+      return { credit: SKILL_CREDIT.text, explanation: `Mentioned in ${source[0]}` };
+    }
+
+    return { credit: 0, explanation: 'Not found in skills, tech stack, repository languages or profile text' };
+  },
+
+  experience_level(user, level) {
+    const actual = user.ai_insights?.experience_level;
+    const gap = EXPERIENCE_LEVELS.indexOf(level) - EXPERIENCE_LEVELS.indexOf(actual);
+    if (!EXPERIENCE_LEVELS.includes(actual)) {
+      return { credit: 0, explanation: 'Experience level unknown' };
+    }
+    if (gap <= 0) return { credit: 1, explanation: `Experience level ${actual} meets ${level}` };
+    if (gap === 1) return { credit: 0.5, explanation: `Experience level ${actual} is one below ${level}` };
+    return { credit: 0, explanation: `Experience level ${actual} is below ${level}` };
+  },
+
+  location(user, location) {
+    if (!user.location) return { credit: 0, explanation: 'Location unknown' };
+    return user.location.toLowerCase().includes(location.toLowerCase())
+      ? { credit: 1, explanation: `Located in ${user.location}` }
+      : { credit: 0, explanation: `Located in ${user.location}` };
+  }
+};
+
+/**
+ * Skill sources of a user: AI-inferred skills and technologies, repository
+ * languages, and profile text as [label, text] pairs
+ */
+function collectSkills(user) {
+  const insights = [
+    ...(user.ai_insights?.primary_skills || []),
+    ...(user.ai_insights?.tech_stack || [])
+  ];
+
+  const repositories = [...(user.pinned_repositories || []), ...(user.raw_data?.repositories || [])];
+  const languages = [...new Set(repositories.map(repo => repo.language).filter(Boolean))];
+
+  const text = [
+    ['bio', user.bio],
+    ['profile README', user.raw_data?.profile_readme],
+    ...repositories.map(repo => [`the description of ${repo.name}`, repo.description])
+  ].filter(([, value]) => value);
+
+  return { insights, languages, text };
+}
+
+function countLanguageRepositories(user, language) {
+  const names = new Set();
+  [...(user.pinned_repositories || []), ...(user.raw_data?.repositories || [])].forEach(repo => {
+    if (repo.language && repo.language.toLowerCase() === language.toLowerCase()) names.add(repo.name);
+  });
+  return names.size;
+}
+
+/**
+ * Whether text mentions a term as a whole word. Short terms such as "Go" or
+ * "R" must match case to avoid hits on ordinary words.
+ */
+function mentions(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const flags = term.length <= 2 ? '' : 'i';
+  return new RegExp(`(?<![\\w+#.])${escaped}(?![\\w+#])`, flags).test(text);
+}
+
+function invalid(field, message) {
+  return new ValidationError(message, { details: [{ in: 'body', field, message }] });
+}
+
+function resolveExperienceLevel(value) {
+  const text = value.toLowerCase();
+  if (EXPERIENCE_LEVELS.includes(text)) return text;
+  return INSIGHT_FIELDS.experience_level.aliases[text] || null;
+}
+
+CandidateRanker.RANKING_MODES = RANKING_MODES;
+CandidateRanker.parseRankingRequest = parseRankingRequest;
+
+module.exports = CandidateRanker;
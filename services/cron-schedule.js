@@ -0,0 +1,138 @@
+// services/cron-schedule.js
+
+// The five fields of a cron expression, in order
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is accepted for Sunday, as in most crons
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const NICKNAMES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// How far ahead next() looks; far enough to reach a 29 February
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * A standard five-field cron expression (minute, hour, day of month, month,
+ * day of week), evaluated in UTC. Fields take `*`, numbers, ranges (`1-5`),
+ * steps (`0-59/15`, `10-40/10`), lists (`1,15`) and month and weekday names
+ * (`jan`, `mon-fri`); @hourly, @daily, @weekly, @monthly and @yearly are
+ * accepted too. As in cron, when both day fields are restricted a day
+ * matching either of them counts.
+ */
+class CronSchedule {
+  /**
+   * @param {string} expression - Cron expression
+   * @throws {Error} - If the expression is malformed or never matches (e.g. 30 February)
+   */
+  constructor(expression) {
+    this.expression = String(expression).trim();
+
+    const fields = (NICKNAMES[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw new Error(`Cron expression "${this.expression}" must have 5 fields: minute hour day-of-month month day-of-week`);
+    }
+
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] = fields.map((text, i) => parseField(text, FIELDS[i]));
+    this.anyDay = fields[2] === '*';
+    this.anyWeekday = fields[4] === '*';
+
+    if (!this.next()) {
+      throw new Error(`Cron expression "${this.expression}" never matches a date`);
+    }
+  }
+
+  /**
+   * The first matching minute after a given time
+   * @param {Date} [after] - Start time (exclusive)
+   * @returns {Date|null} - null if nothing matches within five years
+   */
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+    // Skip whole months, days and hours at a time rather than minute by minute
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+    return null;
+  }
+
+  matchesDay(date) {
+    const day = this.days.has(date.getUTCDate());
+    const weekday = this.weekdays.has(date.getUTCDay());
+    if (this.anyDay) return weekday;
+    if (this.anyWeekday) return day;
+    return day || weekday;
+  }
+}
+
+/**
+ * Expand one field of a cron expression into the values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - Entry of FIELDS
+ * @returns {Set<number>}
+ * @throws {Error}
+ */
+function parseField(text, { name, min, max, names }) {
+  const values = new Set();
+
+  const toNumber = token => {
+    const index = names ? names.indexOf(token) : -1;
+    if (index !== -1) return index + (name === 'month' ? 1 : 0);
+    if (!/^\d+$/.test(token)) throw new Error(`Invalid ${name} "${token}"`);
+    return parseInt(token, 10);
+  };
+
+  text.toLowerCase().split(',').forEach(item => {
+    const match = /^(?:\*|([a-z0-9]+)(?:-([a-z0-9]+))?)(?:\/(\d+))?$/.exec(item);
+    if (!match) throw new Error(`Invalid ${name} "${item}"`);
+
+    const [, first, last, stepText] = match;
+    let start = min;
+    let end = max;
+    if (first !== undefined) {
+      start = toNumber(first);
+      // "5/10" means from 5 to the end of the range in steps of 10
+      end = last !== undefined ? toNumber(last) : stepText ? max : start;
+    }
+    const step = stepText ? parseInt(stepText, 10) : 1;
+
+    if (start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} "${item}": must be within ${min}-${max}`);
+    }
+    if (step < 1) throw new Error(`Invalid ${name} "${item}": step must be at least 1`);
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+
+  if (name === 'day of week' && values.delete(7)) values.add(0);
+  return values;
+}
+
+module.exports = CronSchedule;
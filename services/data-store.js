@@ -2,21 +2,29 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { createStorage } = require('./storage');
+const { buildHistory } = require('./profile-history');
+const { StorageError } = require('./errors');
+const logger = require('./logger').child({ component: 'storage' });
 
 class DataStore {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.backend] - Storage backend ('json' or 'sqlite'), defaults to STORAGE_BACKEND or 'json'
+   * @param {string} [options.dataDir] - Data directory, defaults to ./data
+   * @param {string} [options.file] - SQLite database file, defaults to SQLITE_DB_PATH or data/insights.db
+   */
+  constructor(options = {}) {
     // Create data directory if it doesn't exist
-    this.dataDir = path.join(__dirname, '..', 'data');
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
     this.ensureDirectory(this.dataDir);
-    
-    // Path to requests file
-    this.requestsFile = path.join(this.dataDir, 'requests.json');
- 
-    this.resultsFile = path.join(this.dataDir, 'results.json');
-    
-    // Initialize data structures
-    this.requests = this.loadFromFile(this.requestsFile, []);
-    this.results = this.loadFromFile(this.resultsFile, []);
+
+    this.backendName = options.backend || process.env.STORAGE_BACKEND || 'json';
+    this.storage = createStorage(this.backendName, {
+      dataDir: this.dataDir,
+      file: options.file || process.env.SQLITE_DB_PATH
+    });
+    logger.info('Using storage backend', { backend: this.backendName });
   }
 
   /**
@@ -26,39 +34,22 @@ class DataStore {
   ensureDirectory(dir) {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
-      console.info(`Created directory: ${dir}`);
-    }
-  }
-
-  /**
-   * Load data from a JSON file
-   * @param {string} file - File path
-   * @param {*} defaultValue - Default value if file doesn't exist
-   * @returns {*} - Loaded data
-   */
-  loadFromFile(file, defaultValue) {
-    try {
-      if (fs.existsSync(file)) {
-        const data = fs.readFileSync(file, 'utf8');
-        return JSON.parse(data);
-      }
-      return defaultValue;
-    } catch (error) {
-      console.error(`Error loading from ${file}: ${error.message}`);
-      return defaultValue;
+      logger.info('Created directory', { dir });
     }
   }
 
   /**
-   * Save data to a JSON file
-   * @param {string} file - File path
-   * @param {*} data - Data to save
+   * Run a storage operation, reporting backend failures as a StorageError
+   * @param {string} action - What was being done, for the error message
+   * @param {Function} operation - Storage call
+   * @returns {*} - The operation's result
    */
-  saveToFile(file, data) {
+  withStorage(action, operation) {
     try {
-      fs.writeFileSync(file, JSON.stringify(data, null, 2));
+      return operation();
     } catch (error) {
-      console.error(`Error saving to ${file}: ${error.message}`);
+      logger.error(`Storage error while ${action}`, { error });
+      throw new StorageError(`Storage failure while ${action}`, { cause: error });
     }
   }
 
@@ -66,9 +57,11 @@ class DataStore {
    * Log a new API request
    * @param {string} query -  Search query
    * @param {number} pages - Number of pages
+   * @param {Object} [options]
+   * @param {string} [options.apiKeyId] - API key that made the request
    * @returns {string} - Request ID
    */
-  logRequest(query, pages) {
+  logRequest(query, pages, { apiKeyId = null } = {}) {
     const requestId = crypto.randomBytes(16).toString('hex');
 
     const request = {
@@ -78,42 +71,90 @@ class DataStore {
       timestamp: new Date().toISOString(),
       status: 'pending',
       completed_at: null,
-      result_count: null
+      result_count: null,
+      api_key_id: apiKeyId
     };
 
-    this.requests.push(request);
-    this.saveToFile(this.requestsFile, this.requests);
+    this.withStorage('logging the request', () => this.storage.insertRequest(request));
 
     return requestId;
   }
 
+  /**
+   * Update fields on a logged request
+   * @param {string} requestId - Request ID
+   * @param {Object} updates - Fields to merge into the request record
+   * @returns {Object|null} - Updated request, or null if not found
+   */
+  updateRequest(requestId, updates) {
+    const request = this.withStorage('updating the request', () => this.storage.updateRequest(requestId, updates));
+
+    if (!request) {
+      logger.warn('Request not found for update', { request_id: requestId });
+    }
+
+    return request;
+  }
+
   /**
    * Log a response to an API request
    * @param {string} requestId - Request ID
    * @param {number} resultCount - Number of results
    */
-  // logResponse(requestId, resultCount) {
-  //   const requestIndex = this.requests.findIndex(r => r.id === requestId);
+  logResponse(requestId, resultCount) {
+    const request = this.updateRequest(requestId, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      result_count: resultCount
+    });
 
-  //   if (requestIndex !== -1) {
-  //     this.requests[requestIndex].status = 'completed';
-  //     this.requests[requestIndex].completed_at = new Date().toISOString();
-  //     this.requests[requestIndex].result_count = resultCount;
+    if (request) {
+      logger.debug('Updated request', { request_id: requestId, result_count: resultCount });
+    }
+  }
+
+  /**
+   * Mark an API request as failed
+   * @param {string} requestId - Request ID
+   * @param {string} message - Failure reason
+   */
+  logFailure(requestId, message) {
+    this.updateRequest(requestId, {
+      status: 'failed',
+      completed_at: new Date().toISOString(),
+      error: message
+    });
+  }
 
-  //     this.saveToFile(this.requestsFile, this.requests);
-  //     console.info(`Updated request ${requestId} with ${resultCount} results`);
-  //   } else {
-  //     console.warn(`Request ${requestId} not found for logging response`);
-  //   }
-  // }
+  /**
+   * Save the result of a completed request
+   * @param {Object} result - Result with request_id, query, count and results
+   */
   saveResults(result) {
-   try {
-    this.results.push(result);
-    this.saveToFile(this.resultsFile, this.results);
-    console.info(`Saved ${results.length} results to ${this.resultsFile}`); 
-   } catch (error) {
+    try {
+      this.storage.saveResult(result);
+      logger.info('Saved results', { request_id: result.request_id, result_count: result.count });
+    } catch (error) {
+      logger.error('Error saving results', { request_id: result.request_id, error });
+    }
+  }
 
-   }
+  /**
+   * Get a single request by ID
+   * @param {string} requestId - Request ID
+   * @returns {Object|null} - Request record
+   */
+  getRequest(requestId) {
+    return this.withStorage('reading the request', () => this.storage.getRequest(requestId));
+  }
+
+  /**
+   * Get the saved result for a request
+   * @param {string} requestId - Request ID
+   * @returns {Object|null} - Saved result
+   */
+  getResult(requestId) {
+    return this.withStorage('reading stored results', () => this.storage.getResult(requestId));
   }
 
   /**
@@ -121,7 +162,310 @@ class DataStore {
    * @returns {Array} - Request historyd
    */
   getRequestHistory() {
-    return this.requests;
+    return this.withStorage('reading request history', () => this.storage.listRequests());
+  }
+
+  /**
+   * Search request history, newest first
+   * @param {Object} filters - Filter and pagination options
+   * @param {string} [filters.query] - Case-insensitive substring of the search query
+   * @param {string} [filters.status] - Exact request status
+   * @param {Date} [filters.from] - Earliest request timestamp (inclusive)
+   * @param {Date} [filters.to] - Latest request timestamp (inclusive)
+   * @param {string} [filters.apiKeyId] - Only requests made with this API key
+   * @param {number} [filters.limit] - Page size
+   * @param {number} [filters.offset] - Number of matches to skip
+   * @returns {{total: number, requests: Array}} - Total matches and the requested page
+   */
+  findRequests({ query, status, from, to, apiKeyId, limit = 20, offset = 0 } = {}) {
+    return this.withStorage('searching request history', () => this.storage.findRequests({
+      query, status, from, to, apiKeyId, limit, offset
+    }));
+  }
+
+  /**
+   * Get a user's stored profile snapshots with the changes between them
+   * @param {string} username - GitHub username (case-insensitive)
+   * @param {Object|null} [owner] - API key record; only the snapshots its own
+   *   searches returned are included
+   * @returns {Object|null} - User history, or null if the user was never
+   *   stored or, for an owner, never returned by its searches
+   */
+  getUserHistory(username, owner = null) {
+    const record = this.withStorage('reading user history', () => {
+      const stored = this.storage.getUserHistory(username);
+      return stored && owner ? this.ownUserHistory(stored, owner) : stored;
+    });
+    return record ? buildHistory(record) : null;
+  }
+
+  /**
+   * Narrow a stored user to the snapshots returned by an API key's searches.
+   * Unchanged profiles share a snapshot across searches, so one first
+   * captured by another key's search is attributed to the owner's first
+   * search that returned it, leaving the other search out.
+   * @param {Object} record - Stored user with snapshots
+   * @param {Object} owner - API key record
+   * @returns {Object|null} - null if none of the owner's searches returned the user
+   */
+  ownUserHistory(record, owner) {
+    const requests = new Map();
+    const ownRequest = requestId => {
+      if (!requests.has(requestId)) {
+        const request = this.storage.getRequest(requestId);
+        requests.set(requestId, request && request.api_key_id === owner.id ? request : null);
+      }
+      return requests.get(requestId);
+    };
+
+    const snapshots = new Map(record.snapshots.map(snapshot => [snapshot.id, snapshot]));
+    const visible = new Map();
+    let lastSeenAt = null;
+
+    this.storage.listUserSightings(record.username).forEach(({ request_id: requestId, snapshot_id: snapshotId }) => {
+      const request = ownRequest(requestId);
+      const snapshot = snapshots.get(snapshotId);
+      if (!request || !snapshot) return;
+
+      const seenAt = request.completed_at || request.timestamp;
+      if (!lastSeenAt || seenAt > lastSeenAt) lastSeenAt = seenAt;
+      if (visible.has(snapshotId)) return;
+
+      visible.set(snapshotId, ownRequest(snapshot.request_id)
+        ? snapshot
+        : { ...snapshot, captured_at: seenAt, request_id: requestId });
+    });
+
+    if (visible.size === 0) return null;
+
+    const ownSnapshots = [...visible.values()].sort((a, b) => a.id - b.id);
+    return {
+      ...record,
+      first_seen_at: ownSnapshots.map(snapshot => snapshot.captured_at).sort()[0],
+      last_seen_at: lastSeenAt,
+      snapshots: ownSnapshots
+    };
+  }
+
+  /**
+   * Get cached AI insights that have not expired. A failed read counts as a
+   * cache miss, as a failed write is ignored.
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Cached insights
+   */
+  getCachedInsights(key) {
+    try {
+      return this.storage.getCachedInsights(key);
+    } catch (error) {
+      logger.error('Error reading cached AI insights', { error });
+      return null;
+    }
+  }
+
+  /**
+   * Cache AI insights
+   * @param {string} key - Cache key
+   * @param {Object} insights - Parsed insights
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  saveCachedInsights(key, insights, ttlMs) {
+    try {
+      this.storage.saveCachedInsights(key, insights, new Date(Date.now() + ttlMs).toISOString());
+    } catch (error) {
+      logger.error('Error caching AI insights', { error });
+    }
+  }
+
+  /**
+   * Store a new API key record
+   * @param {Object} apiKey - Record with id, name, prefix, key_hash, quotas and created_at
+   */
+  createApiKey(apiKey) {
+    this.withStorage('creating the API key', () => this.storage.insertApiKey(apiKey));
+  }
+
+  /**
+   * Update fields on an API key record
+   * @param {string} id - API key ID
+   * @param {Object} updates - Fields to change
+   * @returns {Object|null} - Updated record, or null if not found
+   */
+  updateApiKey(id, updates) {
+    return this.withStorage('updating the API key', () => this.storage.updateApiKey(id, updates));
+  }
+
+  /**
+   * Get an API key record by ID
+   * @param {string} id - API key ID
+   * @returns {Object|null}
+   */
+  getApiKey(id) {
+    return this.withStorage('reading the API key', () => this.storage.getApiKey(id));
+  }
+
+  /**
+   * Get the API key record with a given key hash
+   * @param {string} keyHash - SHA-256 of the key
+   * @returns {Object|null}
+   */
+  findApiKeyByHash(keyHash) {
+    return this.withStorage('reading the API key', () => this.storage.findApiKeyByHash(keyHash));
+  }
+
+  /**
+   * Get every API key record, oldest first
+   * @returns {Array<Object>}
+   */
+  listApiKeys() {
+    return this.withStorage('listing API keys', () => this.storage.listApiKeys());
+  }
+
+  /**
+   * Add to an API key's usage counts for a day
+   * @param {string} apiKeyId - API key ID
+   * @param {string} date - UTC date (YYYY-MM-DD)
+   * @param {Object} counts - Amounts to add
+   * @param {number} [counts.requests] - API requests
+   * @param {number} [counts.ai_calls] - AI provider calls
+   */
+  recordUsage(apiKeyId, date, counts) {
+    this.withStorage('recording API key usage', () => this.storage.incrementUsage(apiKeyId, date, counts));
+  }
+
+  /**
+   * Get an API key's daily usage counts
+   * @param {string} apiKeyId - API key ID
+   * @param {string} [fromDate] - Earliest UTC date (YYYY-MM-DD)
+   * @returns {Array<{date: string, requests: number, ai_calls: number}>} - Oldest first
+   */
+  getUsage(apiKeyId, fromDate) {
+    return this.withStorage('reading API key usage', () => this.storage.getUsage(apiKeyId, fromDate));
+  }
+
+  /**
+   * Store a new saved search
+   * @param {Object} search - Saved search record
+   */
+  createSavedSearch(search) {
+    this.withStorage('creating the saved search', () => this.storage.insertSavedSearch(search));
+  }
+
+  /**
+   * Update fields on a saved search
+   * @param {string} id - Saved search ID
+   * @param {Object} updates - Fields to change
+   * @returns {Object|null} - Updated record, or null if not found
+   */
+  updateSavedSearch(id, updates) {
+    return this.withStorage('updating the saved search', () => this.storage.updateSavedSearch(id, updates));
+  }
+
+  /**
+   * Get a saved search by ID
+   * @param {string} id - Saved search ID
+   * @returns {Object|null}
+   */
+  getSavedSearch(id) {
+    return this.withStorage('reading the saved search', () => this.storage.getSavedSearch(id));
+  }
+
+  /**
+   * Get saved searches, oldest first
+   * @param {Object} [filters]
+   * @param {string|null} [filters.apiKeyId] - Only searches owned by this API key (null for keyless ones)
+   * @returns {Array<Object>}
+   */
+  listSavedSearches(filters = {}) {
+    return this.withStorage('listing saved searches', () => this.storage.listSavedSearches(filters));
+  }
+
+  /**
+   * Delete a saved search with its runs and webhook deliveries
+   * @param {string} id - Saved search ID
+   * @returns {boolean} - False if it didn't exist
+   */
+  deleteSavedSearch(id) {
+    return this.withStorage('deleting the saved search', () => this.storage.deleteSavedSearch(id));
+  }
+
+  /**
+   * Record a run of a saved search
+   * @param {Object} run - Run record
+   */
+  createSearchRun(run) {
+    this.withStorage('recording the saved search run', () => this.storage.insertSearchRun(run));
+  }
+
+  /**
+   * Update fields on a saved search run
+   * @param {string} id - Run ID
+   * @param {Object} updates - Fields to change
+   * @returns {Object|null}
+   */
+  updateSearchRun(id, updates) {
+    return this.withStorage('updating the saved search run', () => this.storage.updateSearchRun(id, updates));
+  }
+
+  /**
+   * Get a saved search run by ID
+   * @param {string} id - Run ID
+   * @returns {Object|null}
+   */
+  getSearchRun(id) {
+    return this.withStorage('reading the saved search run', () => this.storage.getSearchRun(id));
+  }
+
+  /**
+   * Page through the runs of a saved search, newest first
+   * @param {Object} options
+   * @param {string} options.savedSearchId - Saved search ID
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.offset] - Runs to skip
+   * @returns {{total: number, runs: Array<Object>}}
+   */
+  findSearchRuns({ savedSearchId, limit = 20, offset = 0 }) {
+    return this.withStorage('listing saved search runs', () => this.storage.findSearchRuns({ savedSearchId, limit, offset }));
+  }
+
+  /**
+   * Queue a webhook delivery
+   * @param {Object} delivery - Delivery record
+   */
+  createWebhookDelivery(delivery) {
+    this.withStorage('queueing the webhook delivery', () => this.storage.insertWebhookDelivery(delivery));
+  }
+
+  /**
+   * Update fields on a webhook delivery
+   * @param {string} id - Delivery ID
+   * @param {Object} updates - Fields to change
+   * @returns {Object|null}
+   */
+  updateWebhookDelivery(id, updates) {
+    return this.withStorage('updating the webhook delivery', () => this.storage.updateWebhookDelivery(id, updates));
+  }
+
+  /**
+   * Page through webhook deliveries, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.savedSearchId] - Deliveries of one saved search
+   * @param {string} [filters.status] - pending, delivered or failed
+   * @param {string} [filters.dueBefore] - Only deliveries whose next attempt is due by this ISO date
+   * @param {number} [filters.limit] - Page size
+   * @param {number} [filters.offset] - Deliveries to skip
+   * @returns {{total: number, deliveries: Array<Object>}}
+   */
+  findWebhookDeliveries({ savedSearchId, status, dueBefore, limit = 20, offset = 0 } = {}) {
+    return this.withStorage('listing webhook deliveries', () => this.storage.findWebhookDeliveries({
+      savedSearchId, status, dueBefore, limit, offset
+    }));
+  }
+
+  /**
+   * Close the underlying storage backend
+   */
+  close() {
+    this.storage.close();
   }
 }
 
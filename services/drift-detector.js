@@ -0,0 +1,180 @@
+// services/drift-detector.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').child({ component: 'scraper' });
+
+// Fields GitHub shows for (nearly) every search result and profile. When no
+// selector matches them across a page or a run of profiles, the markup has
+// most likely changed.
+const SEARCH_FIELDS = ['profile_url', 'display_name'];
+const PROFILE_FIELDS = ['contribution_count', 'followers', 'following'];
+
+/**
+ * Detects scraper drift: pages where extraction yields suspiciously empty
+ * fields. The HTML of each newly detected drift is saved so it can be turned
+ * into a parser fixture.
+ */
+class DriftDetector {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.captureDir] - Where offending HTML is saved
+   * @param {number} [options.emptyThreshold] - Share of items missing a field that counts as drift
+   * @param {number} [options.minSamples] - Items needed before a field is judged
+   * @param {number} [options.windowSize] - Recent profiles judged together
+   * @param {number} [options.maxCaptures] - Saved HTML files kept
+   */
+  constructor({
+    captureDir = process.env.SCRAPER_DRIFT_DIR || path.join(__dirname, '..', 'data', 'scraper-drift'),
+    emptyThreshold = 0.8,
+    minSamples = 3,
+    windowSize = 10,
+    maxCaptures = 20
+  } = {}) {
+    this.captureDir = captureDir;
+    this.emptyThreshold = emptyThreshold;
+    this.minSamples = minSamples;
+    this.windowSize = windowSize;
+    this.maxCaptures = maxCaptures;
+
+    this.recentProfiles = [];
+    this.checks = {
+      search: createCheckState(),
+      profile: createCheckState()
+    };
+    this.captures = [];
+  }
+
+  /**
+   * Check the users extracted from a search results page
+   * @param {Object} page
+   * @param {string} page.url - Page URL
+   * @param {string} page.html - Page HTML
+   * @param {Array} page.users - Extracted users
+   * @param {string|null} page.itemSelector - Selector that matched the result list
+   * @param {boolean} page.noResults - GitHub reported that nothing matched the query
+   * @returns {Array<string>} - Fields that drifted
+   */
+  checkSearchPage({ url, html, users, itemSelector, noResults }) {
+    // A legitimately empty search says nothing about the markup
+    if (users.length === 0 && noResults) return [];
+
+    let fields;
+    if (users.length === 0) {
+      fields = [itemSelector ? 'username' : 'items'];
+    } else {
+      fields = this.findEmptyFields(users.map(user => user.extraction?.search || {}), SEARCH_FIELDS);
+    }
+
+    this.record('search', fields, { url, html });
+    return fields;
+  }
+
+  /**
+   * Check a scraped profile, judging fields over the most recent profiles
+   * @param {Object} page
+   * @param {string} page.url - Profile URL
+   * @param {string} page.html - Profile HTML
+   * @param {Object} page.user - Extracted user
+   * @returns {Array<string>} - Fields that drifted
+   */
+  checkProfile({ url, html, user }) {
+    this.recentProfiles.push(user.extraction?.profile || {});
+    if (this.recentProfiles.length > this.windowSize) this.recentProfiles.shift();
+
+    const fields = this.findEmptyFields(this.recentProfiles, PROFILE_FIELDS);
+    this.record('profile', fields, { url, html });
+    return fields;
+  }
+
+  /**
+   * Fields that no selector matched for at least emptyThreshold of the items
+   * @param {Array<Object>} matches - Field -> matched selector, per item
+   * @param {Array<string>} fields - Fields to judge
+   * @returns {Array<string>}
+   */
+  findEmptyFields(matches, fields) {
+    if (matches.length < this.minSamples) return [];
+
+    return fields.filter(field => {
+      const empty = matches.filter(matched => !matched[field]).length;
+      return empty / matches.length >= this.emptyThreshold;
+    });
+  }
+
+  record(kind, fields, { url, html }) {
+    const check = this.checks[kind];
+    const now = new Date().toISOString();
+    check.pages_checked++;
+    check.last_checked_at = now;
+
+    if (fields.length === 0) {
+      check.drift = null;
+      return;
+    }
+
+    // Only capture HTML when drift starts or spreads to other fields
+    const known = check.drift ? check.drift.fields : [];
+    const isNew = fields.some(field => !known.includes(field));
+
+    check.drift_count++;
+    check.drift = {
+      fields,
+      detected_at: isNew ? now : check.drift.detected_at,
+      last_seen_at: now,
+      url,
+      capture: isNew ? this.capture(kind, fields, url, html) : check.drift.capture
+    };
+
+    if (isNew) {
+      logger.warn('Scraper drift detected: no selector matched', { kind, url, fields });
+    }
+  }
+
+  /**
+   * Save offending HTML, keeping only the newest maxCaptures files
+   * @returns {string|null} - Saved file, or null if it could not be written
+   */
+  capture(kind, fields, url, html) {
+    const file = path.join(this.captureDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${kind}.html`);
+
+    try {
+      fs.mkdirSync(this.captureDir, { recursive: true });
+      fs.writeFileSync(file, `<!-- ${url} | missing: ${fields.join(', ')} -->\n${html}`);
+    } catch (error) {
+      logger.error('Failed to save drift capture', { file, error });
+      return null;
+    }
+
+    this.captures.unshift({ kind, fields, url, file, captured_at: new Date().toISOString() });
+    while (this.captures.length > this.maxCaptures) {
+      const { file: oldFile } = this.captures.pop();
+      fs.rm(oldFile, { force: true }, () => {});
+    }
+    return file;
+  }
+
+  /**
+   * Current drift state
+   * @returns {Object}
+   */
+  getState() {
+    const drifting = Object.values(this.checks).some(check => check.drift);
+    return {
+      status: drifting ? 'degraded' : 'ok',
+      search: { ...this.checks.search },
+      profile: { ...this.checks.profile },
+      captures: [...this.captures]
+    };
+  }
+}
+
+function createCheckState() {
+  return {
+    pages_checked: 0,
+    drift_count: 0,
+    last_checked_at: null,
+    drift: null
+  };
+}
+
+module.exports = DriftDetector;
@@ -0,0 +1,200 @@
+// services/errors.js
+
+/**
+ * Base class for errors with a meaning for API clients. Each error has an
+ * HTTP status and a stable machine-readable code; anything else that reaches
+ * the error handler is reported as a generic internal error.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Message shown to API clients
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status
+   * @param {string} [options.code] - Machine-readable error code
+   * @param {Array<Object>} [options.details] - Per-field problems ({in, field, message})
+   * @param {number} [options.retryAfter] - Seconds until the request may succeed
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { status = 500, code = 'internal_error', details, retryAfter, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Error response body, matching ErrorResponse in swagger.json
+   * @returns {Object}
+   */
+  toJSON() {
+    const body = { msg: this.message, status: 'error', code: this.code };
+    if (this.details?.length) body.details = this.details;
+    if (this.retryAfter !== undefined) body.retry_after = this.retryAfter;
+    if (this.requestId) body.request_id = this.requestId;
+    return body;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, { details, ...options } = {}) {
+    super(message, { status: 400, code: 'validation_failed', details, ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 404, code: 'not_found', ...options });
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 401, code: 'unauthorized', ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 403, code: 'forbidden', ...options });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 409, code: 'conflict', ...options });
+  }
+}
+
+class QuotaExceededError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 429, code: 'quota_exceeded', ...options });
+  }
+}
+
+// GitHub failures: the upstream service, not this API, is at fault
+class GitHubError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 502, code: 'github_error', ...options });
+  }
+}
+
+class GitHubUnavailableError extends GitHubError {
+  constructor(message, options = {}) {
+    super(message, { status: 502, code: 'github_unavailable', ...options });
+  }
+}
+
+class GitHubRateLimitError extends GitHubError {
+  constructor(message, options = {}) {
+    super(message, { status: 503, code: 'github_rate_limited', ...options });
+  }
+}
+
+class GitHubLoginWallError extends GitHubError {
+  constructor(message, options = {}) {
+    super(message, { status: 503, code: 'github_login_wall', ...options });
+  }
+}
+
+class GitHubNotFoundError extends GitHubError {
+  constructor(message, options = {}) {
+    super(message, { status: 404, code: 'github_user_not_found', ...options });
+  }
+}
+
+class AIError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 502, code: 'ai_error', ...options });
+  }
+}
+
+class AIProviderUnavailableError extends AIError {
+  constructor(message, options = {}) {
+    super(message, { status: 503, code: 'ai_provider_unavailable', ...options });
+  }
+}
+
+class AIRateLimitError extends AIError {
+  constructor(message, options = {}) {
+    super(message, { status: 503, code: 'ai_rate_limited', ...options });
+  }
+}
+
+class StorageError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 500, code: 'storage_error', ...options });
+  }
+}
+
+/**
+ * Classify a failed request to GitHub (web or API) by its HTTP response
+ * @param {Error} error - Axios or other error
+ * @param {string} context - What was being fetched, prefixed to the message
+ * @returns {GitHubError}
+ */
+function toGitHubError(error, context) {
+  if (error instanceof AppError) return error;
+
+  const message = `${context}: ${error.message}`;
+  const status = error.response?.status;
+  const headers = error.response?.headers || {};
+
+  const rateLimited = status === 429 ||
+    (status === 403 && (headers['x-ratelimit-remaining'] === '0' || headers['retry-after'] !== undefined));
+  if (rateLimited) {
+    let retryAfter;
+    if (headers['retry-after'] !== undefined) {
+      retryAfter = Number(headers['retry-after']) || undefined;
+    } else if (headers['x-ratelimit-reset']) {
+      retryAfter = Math.max(0, Number(headers['x-ratelimit-reset']) - Math.floor(Date.now() / 1000));
+    }
+    return new GitHubRateLimitError(message, { retryAfter, cause: error });
+  }
+
+  if (status === 404) return new GitHubNotFoundError(message, { cause: error });
+  if (!status || status >= 500) return new GitHubUnavailableError(message, { cause: error });
+  return new GitHubError(message, { cause: error });
+}
+
+/**
+ * The AppError to report for any thrown value. Unexpected errors become a
+ * generic 500 so internal messages don't leak to clients.
+ * @param {*} error - Thrown value
+ * @returns {AppError}
+ */
+function toAppError(error) {
+  if (error instanceof AppError) return error;
+
+  // body-parser failures, e.g. malformed JSON
+  if (error?.type === 'entity.parse.failed') {
+    return new ValidationError(`Malformed JSON body: ${error.message}`, { cause: error });
+  }
+  if (error?.type === 'entity.too.large') {
+    return new AppError('Request body too large', { status: 413, code: 'payload_too_large', cause: error });
+  }
+
+  return new AppError('Internal server error', { cause: error });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  ForbiddenError,
+  ConflictError,
+  QuotaExceededError,
+  GitHubError,
+  GitHubUnavailableError,
+  GitHubRateLimitError,
+  GitHubLoginWallError,
+  GitHubNotFoundError,
+  AIError,
+  AIProviderUnavailableError,
+  AIRateLimitError,
+  StorageError,
+  toGitHubError,
+  toAppError
+};
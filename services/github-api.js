@@ -0,0 +1,335 @@
+// services/github-api.js
+const axios = require('axios');
+const { performance } = require('perf_hooks');
+const { summarizeLanguages } = require('./profile-stats');
+const { normalizeUser } = require('./profile-normalizer');
+const { createHttpCache, HttpCache } = require('./http-cache');
+const GitHubScheduler = require('./github-scheduler');
+const { GitHubError, GitHubNotFoundError, GitHubRateLimitError, toGitHubError } = require('./errors');
+const logger = require('./logger').child({ component: 'github' });
+
+// Fields requested for each user; mirrors what GitHubScraper.scrapeUserProfile extracts
+const USER_QUERY = `
+  query ($login: String!) {
+    user(login: $login) {
+      login
+      name
+      bio
+      location
+      url
+      company
+      websiteUrl
+      createdAt
+      socialAccounts(first: 10) { nodes { url } }
+      followers { totalCount }
+      following { totalCount }
+      organizations(first: 20) { nodes { login } }
+      pinnedItems(first: 6, types: REPOSITORY) {
+        nodes {
+          ... on Repository {
+            name
+            description
+            primaryLanguage { name }
+          }
+        }
+      }
+      repositories(first: 30, ownerAffiliations: OWNER, privacy: PUBLIC, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        nodes {
+          name
+          description
+          primaryLanguage { name }
+          stargazerCount
+          forkCount
+          updatedAt
+          parent { nameWithOwner }
+        }
+      }
+      contributionsCollection {
+        contributionCalendar {
+          totalContributions
+          weeks { contributionDays { date contributionCount contributionLevel } }
+        }
+      }
+      profileReadme: repository(name: $login) {
+        object(expression: "HEAD:README.md") {
+          ... on Blob { text }
+        }
+      }
+    }
+  }
+`;
+
+const API_URL = 'https://api.github.com';
+
+// GraphQL contribution levels, as the 0-4 levels shown on the HTML calendar
+const CONTRIBUTION_LEVELS = {
+  NONE: 0,
+  FIRST_QUARTILE: 1,
+  SECOND_QUARTILE: 2,
+  THIRD_QUARTILE: 3,
+  FOURTH_QUARTILE: 4
+};
+
+/**
+ * GitHub data source backed by the REST search API and the GraphQL API.
+ * Returns users in the same shape as GitHubScraper so the two are
+ * interchangeable. Requires a token (GraphQL does not allow anonymous access).
+ */
+class GitHubApiClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - GitHub personal access token
+   * @param {HttpCache} [options.httpCache] - Cache for API responses, configured by SCRAPER_CACHE_* by default
+   * @param {GitHubScheduler} [options.scheduler] - Paces every request to GitHub, configured by GITHUB_* by default
+   */
+  constructor({ token, httpCache = createHttpCache(), scheduler = GitHubScheduler.fromEnv() }) {
+    this.httpCache = httpCache;
+    this.scheduler = scheduler;
+    this.client = axios.create({
+      baseURL: API_URL,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Accept': 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        'User-Agent': 'github-user-insights'
+      },
+      timeout: 15000
+    });
+
+    this.perPage = 10; // Same page size as the HTML search results
+  }
+
+  /**
+   * Search GitHub users and fetch each result's profile
+   * @param {string} query - Search query
+   * @param {number} [pages] - Number of search result pages
+   * @param {Object} [hooks] - Progress callbacks, as for GitHubScraper.searchUsers
+   * @returns {Promise<Array>} - Users with profile details
+   * @throws {GitHubError} - If the search API fails; a GitHubRateLimitError with
+   *   retryAfter when GitHub is rate limiting the token
+   */
+  async searchUsers(query, pages = 3, hooks = {}) {
+    const startTime = performance.now();
+    logger.info('Starting GitHub API search', { query, pages });
+
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      logger.error('Invalid search query provided', { query });
+      return [];
+    }
+
+    try {
+      const users = [];
+      // Pages are fetched in order; the search API allows only 30 requests a minute
+      for (let page = 1; page <= pages; page++) {
+        const pageUsers = await this.searchUsersPage(query, page);
+        if (hooks.onPage) hooks.onPage({ page, users: pageUsers });
+        users.push(...pageUsers);
+        if (pageUsers.length < this.perPage) break;
+      }
+
+      // All profiles are queued at once; the scheduler paces the requests
+      const detailedUsers = await Promise.all(users.map(async user => {
+        const profile = await this.scrapeUserProfile(user);
+        if (hooks.onProfile) hooks.onProfile(profile);
+        return profile;
+      }));
+      const rateLimited = GitHubScheduler.rateLimitedSearchError(detailedUsers);
+      if (rateLimited) throw rateLimited;
+
+      const endTime = performance.now();
+      logger.info('Completed GitHub API search', { users: detailedUsers.length, duration_seconds: Number(((endTime - startTime) / 1000).toFixed(2)) });
+      return detailedUsers;
+    } catch (error) {
+      logger.error('GitHub API search failed', { query, reason: this.describeError(error) });
+      throw error instanceof GitHubError ? error : toGitHubError(error, 'GitHub API search failed');
+    }
+  }
+
+  /**
+   * Fetch one page of the REST user search. Stale cached pages are
+   * revalidated by ETag; GitHub doesn't count a 304 against the rate limit.
+   * @param {string} query - Search query
+   * @param {number} page - Page number
+   * @returns {Promise<Array>} - User stubs
+   */
+  async searchUsersPage(query, page) {
+    const path = `/search/users?${new URLSearchParams({ q: query, per_page: this.perPage, page })}`;
+    const { data, cache } = await this.httpCache.fetch(`${API_URL}${path}`, {
+      kind: 'search',
+      request: headers => this.scheduler.schedule(
+        `${API_URL}${path}`,
+        () => this.client.get(path, { headers, validateStatus: HttpCache.validateStatus })
+      )
+    });
+    logger.debug('Fetched API search page', { page, cache });
+
+    const users = (data.items || []).map(item => ({
+      ...this.createUserStub(item.login),
+      profile_url: item.html_url
+    }));
+
+    logger.info('Found users on API search page', { page, users: users.length });
+    return users;
+  }
+
+  /**
+   * Fetch a user's profile through GraphQL. Named like GitHubScraper's method
+   * so callers can use either data source.
+   * @param {Object} user - User with username
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Ignore any cached profile and fetch it again
+   * @param {boolean} [options.throwOnError] - Throw a GitHubError instead of returning raw_data.error
+   *   (with raw_data.error_code, and raw_data.retry_after when rate limited)
+   * @returns {Promise<Object>} - User with profile fields and raw_data
+   */
+  async scrapeUserProfile(user, { refresh = false, throwOnError = false } = {}) {
+    // GraphQL responses carry no validators, so cached profiles are only reused while fresh
+    const cacheKey = `${API_URL}/graphql?user=${encodeURIComponent(user.username.toLowerCase())}`;
+
+    try {
+      logger.debug('Fetching profile via API', { username: user.username });
+      const { data, cache } = await this.httpCache.fetch(cacheKey, {
+        kind: 'profile',
+        refresh,
+        request: () => this.scheduler.schedule(`${API_URL}/graphql`, () => this.client.post('/graphql', {
+          query: USER_QUERY,
+          variables: { login: user.username }
+        }), { check: checkGraphQLRateLimit })
+      });
+      logger.debug('Fetched profile via API', { username: user.username, cache });
+
+      const profile = data.data?.user;
+      if (!profile) {
+        await this.httpCache.discard(cacheKey, 'profile');
+        const notFound = data.errors?.some(error => error.type === 'NOT_FOUND');
+        if (throwOnError) {
+          const message = data.errors?.[0]?.message || 'User not found';
+          throw notFound ? new GitHubNotFoundError(message) : new GitHubError(message);
+        }
+        const rawData = {
+          error: data.errors?.[0]?.message || 'User not found',
+          error_code: notFound ? 'github_user_not_found' : 'github_error'
+        };
+        if (notFound) rawData.status_code = 404;
+        return { ...user, raw_data: rawData };
+      }
+
+      const calendar = profile.contributionsCollection.contributionCalendar;
+      const repositories = profile.repositories.nodes.map(repo => ({
+        name: repo.name,
+        description: repo.description || null,
+        language: repo.primaryLanguage?.name || null,
+        stars: repo.stargazerCount,
+        forks: repo.forkCount,
+        updated_at: repo.updatedAt,
+        forked_from: repo.parent?.nameWithOwner || null
+      }));
+
+      const enhancedUser = normalizeUser({
+        ...user,
+        username: profile.login,
+        display_name: profile.name || user.display_name || null,
+        profile_url: profile.url,
+        bio: profile.bio || null,
+        location: profile.location || null,
+        contribution_count: calendar.totalContributions,
+        pinned_repositories: profile.pinnedItems.nodes
+          .filter(repo => repo.name)
+          .map(repo => ({
+            name: repo.name,
+            description: repo.description || null,
+            language: repo.primaryLanguage?.name || null
+          })),
+        raw_data: {
+          followers: profile.followers.totalCount,
+          following: profile.following.totalCount,
+          organizations: profile.organizations.nodes.map(org => org.login),
+          profile_readme: profile.profileReadme?.object?.text || null,
+          company: profile.company || null,
+          website: profile.websiteUrl || null,
+          social_links: profile.socialAccounts.nodes.map(account => account.url),
+          joined_at: profile.createdAt,
+          repositories,
+          languages: summarizeLanguages(repositories),
+          contribution_calendar: calendar.weeks
+            .flatMap(week => week.contributionDays)
+            .map(day => ({
+              date: day.date,
+              count: day.contributionCount,
+              level: CONTRIBUTION_LEVELS[day.contributionLevel] ?? null
+            }))
+        }
+      });
+
+      return enhancedUser;
+    } catch (err) {
+      logger.error('Error fetching profile via API', { username: user.username, reason: this.describeError(err) });
+      const failure = toGitHubError(err, `Could not fetch profile for ${user.username}`);
+      if (throwOnError) throw failure;
+      const rawData = { error: err.message, error_code: failure.code };
+      if (err.response) rawData.status_code = err.response.status;
+      if (failure.retryAfter !== undefined) rawData.retry_after = failure.retryAfter;
+      return {
+        ...user,
+        raw_data: rawData
+      };
+    }
+  }
+
+  /**
+   * Build the user stub scrapeUserProfile expects from a bare username
+   * @param {string} username - GitHub username
+   * @returns {Object}
+   */
+  createUserStub(username) {
+    return {
+      username,
+      display_name: null,
+      profile_url: `https://github.com/${encodeURIComponent(username)}`,
+      bio: null,
+      raw_data: {},
+      ai_insights: {}
+    };
+  }
+
+  /**
+   * Error message including GitHub's rate limit state when relevant
+   * @param {Error} error
+   * @returns {string}
+   */
+  describeError(error) {
+    const headers = error.response?.headers;
+    if (headers && headers['x-ratelimit-remaining'] === '0') {
+      const reset = new Date(Number(headers['x-ratelimit-reset']) * 1000).toISOString();
+      return `${error.message} (API rate limit exhausted until ${reset})`;
+    }
+    return error.message;
+  }
+
+  /**
+   * Data source health. The API has no markup to drift, so this identifies
+   * the source and reports the state of its GitHub requests.
+   * @returns {Object}
+   */
+  getHealth() {
+    return { status: 'ok', data_source: 'api', github_requests: this.scheduler.getState() };
+  }
+}
+
+/**
+ * Scheduler check for GraphQL responses: an exhausted rate limit comes back
+ * as status 200 with a RATE_LIMITED error
+ * @param {Object} response - axios response
+ * @throws {GitHubRateLimitError}
+ */
+function checkGraphQLRateLimit(response) {
+  const limited = response.data?.errors?.find(error => error.type === 'RATE_LIMITED');
+  if (!limited) return;
+
+  const reset = Number(response.headers?.['x-ratelimit-reset']);
+  throw new GitHubRateLimitError(`GitHub GraphQL rate limit: ${limited.message}`, {
+    retryAfter: reset ? Math.max(0, reset - Math.floor(Date.now() / 1000)) : undefined
+  });
+}
+
+module.exports = GitHubApiClient;
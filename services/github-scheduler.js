@@ -0,0 +1,264 @@
+// services/github-scheduler.js
+const RateLimiter = require('./rate-limiter');
+const { GitHubRateLimitError, toGitHubError } = require('./errors');
+const logger = require('./logger').child({ component: 'github' });
+const metrics = require('./metrics');
+
+/**
+ * Process-wide gate for requests to GitHub. Requests to each host
+ * (github.com, api.github.com) share a concurrency limit and a
+ * requests-per-minute budget, whichever data source or job sends them.
+ *
+ * When GitHub rate limits a request (429, an exhausted API limit, or an abuse
+ * detection page flagged by the caller) every request to that host pauses,
+ * for Retry-After when GitHub sends it and an exponential backoff otherwise,
+ * and the host's request rate is halved. The rate recovers step by step as
+ * requests succeed again. Rate limited requests are retried after the pause;
+ * once the pause would be longer than maxWaitMs, requests fail at once with a
+ * GitHubRateLimitError carrying retryAfter.
+ */
+class GitHubScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Requests in flight per host
+   * @param {number} [options.requestsPerMinute] - Request rate per host while GitHub isn't pushing back
+   * @param {number} [options.maxWaitMs] - Longest pause requests wait out instead of failing
+   * @param {number} [options.maxRetries] - Retries of a rate limited request
+   * @param {number} [options.baseBackoffMs] - First pause when GitHub sends no Retry-After
+   * @param {number} [options.maxBackoffMs] - Longest backoff pause
+   * @param {number} [options.recoveryAfter] - Successful requests before the rate is raised again
+   */
+  constructor({
+    concurrency = 3,
+    requestsPerMinute = 60,
+    maxWaitMs = 2 * 60 * 1000,
+    maxRetries = 2,
+    baseBackoffMs = 30 * 1000,
+    maxBackoffMs = 15 * 60 * 1000,
+    recoveryAfter = 10
+  } = {}) {
+    this.concurrency = concurrency;
+    this.requestsPerMinute = requestsPerMinute;
+    this.minRequestsPerMinute = Math.min(1, requestsPerMinute);
+    this.maxWaitMs = maxWaitMs;
+    this.maxRetries = maxRetries;
+    this.baseBackoffMs = baseBackoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.recoveryAfter = recoveryAfter;
+    this.hosts = new Map();
+  }
+
+  /**
+   * Send a request to GitHub once its host's limits allow
+   * @param {string} url - Request URL; its host selects the limits
+   * @param {Function} request - Sends the request and resolves to the response
+   * @param {Object} [options]
+   * @param {Function} [options.check] - Called with each response; throws a
+   *   GitHubRateLimitError for rate limit pages GitHub serves with status 200
+   * @returns {Promise<*>} - The response
+   * @throws {GitHubRateLimitError} - When GitHub keeps rate limiting, or the host is paused for longer than maxWaitMs
+   */
+  async schedule(url, request, { check } = {}) {
+    const host = this.getHost(new URL(url).host);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.enqueue(host, request);
+        if (check) check(response);
+        this.recordSuccess(host);
+        return response;
+      } catch (error) {
+        const failure = toGitHubError(error, `GitHub request to ${host.name} failed`);
+        if (!(failure instanceof GitHubRateLimitError) || failure.paused) throw error;
+
+        const pauseMs = this.recordRateLimit(host, failure);
+        if (attempt >= this.maxRetries || pauseMs > this.maxWaitMs) {
+          throw new GitHubRateLimitError(failure.message, { retryAfter: Math.ceil(pauseMs / 1000), cause: error });
+        }
+        logger.warn('Retrying rate limited GitHub request', { url, attempt: attempt + 2, max_attempts: this.maxRetries + 1 });
+      }
+    }
+  }
+
+  /**
+   * Slow down requests to the host of a URL after the caller found GitHub
+   * rate limiting it in a way the request itself didn't show
+   * @param {string} url - URL of the rate limited request
+   * @param {GitHubRateLimitError} error - The rate limit, with retryAfter if known
+   */
+  reportRateLimit(url, error) {
+    this.recordRateLimit(this.getHost(new URL(url).host), error);
+  }
+
+  /**
+   * Limits and backoff state of each host contacted so far
+   * @returns {Object}
+   */
+  getState() {
+    const now = Date.now();
+    const hosts = {};
+    this.hosts.forEach(host => {
+      const pausedUntil = host.limiter.pausedUntil > now ? new Date(host.limiter.pausedUntil).toISOString() : null;
+      hosts[host.name] = {
+        status: pausedUntil ? 'paused' : host.rate < this.requestsPerMinute ? 'slowed' : 'ok',
+        requests_per_minute: Number(host.rate.toFixed(2)),
+        active: host.active,
+        queued: host.queue.length,
+        paused_until: pausedUntil,
+        backoff_level: host.backoffLevel,
+        requests: host.requests,
+        rate_limited: host.rateLimited,
+        last_rate_limited_at: host.lastRateLimitedAt
+      };
+    });
+
+    return {
+      concurrency: this.concurrency,
+      requests_per_minute: this.requestsPerMinute,
+      max_wait_seconds: this.maxWaitMs / 1000,
+      hosts
+    };
+  }
+
+  getHost(name) {
+    if (!this.hosts.has(name)) {
+      this.hosts.set(name, {
+        name,
+        // Back-to-back requests are limited to the concurrency, so a burst
+        // doesn't spend a whole minute's budget at once
+        limiter: new RateLimiter({ requestsPerMinute: this.requestsPerMinute, requestBurst: this.concurrency }),
+        rate: this.requestsPerMinute,
+        queue: [],
+        active: 0,
+        backoffLevel: 0,
+        successes: 0,
+        requests: 0,
+        rateLimited: 0,
+        lastRateLimitedAt: null
+      });
+    }
+    return this.hosts.get(name);
+  }
+
+  enqueue(host, request) {
+    return new Promise((resolve, reject) => {
+      host.queue.push({ request, resolve, reject });
+      this.processQueue(host);
+    });
+  }
+
+  processQueue(host) {
+    while (host.active < this.concurrency && host.queue.length > 0) {
+      const { request, resolve, reject } = host.queue.shift();
+      host.active++;
+
+      this.send(host, request)
+        .then(resolve, reject)
+        .finally(() => {
+          host.active--;
+          this.processQueue(host);
+        });
+    }
+  }
+
+  async send(host, request) {
+    if (!(await host.limiter.acquire(0, { maxPauseMs: this.maxWaitMs }))) {
+      const retryAfter = Math.ceil((host.limiter.pausedUntil - Date.now()) / 1000);
+      const error = new GitHubRateLimitError(
+        `GitHub is rate limiting requests to ${host.name}; requests are paused for ${retryAfter}s`,
+        { retryAfter }
+      );
+      // Not a new rate limit from GitHub, so schedule() doesn't back off again
+      error.paused = true;
+      throw error;
+    }
+
+    host.requests++;
+    const endTimer = metrics.githubRequestDuration.startTimer({ host: host.name });
+    try {
+      const response = await request();
+      endTimer({ outcome: 'success' });
+      return response;
+    } catch (error) {
+      endTimer({ outcome: toGitHubError(error, `GitHub request to ${host.name} failed`).code });
+      throw error;
+    }
+  }
+
+  /**
+   * Pause the host and lower its rate after a rate limit
+   * @returns {number} - Milliseconds until requests to the host resume
+   */
+  recordRateLimit(host, error) {
+    const now = Date.now();
+    host.rateLimited++;
+    host.successes = 0;
+    metrics.githubRateLimits.inc({ host: host.name });
+    host.lastRateLimitedAt = new Date(now).toISOString();
+
+    // Requests already in flight when the host was paused hit the same limit;
+    // only the first of them backs off
+    if (host.limiter.pausedUntil > now) return host.limiter.pausedUntil - now;
+
+    host.backoffLevel++;
+    const pauseMs = error.retryAfter !== undefined
+      ? error.retryAfter * 1000
+      : Math.min(this.maxBackoffMs, this.baseBackoffMs * 2 ** (host.backoffLevel - 1));
+    host.limiter.pauseFor(pauseMs);
+
+    host.rate = Math.max(this.minRequestsPerMinute, host.rate / 2);
+    host.limiter.setRequestsPerMinute(host.rate);
+
+    logger.warn('GitHub rate limited requests; pausing the host', { host: host.name, pause_seconds: Math.ceil(pauseMs / 1000), requests_per_minute: Number(host.rate.toFixed(2)) });
+    return pauseMs;
+  }
+
+  recordSuccess(host) {
+    if (host.rate >= this.requestsPerMinute) return;
+
+    host.successes++;
+    if (host.successes < this.recoveryAfter) return;
+
+    host.successes = 0;
+    host.rate = Math.min(this.requestsPerMinute, host.rate * 1.5);
+    host.limiter.setRequestsPerMinute(host.rate);
+    if (host.rate === this.requestsPerMinute) host.backoffLevel = 0;
+    logger.info('GitHub request rate raised', { host: host.name, requests_per_minute: Number(host.rate.toFixed(2)) });
+  }
+}
+
+/**
+ * Create a scheduler configured from the environment:
+ * GITHUB_CONCURRENCY, GITHUB_REQUESTS_PER_MINUTE, GITHUB_MAX_WAIT_SECONDS and
+ * GITHUB_MAX_RETRIES
+ * @param {Object} [env] - Configuration source, defaults to process.env
+ * @returns {GitHubScheduler}
+ */
+function fromEnv(env = process.env) {
+  return new GitHubScheduler({
+    concurrency: parseInt(env.GITHUB_CONCURRENCY || 3),
+    requestsPerMinute: parseFloat(env.GITHUB_REQUESTS_PER_MINUTE || 60),
+    maxWaitMs: parseFloat(env.GITHUB_MAX_WAIT_SECONDS || 120) * 1000,
+    maxRetries: parseInt(env.GITHUB_MAX_RETRIES ?? 2)
+  });
+}
+
+/**
+ * The error to report for a search in which GitHub rate limited every
+ * profile, rather than a result made only of failed profiles
+ * @param {Array} users - Users returned by scrapeUserProfile
+ * @returns {GitHubRateLimitError|null}
+ */
+function rateLimitedSearchError(users) {
+  if (users.length === 0 || !users.every(user => user.raw_data?.error_code === 'github_rate_limited')) return null;
+  const retryAfter = Math.max(...users.map(user => user.raw_data.retry_after ?? 0));
+  return new GitHubRateLimitError(
+    `GitHub rate limited all ${users.length} profile requests`,
+    { retryAfter: retryAfter || undefined }
+  );
+}
+
+GitHubScheduler.fromEnv = fromEnv;
+GitHubScheduler.rateLimitedSearchError = rateLimitedSearchError;
+
+module.exports = GitHubScheduler;
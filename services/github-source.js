@@ -0,0 +1,47 @@
+// services/github-source.js
+const GitHubScraper = require('./scraper');
+const GitHubApiClient = require('./github-api');
+const { createHttpCache } = require('./http-cache');
+const GitHubScheduler = require('./github-scheduler');
+const logger = require('./logger').child({ component: 'github' });
+
+const SOURCES = ['auto', 'api', 'html'];
+
+/**
+ * Create the GitHub data source for this deployment. Both sources expose
+ * searchUsers, scrapeUserProfile, createUserStub, getHealth, httpCache and
+ * scheduler, and return users in the same shape. The source's one scheduler
+ * paces every request this process sends to GitHub.
+ *
+ * GITHUB_DATA_SOURCE selects the source:
+ * - auto (default): the API when GITHUB_TOKEN is set, HTML scraping otherwise
+ * - api: the API; falls back to HTML scraping if no token is configured
+ * - html: always HTML scraping
+ *
+ * @param {Object} [env] - Configuration source, defaults to process.env
+ * @returns {GitHubApiClient|GitHubScraper}
+ */
+function createGitHubSource(env = process.env) {
+  const source = (env.GITHUB_DATA_SOURCE || 'auto').toLowerCase();
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Unknown GitHub data source "${source}". Expected one of: ${SOURCES.join(', ')}`);
+  }
+
+  const httpCache = createHttpCache(env);
+  const scheduler = GitHubScheduler.fromEnv(env);
+
+  if (source !== 'html') {
+    if (env.GITHUB_TOKEN) {
+      logger.info('Using the GitHub API as data source');
+      return new GitHubApiClient({ token: env.GITHUB_TOKEN, httpCache, scheduler });
+    }
+    if (source === 'api') {
+      logger.warn('GITHUB_DATA_SOURCE is "api" but GITHUB_TOKEN is not set; falling back to HTML scraping');
+    }
+  }
+
+  logger.info('Using HTML scraping as GitHub data source');
+  return new GitHubScraper({ httpCache, scheduler });
+}
+
+module.exports = createGitHubSource;
@@ -0,0 +1,105 @@
+// services/http-cache/disk-store.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../logger').child({ component: 'http-cache' });
+
+/**
+ * Cache store keeping one JSON file per entry in a directory, so cached
+ * pages survive restarts and can be shared by processes on the same host.
+ * Expired files are deleted when read or listed.
+ */
+class DiskCacheStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding the entry files
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  async get(key) {
+    const item = this.read(this.fileFor(key));
+    return item && item.key === key ? item.entry : null;
+  }
+
+  async set(key, entry, ttlMs) {
+    const file = this.fileFor(key);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify({ key, expires_at: Date.now() + ttlMs, entry }));
+    await fs.promises.rename(tmpFile, file);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.fileFor(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list(prefix = '') {
+    return this.files()
+      .map(file => this.read(file))
+      .filter(item => item && item.key.startsWith(prefix))
+      .map(item => item.entry);
+  }
+
+  async clear(prefix = '') {
+    let removed = 0;
+    for (const file of this.files()) {
+      const item = this.read(file);
+      if (item && item.key.startsWith(prefix)) {
+        fs.rmSync(file, { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async info() {
+    const files = this.files();
+    const bytes = files.reduce((sum, file) => sum + (fs.statSync(file, { throwIfNoEntry: false })?.size ?? 0), 0);
+    return { backend: 'disk', dir: this.dir, entries: files.length, bytes };
+  }
+
+  async close() {}
+
+  fileFor(key) {
+    return path.join(this.dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  files() {
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => path.join(this.dir, name));
+  }
+
+  /**
+   * Read an entry file, deleting it if it has expired or can't be parsed
+   * @param {string} file - Entry file
+   * @returns {{key: string, expires_at: number, entry: Object}|null}
+   */
+  read(file) {
+    let item;
+    try {
+      item = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      logger.warn('Discarding unreadable cache file', { file, error });
+      fs.rmSync(file, { force: true });
+      return null;
+    }
+
+    if (item.expires_at <= Date.now()) {
+      fs.rmSync(file, { force: true });
+      return null;
+    }
+    return item;
+  }
+}
+
+module.exports = DiskCacheStore;
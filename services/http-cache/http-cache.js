@@ -0,0 +1,230 @@
+// services/http-cache/http-cache.js
+const { StorageError, toGitHubError } = require('../errors');
+const logger = require('../logger').child({ component: 'http-cache' });
+const metrics = require('../metrics');
+
+const KINDS = ['search', 'profile'];
+
+/**
+ * Cache for GitHub responses in front of a pluggable store. Each entry is
+ * fresh for the TTL of its kind (search pages change faster than profiles)
+ * and is then kept for retainMs longer, so it can be revalidated with a
+ * conditional request (If-None-Match / If-Modified-Since): a 304 from GitHub
+ * refreshes the entry without downloading the page again.
+ *
+ * A failing store never fails a fetch; the response is fetched from GitHub
+ * and the failure is counted in the stats. Every fetch is also counted in
+ * github_fetches_total by cache result and outcome.
+ */
+class HttpCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Store from services/http-cache (memory, disk or redis)
+   * @param {Object} [options.ttls] - Milliseconds an entry is fresh, per kind
+   * @param {number} [options.ttls.search]
+   * @param {number} [options.ttls.profile]
+   * @param {number} [options.retainMs] - How long stale entries are kept for revalidation
+   */
+  constructor({ store, ttls = {}, retainMs = 24 * 60 * 60 * 1000 }) {
+    this.store = store;
+    this.ttls = { search: 15 * 60 * 1000, profile: 6 * 60 * 60 * 1000, ...ttls };
+    this.retainMs = retainMs;
+    this.counters = Object.fromEntries(KINDS.map(kind => [kind, createCounters()]));
+  }
+
+  /**
+   * Return a cached response, revalidating or fetching it when it isn't fresh
+   * @param {string} key - Cache key, normally the URL
+   * @param {Object} options
+   * @param {string} options.kind - "search" or "profile", selecting the TTL
+   * @param {boolean} [options.refresh] - Skip the fresh entry; it is still revalidated
+   * @param {Function} options.request - Called with conditional request headers;
+   *   resolves to an axios-style response, which may have status 304
+   * @returns {Promise<{data: *, cache: string}>} - Body and "hit", "revalidated" or "miss"
+   */
+  async fetch(key, { kind, refresh = false, request }) {
+    const counters = this.counters[kind];
+    if (!counters) throw new Error(`Unknown cache kind "${kind}". Expected one of: ${KINDS.join(', ')}`);
+
+    const entry = await this.attempt(kind, 'reading', () => this.store.get(key));
+    const now = Date.now();
+
+    if (entry && !refresh && Date.parse(entry.expires_at) > now) {
+      counters.hits++;
+      metrics.githubFetches.inc({ kind, cache: 'hit', outcome: 'success' });
+      return { data: entry.data, cache: 'hit' };
+    }
+
+    const headers = {};
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.last_modified) headers['If-Modified-Since'] = entry.last_modified;
+
+    let response;
+    try {
+      response = await request(headers);
+    } catch (error) {
+      metrics.githubFetches.inc({ kind, cache: 'miss', outcome: toGitHubError(error, 'GitHub request failed').code });
+      throw error;
+    }
+
+    if (response.status === 304 && entry) {
+      counters.revalidated++;
+      metrics.githubFetches.inc({ kind, cache: 'revalidated', outcome: 'success' });
+      await this.save({ ...entry, validated_at: new Date(now).toISOString(), expires_at: new Date(now + this.ttls[kind]).toISOString() });
+      return { data: entry.data, cache: 'revalidated' };
+    }
+
+    counters.misses++;
+    metrics.githubFetches.inc({ kind, cache: 'miss', outcome: 'success' });
+    // Empty bodies are usually transient failures; don't serve them again
+    if (response.data) {
+      await this.save({
+        key,
+        kind,
+        data: response.data,
+        etag: response.headers?.etag ?? null,
+        last_modified: response.headers?.['last-modified'] ?? null,
+        stored_at: new Date(now).toISOString(),
+        validated_at: new Date(now).toISOString(),
+        expires_at: new Date(now + this.ttls[kind]).toISOString(),
+        bytes: Buffer.byteLength(typeof response.data === 'string' ? response.data : JSON.stringify(response.data))
+      });
+    }
+    return { data: response.data, cache: 'miss' };
+  }
+
+  /**
+   * Remove one entry, or every entry whose key starts with a prefix
+   * @param {Object} [options]
+   * @param {string} [options.key] - Exact key
+   * @param {string} [options.prefix] - Key prefix; all entries when neither is given
+   * @returns {Promise<number>} - Entries removed
+   * @throws {StorageError}
+   */
+  async purge({ key, prefix = '' } = {}) {
+    const removed = await this.manage('purging entries', async () =>
+      (key !== undefined ? Number(await this.store.delete(key)) : this.store.clear(prefix)));
+    logger.info('Purged scraper cache entries', { removed, key, prefix: key === undefined ? prefix : undefined });
+    return removed;
+  }
+
+  /**
+   * Cached entries without their bodies, most recently validated first
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Only keys starting with this
+   * @param {string} [options.kind] - Only entries of this kind
+   * @param {number} [options.limit] - Entries to return
+   * @param {number} [options.offset] - Entries to skip
+   * @returns {Promise<{total: number, entries: Array<Object>}>}
+   * @throws {StorageError}
+   */
+  async list({ prefix = '', kind, limit = 50, offset = 0 } = {}) {
+    const now = Date.now();
+    const entries = (await this.manage('listing entries', () => this.store.list(prefix)))
+      .filter(entry => !kind || entry.kind === kind)
+      .sort((a, b) => b.validated_at.localeCompare(a.validated_at));
+
+    return {
+      total: entries.length,
+      entries: entries.slice(offset, offset + limit).map(({ data, ...entry }) => ({
+        ...entry,
+        fresh: Date.parse(entry.expires_at) > now
+      }))
+    };
+  }
+
+  /**
+   * Hit, revalidation and miss counts since startup, per kind and in total,
+   * with the store's size and the configured TTLs
+   * @returns {Promise<Object>}
+   */
+  async stats() {
+    let store;
+    try {
+      store = await this.store.info();
+    } catch (error) {
+      store = { error: error.message };
+    }
+
+    const totals = createCounters();
+    const kinds = {};
+    KINDS.forEach(kind => {
+      const counters = this.counters[kind];
+      Object.keys(totals).forEach(name => { totals[name] += counters[name]; });
+      kinds[kind] = { ...counters, hit_rate: hitRate(counters), ttl_seconds: this.ttls[kind] / 1000 };
+    });
+
+    return {
+      store,
+      retain_seconds: this.retainMs / 1000,
+      ...totals,
+      hit_rate: hitRate(totals),
+      kinds
+    };
+  }
+
+  /**
+   * Drop an entry the caller found unusable, e.g. a login page served in
+   * place of search results
+   * @param {string} key - Cache key
+   * @param {string} kind - Entry kind
+   */
+  async discard(key, kind) {
+    await this.attempt(kind, 'deleting', () => this.store.delete(key));
+  }
+
+  close() {
+    return this.store.close();
+  }
+
+  async save(entry) {
+    await this.attempt(entry.kind, 'writing', () => this.store.set(entry.key, entry, this.ttls[entry.kind] + this.retainMs));
+  }
+
+  // Admin operations report store failures as a StorageError
+  async manage(action, operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      throw new StorageError(`Scraper cache failed ${action}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Run a store operation, logging and counting a failure instead of throwing
+   * @returns {Promise<*>} - The operation's result, or null if it failed
+   */
+  async attempt(kind, action, operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      this.counters[kind].errors++;
+      logger.error(`Scraper cache failed ${action} an entry`, { kind, error });
+      return null;
+    }
+  }
+}
+
+function createCounters() {
+  return { hits: 0, revalidated: 0, misses: 0, errors: 0 };
+}
+
+// Share of lookups answered without downloading the page again
+function hitRate({ hits, revalidated, misses }) {
+  const lookups = hits + revalidated + misses;
+  return lookups === 0 ? null : Number(((hits + revalidated) / lookups).toFixed(3));
+}
+
+/**
+ * axios validateStatus for conditional requests: 304 is an answer, not an error
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+function validateStatus(status) {
+  return (status >= 200 && status < 300) || status === 304;
+}
+
+HttpCache.KINDS = KINDS;
+HttpCache.validateStatus = validateStatus;
+
+module.exports = HttpCache;
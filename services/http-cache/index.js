@@ -0,0 +1,65 @@
+// services/http-cache/index.js
+const path = require('path');
+const HttpCache = require('./http-cache');
+const MemoryCacheStore = require('./memory-store');
+const DiskCacheStore = require('./disk-store');
+const RedisCacheStore = require('./redis-store');
+
+/**
+ * Stores used by HttpCache. Every store implements the same asynchronous
+ * interface:
+ *
+ *   get(key) -> entry | null, ignoring expired entries
+ *   set(key, entry, ttlMs)
+ *   delete(key) -> boolean
+ *   list(prefix?) -> Array<entry>
+ *   clear(prefix?) -> number of entries removed
+ *   info() -> { backend, entries, ... }
+ *   close()
+ */
+const STORES = {
+  memory: env => new MemoryCacheStore({
+    maxEntries: Number(env.SCRAPER_CACHE_MAX_ENTRIES || 1000),
+    maxBytes: Number(env.SCRAPER_CACHE_MAX_MB || 50) * 1024 * 1024
+  }),
+  disk: env => new DiskCacheStore({
+    dir: env.SCRAPER_CACHE_DIR || path.join(__dirname, '..', '..', 'data', 'http-cache')
+  }),
+  redis: env => {
+    if (!env.REDIS_URL) throw new Error('SCRAPER_CACHE_BACKEND is "redis" but REDIS_URL is not set');
+    return new RedisCacheStore({ url: env.REDIS_URL });
+  }
+};
+
+/**
+ * Create the cache for GitHub responses configured by the environment:
+ * SCRAPER_CACHE_BACKEND selects the store (memory, disk or redis) and
+ * SCRAPER_CACHE_SEARCH_TTL_MINUTES, SCRAPER_CACHE_PROFILE_TTL_MINUTES and
+ * SCRAPER_CACHE_RETAIN_HOURS its lifetimes.
+ * @param {Object} [env] - Configuration source, defaults to process.env
+ * @returns {HttpCache}
+ */
+function createHttpCache(env = process.env) {
+  const backend = (env.SCRAPER_CACHE_BACKEND || 'memory').toLowerCase();
+  if (!STORES[backend]) {
+    throw new Error(`Unknown scraper cache backend "${backend}". Expected one of: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  const minutes = (value, fallback) => Number(value ?? fallback) * 60 * 1000;
+  return new HttpCache({
+    store: STORES[backend](env),
+    ttls: {
+      search: minutes(env.SCRAPER_CACHE_SEARCH_TTL_MINUTES, 15),
+      profile: minutes(env.SCRAPER_CACHE_PROFILE_TTL_MINUTES, 360)
+    },
+    retainMs: minutes(env.SCRAPER_CACHE_RETAIN_HOURS, 24) * 60
+  });
+}
+
+module.exports = {
+  createHttpCache,
+  HttpCache,
+  MemoryCacheStore,
+  DiskCacheStore,
+  RedisCacheStore
+};
@@ -0,0 +1,93 @@
+// services/http-cache/memory-store.js
+
+/**
+ * In-process cache store that evicts the least recently used entries once
+ * it holds more than maxEntries entries or maxBytes of response bodies.
+ * Entries are lost on restart.
+ */
+class MemoryCacheStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - Entries kept before evicting
+   * @param {number} [options.maxBytes] - Response body bytes kept before evicting
+   */
+  constructor({ maxEntries = 1000, maxBytes = 50 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) return null;
+
+    if (item.expiresAt <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  async set(key, entry, ttlMs) {
+    this.remove(key);
+
+    const size = entry.bytes ?? 0;
+    this.entries.set(key, { entry, size, expiresAt: Date.now() + ttlMs });
+    this.bytes += size;
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      if (oldest === key) continue;
+      this.remove(oldest);
+      this.evictions++;
+    }
+  }
+
+  async delete(key) {
+    return this.remove(key);
+  }
+
+  async list(prefix = '') {
+    const now = Date.now();
+    return [...this.entries.entries()]
+      .filter(([key, item]) => key.startsWith(prefix) && item.expiresAt > now)
+      .map(([, item]) => item.entry);
+  }
+
+  async clear(prefix = '') {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix) && this.remove(key)) removed++;
+    }
+    return removed;
+  }
+
+  async info() {
+    return {
+      backend: 'memory',
+      entries: this.entries.size,
+      bytes: this.bytes,
+      max_entries: this.maxEntries,
+      max_bytes: this.maxBytes,
+      evictions: this.evictions
+    };
+  }
+
+  async close() {}
+
+  remove(key) {
+    const item = this.entries.get(key);
+    if (!item) return false;
+    this.entries.delete(key);
+    this.bytes -= item.size;
+    return true;
+  }
+}
+
+module.exports = MemoryCacheStore;
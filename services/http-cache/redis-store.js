@@ -0,0 +1,92 @@
+// services/http-cache/redis-store.js
+const Redis = require('ioredis');
+const logger = require('../logger').child({ component: 'http-cache' });
+
+/**
+ * Cache store in Redis or a Redis-compatible server (Valkey, KeyDB, ...),
+ * shared by every instance of the service. Redis expires entries itself.
+ *
+ * Commands fail fast while the server is unreachable instead of queueing,
+ * so HttpCache can fall back to fetching from GitHub.
+ */
+class RedisCacheStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Redis URL, e.g. redis://localhost:6379/0
+   * @param {string} [options.keyPrefix] - Prefix for every Redis key
+   */
+  constructor({ url, keyPrefix = 'github-user-insights:http-cache:' }) {
+    this.keyPrefix = keyPrefix;
+    this.url = url;
+    this.client = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+    this.client.on('error', error => {
+      logger.error('Redis cache error', { error });
+    });
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.keyPrefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, entry, ttlMs) {
+    await this.client.set(this.keyPrefix + key, JSON.stringify(entry), 'PX', Math.max(1, Math.round(ttlMs)));
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.keyPrefix + key)) > 0;
+  }
+
+  async list(prefix = '') {
+    const keys = await this.scan(prefix);
+    if (keys.length === 0) return [];
+    const values = await this.client.mget(keys);
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  }
+
+  async clear(prefix = '') {
+    const keys = await this.scan(prefix);
+    let removed = 0;
+    // DEL takes many keys, but not unboundedly many
+    for (let i = 0; i < keys.length; i += 500) {
+      removed += await this.client.del(...keys.slice(i, i + 500));
+    }
+    return removed;
+  }
+
+  async info() {
+    return { backend: 'redis', url: redactUrl(this.url), entries: (await this.scan('')).length };
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+
+  /**
+   * Every Redis key under the store's prefix whose cache key starts with prefix
+   * @param {string} prefix - Cache key prefix
+   * @returns {Promise<Array<string>>} - Redis keys
+   */
+  async scan(prefix) {
+    const pattern = `${escapePattern(this.keyPrefix + prefix)}*`;
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+    return keys;
+  }
+}
+
+// Escape glob characters so MATCH treats the prefix literally
+function escapePattern(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+function redactUrl(url) {
+  return url.replace(/\/\/([^@/]*)@/, '//***@');
+}
+
+module.exports = RedisCacheStore;
@@ -0,0 +1,239 @@
+// services/insights-schema.js
+
+// Bump when the insight fields or their types change
+const SCHEMA_VERSION = 1;
+
+const EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Common wordings models use instead of the allowed experience levels
+const EXPERIENCE_LEVEL_ALIASES = {
+  novice: 'beginner',
+  junior: 'beginner',
+  entry: 'beginner',
+  'entry-level': 'beginner',
+  mid: 'intermediate',
+  'mid-level': 'intermediate',
+  senior: 'advanced',
+  experienced: 'advanced',
+  staff: 'expert',
+  principal: 'expert'
+};
+
+const FIELD_TYPES = ['string', 'string[]', 'enum', 'integer', 'boolean'];
+
+// Custom field names become JSON keys and export columns
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Insight fields produced by the AI. Each field has a type ('string',
+ * 'string[]', 'enum', 'integer' or 'boolean'), a description used in prompts
+ * and, for enums, the allowed values.
+ */
+const INSIGHT_FIELDS = {
+  primary_skills: {
+    type: 'string[]',
+    description: 'Primary skills, e.g. programming languages and domains'
+  },
+  tech_stack: {
+    type: 'string[]',
+    description: 'Specific technologies and frameworks they seem familiar with'
+  },
+  experience_level: {
+    type: 'enum',
+    values: EXPERIENCE_LEVELS,
+    aliases: EXPERIENCE_LEVEL_ALIASES,
+    description: 'Experience level'
+  },
+  notable_contributions: {
+    type: 'string[]',
+    description: 'Notable contributions or focus areas'
+  },
+  professional_summary: {
+    type: 'string',
+    description: 'Brief professional summary (2-3 sentences)'
+  }
+};
+
+/**
+ * Build a JSON Schema for a set of insight fields
+ * @param {Object} fields - Field definitions
+ * @returns {Object} - JSON Schema object requiring every field
+ */
+function toJsonSchema(fields = INSIGHT_FIELDS) {
+  const properties = {};
+
+  Object.entries(fields).forEach(([name, field]) => {
+    if (field.type === 'string[]') {
+      properties[name] = { type: 'array', items: { type: 'string' }, description: field.description };
+    } else if (field.type === 'enum') {
+      properties[name] = { type: 'string', enum: field.values, description: field.description };
+    } else if (field.type === 'integer' || field.type === 'boolean') {
+      properties[name] = { type: field.type, description: field.description };
+    } else {
+      properties[name] = { type: 'string', description: field.description };
+    }
+  });
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(fields),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Normalize a single value for a field
+ * @param {Object} field - Field definition
+ * @param {*} value - Raw value from the model
+ * @returns {{value: *, error: string|null}}
+ */
+function normalizeField(field, value) {
+  if (value === undefined || value === null) {
+    return { value: null, error: 'is missing' };
+  }
+
+  if (field.type === 'string[]') {
+    let items = value;
+    if (typeof items === 'string') items = items.split(/[,;\n]/);
+    if (!Array.isArray(items)) return { value: null, error: 'must be an array of strings' };
+
+    const seen = new Set();
+    const normalized = [];
+    items.forEach(item => {
+      if (typeof item !== 'string' && typeof item !== 'number') return;
+      const text = String(item).replace(/^[\s\-*•]+/, '').trim();
+      if (text && !seen.has(text.toLowerCase())) {
+        seen.add(text.toLowerCase());
+        normalized.push(text);
+      }
+    });
+    return { value: normalized, error: null };
+  }
+
+  if (field.type === 'integer') {
+    const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return { value: null, error: 'must be an integer' };
+    }
+    return { value: Math.round(number), error: null };
+  }
+
+  if (field.type === 'boolean') {
+    if (typeof value === 'boolean') return { value, error: null };
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes'].includes(text)) return { value: true, error: null };
+    if (['false', 'no'].includes(text)) return { value: false, error: null };
+    return { value: null, error: 'must be true or false' };
+  }
+
+  if (typeof value !== 'string') {
+    return { value: null, error: 'must be a string' };
+  }
+
+  if (field.type === 'enum') {
+    const text = value.trim().toLowerCase();
+    const match = field.values.find(allowed => text === allowed)
+      || field.aliases?.[text]
+      || field.values.find(allowed => new RegExp(`\\b${allowed}\\b`).test(text));
+    if (!match) {
+      return { value: null, error: `must be one of: ${field.values.join(', ')}` };
+    }
+    return { value: match, error: null };
+  }
+
+  return { value: value.trim(), error: null };
+}
+
+/**
+ * Validate parsed model output against insight fields, normalizing
+ * comma-separated strings into arrays and loose enum wording into the
+ * allowed values
+ * @param {*} data - Parsed JSON from the model
+ * @param {Object} [fields] - Field definitions
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+function validateInsights(data, fields = INSIGHT_FIELDS) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['response must be a JSON object'], value: {} };
+  }
+
+  const errors = [];
+  const value = {};
+
+  Object.entries(fields).forEach(([name, field]) => {
+    const result = normalizeField(field, data[name]);
+    if (result.error) {
+      errors.push(`${name} ${result.error}`);
+    } else {
+      value[name] = result.value;
+    }
+  });
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Validate custom insight field definitions, e.g. from a prompt template.
+ * `true` reuses the standard definition of an insight field of that name.
+ * @param {Object} fields - Field name -> definition
+ * @param {string} [name] - Where the fields come from, for error messages
+ * @returns {Object} - Field definitions
+ * @throws {Error} - If a definition is invalid
+ */
+function compileFields(fields, name = 'fields') {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    throw new Error(`"${name}" must be a non-empty object of field definitions`);
+  }
+
+  const compiled = {};
+  Object.entries(fields).forEach(([field, definition]) => {
+    const label = `${name}.${field}`;
+    if (!FIELD_NAME_PATTERN.test(field)) {
+      throw new Error(`"${label}" must be a lower-case identifier (letters, digits and underscores)`);
+    }
+
+    if (definition === true) {
+      if (!INSIGHT_FIELDS[field]) throw new Error(`"${label}" is not a standard insight field`);
+      compiled[field] = INSIGHT_FIELDS[field];
+      return;
+    }
+
+    if (!FIELD_TYPES.includes(definition?.type)) {
+      throw new Error(`"${label}.type" must be one of: ${FIELD_TYPES.join(', ')}`);
+    }
+    if (typeof definition.description !== 'string' || !definition.description.trim()) {
+      throw new Error(`"${label}.description" must be a non-empty string`);
+    }
+
+    const compiledField = { type: definition.type, description: definition.description.trim() };
+    if (definition.type === 'enum') {
+      const values = definition.values;
+      if (!Array.isArray(values) || values.length === 0 || values.some(value => typeof value !== 'string' || !value)) {
+        throw new Error(`"${label}.values" must be a non-empty array of strings`);
+      }
+      compiledField.values = values.map(value => value.toLowerCase());
+
+      compiledField.aliases = {};
+      Object.entries(definition.aliases || {}).forEach(([alias, value]) => {
+        if (typeof value !== 'string' || !compiledField.values.includes(value.toLowerCase())) {
+          throw new Error(`"${label}.aliases.${alias}" must map to one of the values`);
+        }
+        compiledField.aliases[alias.toLowerCase()] = value.toLowerCase();
+      });
+    }
+    compiled[field] = compiledField;
+  });
+
+  return compiled;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  EXPERIENCE_LEVELS,
+  FIELD_TYPES,
+  INSIGHT_FIELDS,
+  compileFields,
+  toJsonSchema,
+  validateInsights
+};
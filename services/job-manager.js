@@ -0,0 +1,294 @@
+// services/job-manager.js
+const EventEmitter = require('events');
+const { performance } = require('perf_hooks');
+const { toAppError } = require('./errors');
+const logger = require('./logger').child({ component: 'jobs' });
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  SCRAPING: 'scraping',
+  ENRICHING: 'enriching',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const ACTIVE_STATUSES = [JOB_STATUS.PENDING, JOB_STATUS.SCRAPING, JOB_STATUS.ENRICHING];
+
+class JobManager {
+  constructor(dataStore, scraper, aiProcessor) {
+    this.dataStore = dataStore;
+    this.scraper = scraper;
+    this.aiProcessor = aiProcessor;
+
+    // In-memory job state; finished jobs are also readable from the DataStore
+    this.jobs = new Map();
+    this.maxFinishedJobs = 100;
+
+    this.recoverInterruptedRequests();
+  }
+
+  /**
+   * Mark requests that were still running when the process stopped as failed.
+   * Requests left pending by releases that didn't track statuses are
+   * completed by the storage upgrade first when their results were stored.
+   */
+  recoverInterruptedRequests() {
+    this.dataStore.getRequestHistory()
+      .filter(request => ACTIVE_STATUSES.includes(request.status))
+      .forEach(request => {
+        this.dataStore.logFailure(request.id, 'Interrupted by server restart');
+      });
+  }
+
+  /**
+   * Log a new search request and register a pending job for it
+   * @param {string} query - Search query
+   * @param {number} pages - Number of pages
+   * @param {Object} [options] - Pipeline options
+   * @param {string} [options.provider] - AI provider overriding the configured default
+   * @param {boolean} [options.skipAiCache] - Ignore cached AI insights
+   * @param {string} [options.template] - Prompt template overriding the configured default
+   * @param {string} [options.apiKeyId] - API key that started the search
+   * @param {Object} [options.meter] - Quota counter for the key's AI calls
+   * @returns {Object} - Job state
+   */
+  createJob(query, pages, options = {}) {
+    const requestId = this.dataStore.logRequest(query, pages, { apiKeyId: options.apiKeyId });
+    const now = new Date().toISOString();
+    // Ties the HTTP request (or saved search run) that started the job to it in the logs
+    logger.annotate({ request_id: requestId });
+
+    const job = {
+      id: requestId,
+      query,
+      pages,
+      options,
+      status: JOB_STATUS.PENDING,
+      progress: {
+        pages_scraped: 0,
+        users_found: 0,
+        profiles_scraped: 0,
+        users_enriched: 0
+      },
+      created_at: now,
+      updated_at: now,
+      completed_at: null,
+      error: null,
+      error_code: null,
+      // AppError describing why the job failed, for callers that report it
+      failure: null,
+      result: null,
+      // Emits status, page, profile, insight and summary events while running
+      events: new EventEmitter()
+    };
+
+    this.jobs.set(requestId, job);
+    return job;
+  }
+
+  /**
+   * Run the scrape + AI pipeline for a job. Never rejects; failures are
+   * recorded on the job and the request record. Everything logged while it
+   * runs carries the job's request_id.
+   * @param {Object} job - Job state from createJob
+   * @returns {Promise<Object>} - The finished job
+   */
+  runJob(job) {
+    return logger.withContext({ request_id: job.id }, () => this.executeJob(job));
+  }
+
+  async executeJob(job) {
+    const startTime = performance.now();
+    logger.info('Processing search request', { query: job.query, pages: job.pages });
+
+    try {
+      this.setStatus(job, JOB_STATUS.SCRAPING);
+      const users = await this.scraper.searchUsers(job.query, job.pages, {
+        onPage: ({ page, users: pageUsers }) => {
+          job.progress.pages_scraped++;
+          job.progress.users_found += pageUsers.length;
+          this.touch(job);
+          job.events.emit('page', {
+            page,
+            users_on_page: pageUsers.length,
+            pages_scraped: job.progress.pages_scraped,
+            pages: job.pages
+          });
+        },
+        onProfile: user => {
+          job.progress.profiles_scraped++;
+          this.touch(job);
+          job.events.emit('profile', { user });
+        }
+      });
+      job.progress.users_found = users.length;
+      logger.info('Found users for query', { query: job.query, users: users.length });
+
+      // Users are enriched concurrently; AIProcessor enforces concurrency and rate limits
+      this.setStatus(job, JOB_STATUS.ENRICHING);
+      const enrichedUsers = await Promise.all(users.map(async user => {
+        try {
+          user.ai_insights = await this.aiProcessor.processUser(user, {
+            provider: job.options.provider,
+            skipCache: job.options.skipAiCache,
+            template: job.options.template,
+            meter: job.options.meter
+          });
+        } catch (error) {
+          logger.error('Error processing user', { username: user.username, error });
+          user.ai_insights = { error: error.message };
+        }
+        job.progress.users_enriched++;
+        this.touch(job);
+        job.events.emit('insight', { username: user.username, ai_insights: user.ai_insights });
+        return user;
+      }));
+
+      const result = {
+        request_id: job.id,
+        query: job.query,
+        count: enrichedUsers.length,
+        ai_cache_hits: enrichedUsers.filter(user => user.ai_insights?.cache_hit).length,
+        results: enrichedUsers
+      };
+
+      this.dataStore.saveResults(result);
+      this.dataStore.logResponse(job.id, result.count);
+
+      job.result = result;
+      job.completed_at = new Date().toISOString();
+      this.setStatus(job, JOB_STATUS.COMPLETED);
+
+      const endTime = performance.now();
+      logger.info('Search request completed', { result_count: result.count, duration_seconds: Number(((endTime - startTime) / 1000).toFixed(2)) });
+    } catch (error) {
+      logger.error('Search request failed', { error });
+      job.failure = toAppError(error);
+      job.error = error.message;
+      job.error_code = job.failure.code;
+      job.completed_at = new Date().toISOString();
+      this.setStatus(job, JOB_STATUS.FAILED);
+      // The failure may have come from storage, which can fail again here
+      try {
+        this.dataStore.logFailure(job.id, error.message);
+      } catch (storageError) {
+        logger.error('Could not record the failure of the search request', { error: storageError });
+      }
+    } finally {
+      job.events.emit('summary', {
+        request_id: job.id,
+        query: job.query,
+        status: job.status,
+        count: job.result?.count ?? 0,
+        ai_cache_hits: job.result?.ai_cache_hits ?? 0,
+        error: job.error,
+        error_code: job.error_code,
+        retry_after: job.failure?.retryAfter ?? null,
+        duration_seconds: Number(((performance.now() - startTime) / 1000).toFixed(2))
+      });
+      job.events.removeAllListeners();
+
+      this.pruneFinishedJobs();
+    }
+
+    return job;
+  }
+
+  /**
+   * Record that a job made progress
+   * @param {Object} job - Job state
+   */
+  touch(job) {
+    job.updated_at = new Date().toISOString();
+  }
+
+  /**
+   * Update a job's status and mirror it onto the request record
+   * @param {Object} job - Job state
+   * @param {string} status - New status
+   */
+  setStatus(job, status) {
+    job.status = status;
+    this.touch(job);
+    job.events.emit('status', { status });
+
+    if (ACTIVE_STATUSES.includes(status)) {
+      this.dataStore.updateRequest(job.id, { status });
+    }
+  }
+
+  /**
+   * Get the public view of a job, falling back to the stored request record
+   * for jobs that are no longer held in memory
+   * @param {string} requestId - Request ID
+   * @param {Object|null} [owner] - API key record; other keys' jobs are treated as unknown
+   * @returns {Object|null} - Job status, or null if unknown
+   */
+  getJob(requestId, owner = null) {
+    const job = this.jobs.get(requestId);
+    if (job) {
+      return owner && job.options.apiKeyId !== owner.id ? null : this.formatJob(job);
+    }
+
+    const request = this.dataStore.getRequest(requestId);
+    if (!request || (owner && request.api_key_id !== owner.id)) return null;
+
+    const stored = this.dataStore.getResult(requestId) || null;
+    return {
+      id: request.id,
+      query: request.query,
+      pages: request.pages,
+      status: request.status,
+      progress: {
+        pages_scraped: request.status === JOB_STATUS.COMPLETED ? request.pages : 0,
+        users_found: request.result_count ?? 0,
+        profiles_scraped: request.result_count ?? 0,
+        users_enriched: request.result_count ?? 0
+      },
+      created_at: request.timestamp,
+      completed_at: request.completed_at,
+      error: request.error || null,
+      error_code: null,
+      retry_after: null,
+      result: stored
+    };
+  }
+
+  /**
+   * Build the public view of an in-memory job
+   * @param {Object} job - Job state
+   * @returns {Object} - Serializable job status
+   */
+  formatJob(job) {
+    return {
+      id: job.id,
+      query: job.query,
+      pages: job.pages,
+      status: job.status,
+      progress: { ...job.progress },
+      created_at: job.created_at,
+      updated_at: job.updated_at,
+      completed_at: job.completed_at,
+      error: job.error,
+      error_code: job.error_code,
+      retry_after: job.failure?.retryAfter ?? null,
+      result: job.result
+    };
+  }
+
+  /**
+   * Drop the oldest finished jobs from memory once over the limit
+   */
+  pruneFinishedJobs() {
+    const finished = [...this.jobs.values()].filter(job => !ACTIVE_STATUSES.includes(job.status));
+    const excess = finished.length - this.maxFinishedJobs;
+
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+}
+
+JobManager.JOB_STATUS = JOB_STATUS;
+
+module.exports = JobManager;
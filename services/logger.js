@@ -0,0 +1,171 @@
+// services/logger.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+// Fields of the work being done, such as the HTTP request or search request,
+// added to every entry logged while doing it
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Errors as loggable fields. Stacks are only kept for unexpected errors;
+ * AppErrors are described well enough by their code and message.
+ * @param {Error} error
+ * @returns {Object}
+ */
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code) serialized.code = error.code;
+  if (error.status) serialized.status = error.status;
+  if (!error.code || error.status >= 500) serialized.stack = error.stack;
+  return serialized;
+}
+
+function formatPretty({ time, level, msg, component, ...fields }) {
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+/**
+ * Structured logger writing one JSON object per line to stdout:
+ * { time, level, msg, ...fields }. Entries carry the fields of the current
+ * context (see withContext), so everything logged while serving a request
+ * or running a search shares its request_id.
+ */
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level] - Lowest level written: debug, info, warn, error or silent
+   * @param {string} [options.format] - json, or pretty for people reading a terminal
+   * @param {Object} [options.fields] - Fields added to every entry
+   * @param {Logger} [options.parent] - Logger this is a child of
+   */
+  constructor({
+    level = process.env.LOG_LEVEL || 'info',
+    format = process.env.LOG_FORMAT || 'json',
+    fields = {},
+    parent = null
+  } = {}) {
+    if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}"; expected one of ${Object.keys(LEVELS).join(', ')}`);
+
+    this.level = level;
+    this.format = format;
+    this.fields = fields;
+    // Children write through the root, so its level and output apply to all
+    this.root = parent ? parent.root : this;
+  }
+
+  /**
+   * A logger that adds fields to every entry, e.g. { component: 'scraper' }
+   * @param {Object} fields
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({ fields: { ...this.fields, ...fields }, parent: this });
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  /**
+   * Whether entries at a level are written
+   * @param {string} level
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.root.level];
+  }
+
+  /**
+   * @param {string} level - debug, info, warn or error
+   * @param {string} msg - What happened
+   * @param {Object} [fields] - Details; Error values are serialized
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.fields,
+      ...contextStorage.getStore()
+    };
+
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value === undefined) return;
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+
+    this.root.write(this.root.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+  }
+
+  /**
+   * Write one formatted entry
+   * @param {string} line
+   */
+  write(line) {
+    process.stdout.write(`${line}\n`);
+  }
+
+  /**
+   * Run a function with fields added to every entry logged by it, including
+   * asynchronously. Fields of an enclosing context are kept.
+   * @param {Object} fields - e.g. { request_id }
+   * @param {Function} fn - Called with the context's fields, which annotate() adds to
+   * @returns {*} - What fn returns
+   */
+  withContext(fields, fn) {
+    const store = { ...contextStorage.getStore(), ...fields };
+    return contextStorage.run(store, () => fn(store));
+  }
+
+  /**
+   * Add fields to the current context, for values learned part way through,
+   * such as the request ID of a search created by an HTTP request. Ignored
+   * outside a context.
+   * @param {Object} fields
+   */
+  annotate(fields) {
+    const store = contextStorage.getStore();
+    if (store) Object.assign(store, fields);
+  }
+
+  /**
+   * Fields of the current context
+   * @returns {Object}
+   */
+  context() {
+    return { ...contextStorage.getStore() };
+  }
+}
+
+Logger.LEVELS = LEVELS;
+Logger.serializeError = serializeError;
+
+// The process-wide logger; modules take a child with their component name
+const logger = new Logger();
+logger.Logger = Logger;
+
+module.exports = logger;
@@ -0,0 +1,274 @@
+// services/metrics.js
+
+// Default histogram buckets, in seconds: from fast cache reads to slow AI calls
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base of the metric types: a name, help text and the label names every
+ * observation must use. Values are kept per combination of label values.
+ */
+class Metric {
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    // Serialized label values -> { labels, value }
+    this.series = new Map();
+  }
+
+  /**
+   * The series for a set of labels, created on first use
+   * @param {Object} labels - Label name -> value
+   * @param {Function} create - Returns the initial value
+   * @returns {Object}
+   */
+  getSeries(labels, create) {
+    const names = Object.keys(labels);
+    const unknown = names.find(name => !this.labelNames.includes(name));
+    if (unknown || names.length !== this.labelNames.length) {
+      throw new Error(`Metric ${this.name} takes labels ${this.labelNames.join(', ') || '(none)'}, got ${names.join(', ') || '(none)'}`);
+    }
+
+    const ordered = Object.fromEntries(this.labelNames.map(name => [name, String(labels[name])]));
+    const key = JSON.stringify(ordered);
+    if (!this.series.has(key)) this.series.set(key, { labels: ordered, value: create() });
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super(options, 'counter');
+  }
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount] - Non-negative increment
+   */
+  inc(labels = {}, amount = 1) {
+    if (!(amount >= 0)) throw new Error(`Counter ${this.name} can't be increased by ${amount}`);
+    this.getSeries(labels, () => 0).value += amount;
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+/**
+ * A value that goes up and down. Gauges with a `collect` function read
+ * their value when metrics are rendered instead of being set.
+ */
+class Gauge extends Metric {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.collect] - Called with the gauge before each render
+   */
+  constructor({ collect, ...options }) {
+    super(options, 'gauge');
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => 0).value = value;
+  }
+
+  render() {
+    if (this.collect) this.collect(this);
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} options
+   * @param {Array<number>} [options.buckets] - Upper bounds, ascending
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options, 'histogram');
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value, e.g. seconds
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.value.counts[i]++;
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  /**
+   * Start timing something
+   * @param {Object} [labels] - Label values known now
+   * @returns {Function} - Call with the remaining label values to record the
+   *   elapsed seconds; returns them
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [];
+    this.series.forEach(({ labels, value }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Metrics in the Prometheus text exposition format
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Every metric in the text exposition format
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+    this.metrics.forEach(metric => {
+      const samples = metric.render();
+      // Metrics without observations yet are left out, as Prometheus clients do for labelled metrics
+      if (samples.length > 0) lines.push(...metric.header(), ...samples);
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// The service's metrics, recorded where the work happens and served at /metrics
+const registry = new MetricsRegistry();
+
+module.exports = {
+  registry,
+  MetricsRegistry,
+
+  httpRequestDuration: registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duration of HTTP requests to the service, by route pattern',
+    labelNames: ['method', 'route', 'status']
+  }),
+
+  githubFetches: registry.counter({
+    name: 'github_fetches_total',
+    help: 'GitHub pages and API responses requested through the cache, by cache result and outcome',
+    labelNames: ['kind', 'cache', 'outcome']
+  }),
+  githubRequestDuration: registry.histogram({
+    name: 'github_request_duration_seconds',
+    help: 'Duration of requests sent to GitHub, by host and outcome',
+    labelNames: ['host', 'outcome']
+  }),
+  githubRateLimits: registry.counter({
+    name: 'github_rate_limits_total',
+    help: 'Times GitHub rate limited a request',
+    labelNames: ['host']
+  }),
+
+  selectorMatches: registry.counter({
+    name: 'scraper_selector_matches_total',
+    help: 'Scraped fields by whether the primary selector, a fallback or no selector matched',
+    labelNames: ['scope', 'field', 'match']
+  }),
+
+  aiRequestDuration: registry.histogram({
+    name: 'ai_request_duration_seconds',
+    help: 'Duration of AI provider calls, by provider and outcome',
+    labelNames: ['provider', 'outcome']
+  }),
+  aiRetries: registry.counter({
+    name: 'ai_retries_total',
+    help: 'AI provider calls retried, by the status that failed them (network for no response)',
+    labelNames: ['provider', 'status']
+  }),
+  aiParseFailures: registry.counter({
+    name: 'ai_parse_failures_total',
+    help: 'AI responses that failed schema validation, by whether they were a repair attempt',
+    labelNames: ['provider', 'kind', 'attempt']
+  }),
+  aiTokens: registry.counter({
+    name: 'ai_tokens_total',
+    help: 'Tokens reported by AI providers',
+    labelNames: ['provider', 'type']
+  }),
+  aiCacheLookups: registry.counter({
+    name: 'ai_cache_lookups_total',
+    help: 'AI response cache lookups, for insights or rankings, by result',
+    labelNames: ['kind', 'result']
+  }),
+
+  processMemory: registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect: gauge => gauge.set({}, process.memoryUsage().rss)
+  }),
+  processHeap: registry.gauge({
+    name: 'nodejs_heap_used_bytes',
+    help: 'V8 heap used in bytes',
+    collect: gauge => gauge.set({}, process.memoryUsage().heapUsed)
+  }),
+  processStartTime: registry.gauge({
+    name: 'process_start_time_seconds',
+    help: 'Start time of the process since the Unix epoch in seconds',
+    collect: gauge => gauge.set({}, Math.round(Date.now() / 1000 - process.uptime()))
+  })
+};
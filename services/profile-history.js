@@ -0,0 +1,199 @@
+// services/profile-history.js
+const crypto = require('crypto');
+const { parseCount } = require('./profile-normalizer');
+
+// Fields produced by GitHubScraper.scrapeUserProfile that are tracked over time
+const SNAPSHOT_FIELDS = [
+  'username',
+  'display_name',
+  'profile_url',
+  'bio',
+  'location',
+  'contribution_count',
+  'pinned_repositories',
+  'raw_data'
+];
+
+/**
+ * Key under which a user is stored. GitHub usernames are case-insensitive.
+ * @param {string} username - GitHub username
+ * @returns {string}
+ */
+function userKey(username) {
+  return String(username).toLowerCase();
+}
+
+/**
+ * Extract the tracked profile fields from a scraped user
+ * @param {Object} user - User as returned by the scraper
+ * @returns {Object} - Snapshot profile without AI insights
+ */
+function toSnapshot(user) {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (user[field] !== undefined) snapshot[field] = user[field];
+  });
+  return snapshot;
+}
+
+/**
+ * JSON.stringify with sorted object keys so equal profiles hash equally
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Content hash of a snapshot, used to skip storing unchanged profiles. The
+ * contribution calendar is left out: its window moves every day, and real
+ * activity already shows in contribution_count.
+ * @param {Object} snapshot - Snapshot profile
+ * @returns {string}
+ */
+function hashSnapshot(snapshot) {
+  let hashed = snapshot;
+  if (snapshot.raw_data) {
+    const { contribution_calendar, ...rawData } = snapshot.raw_data;
+    hashed = { ...snapshot, raw_data: rawData };
+  }
+  return crypto.createHash('sha256').update(stableStringify(hashed)).digest('hex');
+}
+
+/**
+ * Flatten a snapshot into comparable fields. Lists are reduced to the names
+ * that identify their items.
+ * @param {Object} snapshot - Snapshot profile
+ * @returns {Object}
+ */
+function flattenSnapshot(snapshot) {
+  const raw = snapshot.raw_data || {};
+  return {
+    display_name: snapshot.display_name ?? null,
+    bio: snapshot.bio ?? null,
+    location: snapshot.location ?? null,
+    // Older snapshots hold counts as displayed, e.g. "1,234"
+    contribution_count: parseCount(snapshot.contribution_count),
+    followers: parseCount(raw.followers),
+    following: parseCount(raw.following),
+    profile_readme: raw.profile_readme ?? null,
+    company: raw.company ?? null,
+    website: raw.website ?? null,
+    joined_at: raw.joined_at ?? null,
+    social_links: raw.social_links || [],
+    organizations: raw.organizations || [],
+    pinned_repositories: (snapshot.pinned_repositories || []).map(repo => repo.name),
+    repositories: (raw.repositories || []).map(repo => repo.name),
+    stars: (raw.repositories || []).reduce((sum, repo) => sum + (repo.stars || 0), 0),
+    languages: (raw.languages || []).map(entry => entry.language)
+  };
+}
+
+/**
+ * Describe what changed between two snapshots
+ * @param {Object} before - Older snapshot profile
+ * @param {Object} after - Newer snapshot profile
+ * @returns {Array<Object>} - One entry per changed field
+ */
+function diffSnapshots(before, after) {
+  const a = flattenSnapshot(before);
+  const b = flattenSnapshot(after);
+  const changes = [];
+
+  Object.keys(a).forEach(field => {
+    if (Array.isArray(a[field])) {
+      const added = b[field].filter(item => !a[field].includes(item));
+      const removed = a[field].filter(item => !b[field].includes(item));
+      if (added.length > 0 || removed.length > 0) {
+        changes.push({ field, added, removed });
+      }
+    } else if (a[field] !== b[field]) {
+      changes.push({ field, from: a[field], to: b[field] });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compare two results of the same search: users that appeared, users that
+ * dropped out, and changes to the profiles of users in both. Users whose
+ * profile couldn't be scraped in either result are not compared.
+ * @param {Array<Object>} previousUsers - Users of the earlier result
+ * @param {Array<Object>} users - Users of the later result
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<{username: string, changes: Array<Object>}>}}
+ */
+function diffResults(previousUsers, users) {
+  const before = new Map(previousUsers.map(user => [userKey(user.username), user]));
+  const after = new Map(users.map(user => [userKey(user.username), user]));
+
+  const changed = [];
+  users.forEach(user => {
+    const previous = before.get(userKey(user.username));
+    if (!previous || previous.raw_data?.error || user.raw_data?.error) return;
+
+    const changes = diffSnapshots(toSnapshot(previous), toSnapshot(user));
+    if (changes.length > 0) changed.push({ username: user.username, changes });
+  });
+
+  return {
+    added: users.filter(user => !before.has(userKey(user.username))),
+    removed: previousUsers.filter(user => !after.has(userKey(user.username))),
+    changed
+  };
+}
+
+/**
+ * Build the history view of a stored user: snapshots oldest first, each with
+ * the changes since the previous successfully scraped snapshot
+ * @param {Object} record - Stored user with snapshots
+ * @returns {Object}
+ */
+function buildHistory(record) {
+  let previous = null;
+
+  const snapshots = record.snapshots.map(snapshot => {
+    const scrapeError = snapshot.profile.raw_data?.error || null;
+    const entry = {
+      id: snapshot.id,
+      captured_at: snapshot.captured_at,
+      request_id: snapshot.request_id,
+      profile: snapshot.profile,
+      changes: []
+    };
+
+    if (scrapeError) {
+      entry.scrape_error = scrapeError;
+    } else {
+      if (previous) entry.changes = diffSnapshots(previous.profile, snapshot.profile);
+      previous = snapshot;
+    }
+
+    return entry;
+  });
+
+  return {
+    username: record.username,
+    first_seen_at: record.first_seen_at,
+    last_seen_at: record.last_seen_at,
+    snapshot_count: snapshots.length,
+    snapshots
+  };
+}
+
+module.exports = {
+  userKey,
+  toSnapshot,
+  hashSnapshot,
+  diffSnapshots,
+  diffResults,
+  buildHistory
+};
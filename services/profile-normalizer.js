@@ -0,0 +1,212 @@
+// services/profile-normalizer.js
+const { summarizeLanguages } = require('./profile-stats');
+
+const COUNT_MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+// Lower-cased spellings -> GitHub's (linguist) language names
+const LANGUAGE_ALIASES = {
+  javascript: 'JavaScript',
+  js: 'JavaScript',
+  typescript: 'TypeScript',
+  ts: 'TypeScript',
+  python: 'Python',
+  py: 'Python',
+  go: 'Go',
+  golang: 'Go',
+  rust: 'Rust',
+  java: 'Java',
+  kotlin: 'Kotlin',
+  swift: 'Swift',
+  'objective-c': 'Objective-C',
+  objc: 'Objective-C',
+  c: 'C',
+  'c++': 'C++',
+  cpp: 'C++',
+  'c#': 'C#',
+  csharp: 'C#',
+  ruby: 'Ruby',
+  php: 'PHP',
+  scala: 'Scala',
+  dart: 'Dart',
+  elixir: 'Elixir',
+  haskell: 'Haskell',
+  shell: 'Shell',
+  bash: 'Shell',
+  powershell: 'PowerShell',
+  html: 'HTML',
+  css: 'CSS',
+  scss: 'SCSS',
+  vue: 'Vue',
+  svelte: 'Svelte',
+  'jupyter notebook': 'Jupyter Notebook',
+  r: 'R',
+  lua: 'Lua',
+  perl: 'Perl',
+  zig: 'Zig',
+  dockerfile: 'Dockerfile',
+  hcl: 'HCL',
+  'vim script': 'Vim Script',
+  vimscript: 'Vim Script'
+};
+
+// Canonical language names, e.g. to spot languages in free text
+const LANGUAGE_NAMES = [...new Set(Object.values(LANGUAGE_ALIASES))];
+
+// Lower-cased location parts -> canonical names
+const LOCATION_ALIASES = {
+  usa: 'United States',
+  us: 'United States',
+  'u.s.': 'United States',
+  'u.s.a.': 'United States',
+  'united states of america': 'United States',
+  uk: 'United Kingdom',
+  'u.k.': 'United Kingdom',
+  'great britain': 'United Kingdom',
+  uae: 'United Arab Emirates',
+  prc: 'China',
+  'the netherlands': 'Netherlands',
+  holland: 'Netherlands',
+  deutschland: 'Germany',
+  nyc: 'New York',
+  'new york city': 'New York',
+  sf: 'San Francisco',
+  'bay area': 'San Francisco Bay Area',
+  'sf bay area': 'San Francisco Bay Area',
+  la: 'Los Angeles',
+  bengaluru: 'Bangalore'
+};
+
+/**
+ * Parse a displayed count such as "1,234", "1.2k" or "3M" into an integer
+ * @param {string|number} value - Count as shown by GitHub
+ * @returns {number|null} - Integer count, or null if it is not a count
+ */
+function parseCount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().replace(/[,\s]/g, '').match(/^(\d+(?:\.\d+)?)([kmb])?$/i);
+  if (!match) return null;
+
+  const multiplier = match[2] ? COUNT_MULTIPLIERS[match[2].toLowerCase()] : 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Canonical language name, e.g. "golang" -> "Go"
+ * @param {string|null} language - Language as scraped
+ * @returns {string|null}
+ */
+function normalizeLanguage(language) {
+  if (typeof language !== 'string') return null;
+  const name = language.trim().replace(/\s+/g, ' ');
+  if (!name) return null;
+  return LANGUAGE_ALIASES[name.toLowerCase()] || name;
+}
+
+/**
+ * Canonical location: whitespace collapsed, duplicate parts removed and
+ * common abbreviations expanded, e.g. "berlin , germany" -> "Berlin, Germany"
+ * @param {string|null} location - Free-text location
+ * @returns {string|null}
+ */
+function normalizeLocation(location) {
+  if (typeof location !== 'string') return null;
+
+  const seen = new Set();
+  const parts = location
+    .split(/[,;|]/)
+    .map(cleanLocationPart)
+    .filter(Boolean)
+    .map(part => LOCATION_ALIASES[part.toLowerCase()] || titleCaseIfLower(part))
+    .filter(part => {
+      const key = part.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+function cleanLocationPart(part) {
+  const text = part.trim().replace(/\s+/g, ' ');
+  // Drop a sentence-ending period, but keep abbreviations such as "U.S."
+  return /^[^.]+\.$/.test(text) ? text.slice(0, -1) : text;
+}
+
+function titleCaseIfLower(text) {
+  if (text !== text.toLowerCase()) return text;
+  return text.replace(/(^|[\s-])(\p{L})/gu, (_, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Organization logins without "@" prefixes, deduplicated case-insensitively
+ * @param {Array<string>} organizations - Scraped organization names
+ * @returns {Array<string>}
+ */
+function normalizeOrganizations(organizations = []) {
+  const seen = new Set();
+  return organizations
+    .map(org => String(org).trim().replace(/^@/, ''))
+    .filter(org => {
+      const key = org.toLowerCase();
+      if (!org || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Convert a scraped or API-fetched user into the typed user model: counts
+ * become integers (null when unknown), and locations, languages and
+ * organizations are canonicalized. Users whose scrape failed are returned
+ * unchanged.
+ * @param {Object} user - User from a GitHub data source
+ * @returns {Object} - Normalized copy
+ */
+function normalizeUser(user) {
+  if (!user || user.raw_data?.error) return user;
+
+  const normalized = { ...user };
+
+  if ('contribution_count' in user) normalized.contribution_count = parseCount(user.contribution_count);
+  if ('location' in user) normalized.location = normalizeLocation(user.location);
+
+  if (Array.isArray(user.pinned_repositories)) {
+    normalized.pinned_repositories = user.pinned_repositories.map(repo => ({
+      ...repo,
+      language: normalizeLanguage(repo.language)
+    }));
+  }
+
+  if (user.raw_data) {
+    const rawData = { ...user.raw_data };
+    if ('followers' in rawData) rawData.followers = parseCount(rawData.followers);
+    if ('following' in rawData) rawData.following = parseCount(rawData.following);
+    if (Array.isArray(rawData.organizations)) rawData.organizations = normalizeOrganizations(rawData.organizations);
+
+    if (Array.isArray(rawData.repositories)) {
+      rawData.repositories = rawData.repositories.map(repo => ({
+        ...repo,
+        language: normalizeLanguage(repo.language),
+        stars: parseCount(repo.stars) ?? 0,
+        forks: parseCount(repo.forks) ?? 0
+      }));
+      rawData.languages = summarizeLanguages(rawData.repositories);
+    }
+
+    normalized.raw_data = rawData;
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  LANGUAGE_NAMES,
+  parseCount,
+  normalizeLanguage,
+  normalizeLocation,
+  normalizeOrganizations,
+  normalizeUser
+};
@@ -0,0 +1,62 @@
+// services/profile-stats.js
+
+/**
+ * Language breakdown of a user's repositories, most used first
+ * @param {Array<Object>} repositories - Repositories with `language` and `stars`
+ * @returns {Array<{language: string, repositories: number, stars: number, share: number}>}
+ */
+function summarizeLanguages(repositories = []) {
+  const byLanguage = new Map();
+
+  repositories.forEach(repo => {
+    if (!repo.language) return;
+    const entry = byLanguage.get(repo.language) || { language: repo.language, repositories: 0, stars: 0 };
+    entry.repositories++;
+    entry.stars += repo.stars || 0;
+    byLanguage.set(repo.language, entry);
+  });
+
+  const total = [...byLanguage.values()].reduce((sum, entry) => sum + entry.repositories, 0);
+
+  return [...byLanguage.values()]
+    .map(entry => ({ ...entry, share: Number((entry.repositories / total).toFixed(2)) }))
+    .sort((a, b) => b.repositories - a.repositories || b.stars - a.stars || a.language.localeCompare(b.language));
+}
+
+/**
+ * Activity summary of a contribution calendar
+ * @param {Array<{date: string, count: number}>} calendar - One entry per day
+ * @returns {Object|null} - Totals and streaks, or null for an empty calendar
+ */
+function summarizeContributions(calendar = []) {
+  if (calendar.length === 0) return null;
+
+  const days = [...calendar].sort((a, b) => a.date.localeCompare(b.date));
+  let longestStreak = 0;
+  let streak = 0;
+
+  days.forEach(day => {
+    streak = day.count > 0 ? streak + 1 : 0;
+    longestStreak = Math.max(longestStreak, streak);
+  });
+
+  // Today may not have contributions yet; a streak up to yesterday still counts
+  const end = days[days.length - 1].count > 0 ? days.length - 1 : days.length - 2;
+  let currentStreak = 0;
+  for (let i = end; i >= 0 && days[i].count > 0; i--) currentStreak++;
+
+  return {
+    from: days[0].date,
+    to: days[days.length - 1].date,
+    total: days.reduce((sum, day) => sum + day.count, 0),
+    active_days: days.filter(day => day.count > 0).length,
+    longest_streak: longestStreak,
+    current_streak: currentStreak,
+    last_30_days: days.slice(-30).reduce((sum, day) => sum + day.count, 0)
+  };
+}
+
+module.exports = {
+  summarizeLanguages,
+  summarizeContributions
+};
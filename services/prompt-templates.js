@@ -0,0 +1,183 @@
+// services/prompt-templates.js
+const fs = require('fs');
+const path = require('path');
+const { INSIGHT_FIELDS, compileFields } = require('./insights-schema');
+const logger = require('./logger').child({ component: 'ai' });
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'config', 'prompt-templates');
+const DEFAULT_TEMPLATE = 'default';
+
+// Profile sections built by AIProcessor.prepareUserSections, in prompt order
+const SECTION_VARIABLES = ['basics', 'pinned_repositories', 'details', 'repositories', 'contributions', 'profile_readme'];
+const VARIABLES = ['username', 'profile', ...SECTION_VARIABLES, 'fields'];
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Built-in template reproducing the standard five insight fields
+const BUILTIN_TEMPLATE = {
+  name: DEFAULT_TEMPLATE,
+  version: 1,
+  description: 'Skills, tech stack, experience level, notable contributions and a professional summary',
+  prompt: [
+    'Analyze the following GitHub user profile and provide structured insights:',
+    '',
+    '{{profile}}',
+    '',
+    'Based on the information above, provide a structured analysis as a JSON object with exactly these keys:',
+    '',
+    '{{fields}}',
+    '',
+    'Respond with the JSON object only, without markdown or commentary.'
+  ].join('\n'),
+  fields: INSIGHT_FIELDS
+};
+
+/**
+ * Named prompt templates for AI insights, loaded from JSON files in a
+ * directory (one template per file, named after the file).
+ *
+ * A template has:
+ * - version: integer, bump when the prompt or fields change
+ * - description: what the template is for
+ * - prompt: text (or an array of lines) with {{variable}} placeholders:
+ *   {{username}}, {{profile}} (every profile section) or the individual
+ *   sections {{basics}}, {{pinned_repositories}}, {{details}},
+ *   {{repositories}}, {{contributions}} and {{profile_readme}}, and
+ *   {{fields}}, the list of output fields (required)
+ * - fields: output field definitions (see insights-schema compileFields)
+ *
+ * The built-in "default" template produces the standard insight fields.
+ */
+class PromptTemplates {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Template directory, defaults to PROMPT_TEMPLATES_DIR or config/prompt-templates
+   * @param {string} [options.defaultTemplate] - Template used when a request doesn't name one
+   */
+  constructor({
+    dir = process.env.PROMPT_TEMPLATES_DIR || DEFAULT_DIR,
+    defaultTemplate = process.env.AI_PROMPT_TEMPLATE || DEFAULT_TEMPLATE
+  } = {}) {
+    this.dir = dir;
+    this.templates = new Map([[DEFAULT_TEMPLATE, BUILTIN_TEMPLATE]]);
+
+    // Invalid templates are fatal at startup, like an invalid selector config
+    this.loadDirectory();
+
+    if (!this.templates.has(defaultTemplate)) {
+      throw new Error(`Unknown AI_PROMPT_TEMPLATE "${defaultTemplate}". Expected one of: ${this.names().join(', ')}`);
+    }
+    this.defaultTemplate = defaultTemplate;
+  }
+
+  loadDirectory() {
+    if (!fs.existsSync(this.dir)) return;
+
+    fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        const name = path.basename(file, '.json');
+        if (this.templates.has(name)) {
+          throw new Error(`Prompt template "${name}" in ${this.dir} clashes with an existing template`);
+        }
+
+        try {
+          this.templates.set(name, compileTemplate(name, JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'))));
+        } catch (error) {
+          throw new Error(`Invalid prompt template ${path.join(this.dir, file)}: ${error.message}`);
+        }
+      });
+
+    logger.info('Loaded prompt templates', { templates: this.names() });
+  }
+
+  names() {
+    return [...this.templates.keys()];
+  }
+
+  /**
+   * Check whether a template exists
+   * @param {string} name - Template name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  /**
+   * Get a template
+   * @param {string} [name] - Template name, defaults to the configured template
+   * @returns {Object} - Template with name, version, description, prompt and fields
+   */
+  get(name = this.defaultTemplate) {
+    const template = this.templates.get(name);
+    if (!template) throw new Error(`Unknown prompt template: ${name}`);
+    return template;
+  }
+
+  /**
+   * Public description of every template
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.templates.values()].map(template => ({
+      name: template.name,
+      version: template.version,
+      description: template.description,
+      default: template.name === this.defaultTemplate,
+      variables: [...new Set([...template.prompt.matchAll(VARIABLE_PATTERN)].map(match => match[1]))],
+      fields: template.fields
+    }));
+  }
+
+  /**
+   * Fill in a template's prompt
+   * @param {Object} template - Template from get()
+   * @param {Object} values - Variable -> text
+   * @returns {string}
+   */
+  render(template, values) {
+    return template.prompt.replace(VARIABLE_PATTERN, (_, name) => values[name] ?? '');
+  }
+}
+
+/**
+ * Validate a parsed template file
+ * @param {string} name - Template name
+ * @param {Object} raw - Parsed JSON
+ * @returns {Object} - Compiled template
+ */
+function compileTemplate(name, raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('template must be a JSON object');
+  if (!Number.isInteger(raw.version) || raw.version < 1) throw new Error('"version" must be a positive integer');
+
+  const prompt = Array.isArray(raw.prompt) ? raw.prompt.join('\n') : raw.prompt;
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    throw new Error('"prompt" must be a non-empty string or array of lines');
+  }
+
+  const variables = [...prompt.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+  const unknown = variables.find(variable => !VARIABLES.includes(variable));
+  if (unknown) {
+    throw new Error(`"prompt" uses unknown variable {{${unknown}}}. Available: ${VARIABLES.join(', ')}`);
+  }
+  if (!variables.includes('fields')) {
+    throw new Error('"prompt" must include {{fields}} so the model knows which keys to return');
+  }
+  if (!variables.some(variable => variable === 'profile' || SECTION_VARIABLES.includes(variable))) {
+    throw new Error('"prompt" must include {{profile}} or at least one profile section');
+  }
+
+  return {
+    name,
+    version: raw.version,
+    description: typeof raw.description === 'string' ? raw.description : '',
+    prompt,
+    fields: compileFields(raw.fields, 'fields')
+  };
+}
+
+PromptTemplates.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+PromptTemplates.SECTION_VARIABLES = SECTION_VARIABLES;
+
+module.exports = PromptTemplates;
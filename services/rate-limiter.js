@@ -0,0 +1,119 @@
+// services/rate-limiter.js
+
+/**
+ * Token bucket refilled continuously at `perMinute` units per minute, holding
+ * at most `capacity` units (by default one minute's worth)
+ */
+class TokenBucket {
+  /**
+   * @param {number} perMinute - Units added per minute (Infinity disables the limit)
+   * @param {number} [capacity] - Largest burst
+   */
+  constructor(perMinute, capacity = perMinute) {
+    this.capacity = perMinute === Infinity ? Infinity : Math.min(capacity, perMinute);
+    this.available = this.capacity;
+    this.refillPerMs = perMinute / 60000;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.available = Math.min(this.capacity, this.available + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until `amount` units are available
+   * @param {number} amount - Units needed
+   * @returns {number}
+   */
+  waitTime(amount) {
+    if (this.capacity === Infinity) return 0;
+    this.refill();
+    // A request larger than the bucket can only ever run with a full bucket
+    const needed = Math.min(amount, this.capacity);
+    return needed <= this.available ? 0 : Math.ceil((needed - this.available) / this.refillPerMs);
+  }
+
+  take(amount) {
+    if (this.capacity === Infinity) return;
+    this.refill();
+    this.available -= Math.min(amount, this.capacity);
+  }
+}
+
+/**
+ * Requests-per-minute and tokens-per-minute limiter. Callers await
+ * acquire() before each request; pauseFor() blocks everyone, e.g. after a
+ * 429 with Retry-After.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.requestsPerMinute] - Request limit, Infinity for none
+   * @param {number} [options.tokensPerMinute] - Token limit, Infinity for none
+   * @param {number} [options.requestBurst] - Requests allowed back to back, by default a minute's worth
+   */
+  constructor({ requestsPerMinute = Infinity, tokensPerMinute = Infinity, requestBurst = requestsPerMinute } = {}) {
+    this.requestBurst = requestBurst;
+    this.requests = new TokenBucket(requestsPerMinute, requestBurst);
+    this.tokens = new TokenBucket(tokensPerMinute);
+    this.pausedUntil = 0;
+    // Serializes waiters so requests are admitted in arrival order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait until a request using `tokens` tokens may be sent
+   * @param {number} [tokens] - Estimated tokens for the request
+   * @param {Object} [options]
+   * @param {number} [options.maxPauseMs] - Give up instead of waiting out a longer pauseFor()
+   * @returns {Promise<boolean>} - False if the request gave up
+   */
+  acquire(tokens = 0, { maxPauseMs = Infinity } = {}) {
+    const turn = this.queue.then(async () => {
+      for (;;) {
+        if (this.pausedUntil - Date.now() > maxPauseMs) return false;
+        const wait = Math.max(
+          this.pausedUntil - Date.now(),
+          this.requests.waitTime(1),
+          this.tokens.waitTime(tokens)
+        );
+        if (wait <= 0) break;
+        await sleep(wait);
+      }
+      this.requests.take(1);
+      this.tokens.take(tokens);
+      return true;
+    });
+
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Block all requests for a while
+   * @param {number} ms - Pause duration
+   */
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Change the request limit. Requests already saved up are kept, up to the
+   * new burst size.
+   * @param {number} requestsPerMinute - New request limit
+   */
+  setRequestsPerMinute(requestsPerMinute) {
+    const previous = this.requests;
+    previous.refill();
+    this.requests = new TokenBucket(requestsPerMinute, this.requestBurst);
+    this.requests.available = Math.min(this.requests.capacity, previous.available);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = RateLimiter;
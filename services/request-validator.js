@@ -0,0 +1,243 @@
+// services/request-validator.js
+const { ValidationError } = require('./errors');
+
+/**
+ * Validates requests against the parameters documented in swagger.json, so
+ * the spec is the single description of what each route accepts.
+ *
+ * Query and path parameters are coerced to their declared type (integer,
+ * number, boolean or string) and checked against enum, minimum, maximum,
+ * minLength, maxLength, pattern and date-time format; missing ones get their
+ * declared default. Body parameters are checked against their schema the same
+ * way, recursively. Every problem is reported at once in a single
+ * ValidationError.
+ */
+class RequestValidator {
+  /**
+   * @param {Object} spec - Parsed swagger.json
+   */
+  constructor(spec) {
+    this.spec = spec;
+  }
+
+  /**
+   * Express middleware validating one documented operation
+   * @param {string} route - Path as written in swagger.json, e.g. "/github/users"
+   * @param {string} [method] - HTTP method
+   * @returns {Function}
+   */
+  middleware(route, method = 'get') {
+    const operation = this.spec.paths[route]?.[method];
+    if (!operation) {
+      throw new Error(`swagger.json does not document ${method.toUpperCase()} ${route}`);
+    }
+    const parameters = operation.parameters || [];
+
+    return (req, res, next) => {
+      const details = [];
+
+      parameters.forEach(parameter => {
+        if (parameter.in === 'body') {
+          req.body = this.validateBody(req.body, parameter, details);
+          return;
+        }
+
+        const source = parameter.in === 'path' ? req.params : req.query;
+        const value = coerceParameter(source[parameter.name], parameter, details);
+        if (value !== undefined) source[parameter.name] = value;
+      });
+
+      if (details.length > 0) {
+        const summary = details.map(detail => `${detail.field} ${detail.message}`).join('; ');
+        return next(new ValidationError(`Invalid request: ${summary}`, { details }));
+      }
+      next();
+    };
+  }
+
+  validateBody(body, parameter, details) {
+    const isEmpty = body === undefined || (body && typeof body === 'object' && Object.keys(body).length === 0);
+    if (parameter.required && isEmpty) {
+      details.push({ in: 'body', field: 'body', message: 'is required' });
+      return body;
+    }
+    return this.validateSchema(body ?? {}, parameter.schema, 'body', details);
+  }
+
+  /**
+   * Check a JSON value against a schema, filling in defaults of object properties
+   * @returns {*} - The value with defaults applied
+   */
+  validateSchema(value, schema, field, details) {
+    schema = this.resolve(schema);
+    const fail = message => details.push({ in: 'body', field, message });
+
+    if (value === null) {
+      if (!schema['x-nullable']) fail('must not be null');
+      return value;
+    }
+
+    switch (schema.type) {
+      case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          fail('must be an object');
+          return value;
+        }
+        const result = { ...value };
+        (schema.required || []).forEach(name => {
+          if (result[name] === undefined) details.push({ in: 'body', field: joinField(field, name), message: 'is required' });
+        });
+        Object.entries(schema.properties || {}).forEach(([name, property]) => {
+          if (result[name] === undefined) {
+            const { default: fallback } = this.resolve(property);
+            if (fallback !== undefined) result[name] = fallback;
+            return;
+          }
+          result[name] = this.validateSchema(result[name], property, joinField(field, name), details);
+        });
+        return result;
+      }
+
+      case 'array':
+        if (!Array.isArray(value)) {
+          fail('must be an array');
+          return value;
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+          fail(`must have at most ${schema.maxItems} items`);
+        }
+        return schema.items
+          ? value.map((item, index) => this.validateSchema(item, schema.items, `${field}[${index}]`, details))
+          : value;
+
+      case 'integer':
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+          fail(`must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+          return value;
+        }
+        checkValue(value, schema, fail);
+        return value;
+
+      case 'boolean':
+        if (typeof value !== 'boolean') fail('must be true or false');
+        return value;
+
+      case 'string':
+        if (typeof value !== 'string') {
+          fail('must be a string');
+          return value;
+        }
+        checkValue(value, schema, fail);
+        return value;
+
+      // Untyped schemas accept anything; the route checks them itself
+      default:
+        return value;
+    }
+  }
+
+  resolve(schema) {
+    if (!schema?.$ref) return schema || {};
+    const name = schema.$ref.replace('#/definitions/', '');
+    return this.spec.definitions[name];
+  }
+}
+
+/**
+ * Coerce a query or path parameter from its string form
+ * @returns {*} - Coerced value, the default, or undefined when absent
+ */
+function coerceParameter(raw, parameter, details) {
+  const fail = message => details.push({ in: parameter.in, field: parameter.name, message });
+
+  if (raw === undefined || (raw === '' && parameter.type !== 'string')) {
+    if (parameter.required) fail('is required');
+    return parameter.default;
+  }
+
+  // Repeated string parameters (?fields=a&fields=b) are allowed; other types take one value
+  if (Array.isArray(raw)) {
+    if (parameter.type !== 'string') {
+      fail('must be given once');
+      return undefined;
+    }
+    raw.forEach(item => checkValue(String(item), parameter, fail));
+    return raw;
+  }
+
+  const text = String(raw);
+  switch (parameter.type) {
+    case 'integer': {
+      if (!/^-?\d+$/.test(text)) {
+        fail('must be an integer');
+        return undefined;
+      }
+      const value = parseInt(text, 10);
+      checkValue(value, parameter, fail);
+      return value;
+    }
+
+    case 'number': {
+      const value = Number(text);
+      if (text.trim() === '' || !Number.isFinite(value)) {
+        fail('must be a number');
+        return undefined;
+      }
+      checkValue(value, parameter, fail);
+      return value;
+    }
+
+    case 'boolean':
+      if (text !== 'true' && text !== 'false') {
+        fail('must be true or false');
+        return undefined;
+      }
+      return text === 'true';
+
+    default:
+      checkValue(text, parameter, fail);
+      return text;
+  }
+}
+
+/**
+ * Check a typed value against enum, range, length, pattern and format
+ */
+function checkValue(value, schema, fail) {
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum) {
+        fail(`must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}`);
+      }
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+    return;
+  }
+
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    fail(`must be at most ${schema.maxLength} characters`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    fail(`must match ${schema.pattern}`);
+  }
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    fail('must be a date-time');
+  }
+}
+
+function joinField(parent, name) {
+  return parent === 'body' ? name : `${parent}.${name}`;
+}
+
+module.exports = RequestValidator;
@@ -0,0 +1,171 @@
+// services/result-export.js
+const { summarizeContributions } = require('./profile-stats');
+const { ValidationError } = require('./errors');
+
+const EXPORT_FORMATS = ['json', 'ndjson', 'csv'];
+
+const CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * Columns available for flat exports: name -> value read from an enriched
+ * user. Values keep their JSON type; CSV joins lists with "; ".
+ */
+const COLUMNS = {
+  username: user => user.username,
+  display_name: user => user.display_name,
+  profile_url: user => user.profile_url,
+  bio: user => user.bio,
+  location: user => user.location,
+  contribution_count: user => user.contribution_count,
+  pinned_repositories: user => (user.pinned_repositories || []).map(repo => repo.name),
+  'ai_insights.primary_skills': user => user.ai_insights?.primary_skills,
+  'ai_insights.tech_stack': user => user.ai_insights?.tech_stack,
+  'ai_insights.experience_level': user => user.ai_insights?.experience_level,
+  'ai_insights.notable_contributions': user => user.ai_insights?.notable_contributions,
+  'ai_insights.professional_summary': user => user.ai_insights?.professional_summary,
+  'ai_insights.provider': user => user.ai_insights?.provider,
+  'ai_insights.model': user => user.ai_insights?.model,
+  'ai_insights.error': user => user.ai_insights?.error,
+  'raw_data.followers': user => user.raw_data?.followers,
+  'raw_data.following': user => user.raw_data?.following,
+  'raw_data.organizations': user => user.raw_data?.organizations,
+  'raw_data.company': user => user.raw_data?.company,
+  'raw_data.website': user => user.raw_data?.website,
+  'raw_data.social_links': user => user.raw_data?.social_links,
+  'raw_data.joined_at': user => user.raw_data?.joined_at,
+  'raw_data.languages': user => (user.raw_data?.languages || [])
+    .map(entry => `${entry.language} ${Math.round(entry.share * 100)}%`),
+  'raw_data.repository_count': user => user.raw_data?.repositories?.length,
+  'raw_data.total_stars': user => user.raw_data?.repositories
+    ?.reduce((sum, repo) => sum + (repo.stars || 0), 0),
+  'raw_data.contributions_last_30_days': user => summarizeContributions(user.raw_data?.contribution_calendar)
+    ?.last_30_days,
+  'raw_data.profile_readme': user => user.raw_data?.profile_readme,
+  'raw_data.error': user => user.raw_data?.error
+};
+
+// Insight fields of custom prompt templates, e.g. "ai_insights.seniority_rationale"
+const CUSTOM_INSIGHT_COLUMN = /^ai_insights\.([a-z][a-z0-9_]*)$/;
+
+// Long free text is left out unless requested
+const DEFAULT_COLUMNS = Object.keys(COLUMNS).filter(name => name !== 'raw_data.profile_readme');
+
+/**
+ * Parse the export format and field selection
+ * @param {Object} query - Express query object
+ * @returns {{format: string, fields: Array<string>|null}} - fields is null when not selected
+ * @throws {ValidationError} - If the format or a field is unknown
+ */
+function parseExportQuery(query = {}) {
+  const format = query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    const message = `Invalid format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}`;
+    throw new ValidationError(message, { details: [{ in: 'query', field: 'format', message }] });
+  }
+
+  if (!query.fields) return { format, fields: null };
+
+  const fields = [].concat(query.fields)
+    .flatMap(value => String(value).split(','))
+    .map(field => field.trim())
+    .filter(Boolean);
+  const unknown = fields.find(field => !COLUMNS[field] && !CUSTOM_INSIGHT_COLUMN.test(field));
+  if (unknown) {
+    const message = `Unknown field "${unknown}", expected ai_insights.<field> or any of: ${Object.keys(COLUMNS).join(', ')}`;
+    throw new ValidationError(message, { details: [{ in: 'query', field: 'fields', message }] });
+  }
+
+  return { format, fields: fields.length > 0 ? fields : null };
+}
+
+/**
+ * Flatten a user into the selected columns
+ * @param {Object} user - Enriched user
+ * @param {Array<string>} [fields] - Column names
+ * @returns {Object} - Column -> value (null when missing)
+ */
+function flattenUser(user, fields = DEFAULT_COLUMNS) {
+  const row = {};
+  fields.forEach(field => {
+    const read = COLUMNS[field] || (item => item.ai_insights?.[field.match(CUSTOM_INSIGHT_COLUMN)[1]]);
+    row[field] = read(user) ?? null;
+  });
+  return row;
+}
+
+/**
+ * Stream users as NDJSON or CSV, one row at a time, respecting backpressure
+ * @param {Object} res - Writable response (headers are set here)
+ * @param {Iterable<Object>} users - Enriched users
+ * @param {Object} options
+ * @param {string} options.format - "ndjson" or "csv"
+ * @param {Array<string>|null} [options.fields] - Columns; NDJSON writes whole users when omitted
+ * @param {string} [options.filename] - Download name without extension
+ * @returns {Promise<void>}
+ */
+async function streamExport(res, users, { format, fields = null, filename = 'github-users' }) {
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`
+  });
+
+  const write = async chunk => {
+    if (!res.write(chunk)) await waitForDrain(res);
+  };
+
+  if (format === 'csv') {
+    const columns = fields || DEFAULT_COLUMNS;
+    // The byte order mark makes Excel read the file as UTF-8
+    await write(`\uFEFF${columns.map(toCsvCell).join(',')}\r\n`);
+    for (const user of users) {
+      if (res.destroyed) return;
+      const row = flattenUser(user, columns);
+      await write(`${columns.map(column => toCsvCell(row[column])).join(',')}\r\n`);
+    }
+  } else {
+    for (const user of users) {
+      if (res.destroyed) return;
+      await write(`${JSON.stringify(fields ? flattenUser(user, fields) : user)}\n`);
+    }
+  }
+
+  res.end();
+}
+
+/**
+ * Wait until a response can take more data, or the client has gone away
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * CSV cell: lists joined with "; ", quoted when needed, and text that a
+ * spreadsheet would run as a formula prefixed with a quote
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  COLUMNS,
+  DEFAULT_COLUMNS,
+  parseExportQuery,
+  flattenUser,
+  streamExport
+};
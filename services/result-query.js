@@ -0,0 +1,200 @@
+// services/result-query.js
+const crypto = require('crypto');
+const { EXPERIENCE_LEVELS } = require('./insights-schema');
+const { parseCount, normalizeLanguage } = require('./profile-normalizer');
+const { ValidationError } = require('./errors');
+
+const MAX_LIMIT = 100;
+
+// Sort keys -> value read from a user. Experience levels sort by seniority.
+const SORT_FIELDS = {
+  username: user => user.username?.toLowerCase() ?? null,
+  location: user => user.location?.toLowerCase() ?? null,
+  followers: user => parseCount(user.raw_data?.followers),
+  following: user => parseCount(user.raw_data?.following),
+  contributions: user => parseCount(user.contribution_count),
+  experience_level: user => {
+    const index = EXPERIENCE_LEVELS.indexOf(user.ai_insights?.experience_level);
+    return index === -1 ? null : index;
+  }
+};
+
+/**
+ * Parse filter, sort and pagination query parameters for a list of users
+ * @param {Object} query - Express query object
+ * @returns {Object} - Options for applyResultQuery
+ * @throws {ValidationError} - If a parameter is invalid
+ */
+function parseResultQuery(query = {}) {
+  const options = {
+    experienceLevels: parseList(query.experience_level).map(level => level.toLowerCase()),
+    primarySkills: parseList(query.primary_skills).map(skill => skill.toLowerCase()),
+    techStack: parseList(query.tech_stack).map(tech => tech.toLowerCase()),
+    languages: parseList(query.language).map(language => normalizeLanguage(language).toLowerCase()),
+    location: query.location ? String(query.location).trim().toLowerCase() : null,
+    minFollowers: parseInteger(query.min_followers, 'min_followers'),
+    minContributions: parseInteger(query.min_contributions, 'min_contributions'),
+    sort: parseSort(query.sort),
+    limit: parseInteger(query.limit, 'limit'),
+    offset: parseInteger(query.offset, 'offset') ?? 0
+  };
+
+  const unknownLevel = options.experienceLevels.find(level => !EXPERIENCE_LEVELS.includes(level));
+  if (unknownLevel) {
+    throw invalid('experience_level', `Invalid experience_level "${unknownLevel}", expected one of: ${EXPERIENCE_LEVELS.join(', ')}`);
+  }
+  if (options.limit !== null && (options.limit < 1 || options.limit > MAX_LIMIT)) {
+    throw invalid('limit', `Invalid limit, expected 1 to ${MAX_LIMIT}`);
+  }
+
+  if (query.cursor) {
+    if (query.offset !== undefined) throw invalid('cursor', 'Use either cursor or offset, not both');
+    options.offset = decodeCursor(query.cursor, options);
+  }
+
+  return options;
+}
+
+/**
+ * Filter, sort and paginate users
+ * @param {Array<Object>} users - Enriched users
+ * @param {Object} options - Options from parseResultQuery
+ * @returns {{total: number, limit: number|null, offset: number, next_cursor: string|null, results: Array<Object>}}
+ *   Number of matching users and the requested page; without a limit every match is returned
+ */
+function applyResultQuery(users = [], options) {
+  const matches = users.filter(user => matchesFilters(user, options));
+
+  if (options.sort) {
+    const { field, descending } = options.sort;
+    const read = SORT_FIELDS[field];
+    // Stable sort; users without a value always come last
+    matches.sort((a, b) => {
+      const left = read(a);
+      const right = read(b);
+      if (left === right) return 0;
+      if (left === null) return 1;
+      if (right === null) return -1;
+      const order = left < right ? -1 : 1;
+      return descending ? -order : order;
+    });
+  }
+
+  const end = options.limit === null ? matches.length : options.offset + options.limit;
+  const results = matches.slice(options.offset, end);
+
+  return {
+    total: matches.length,
+    limit: options.limit,
+    offset: options.offset,
+    next_cursor: end < matches.length ? encodeCursor(end, options) : null,
+    results
+  };
+}
+
+function matchesFilters(user, options) {
+  const insights = user.ai_insights || {};
+
+  if (options.experienceLevels.length > 0 && !options.experienceLevels.includes(insights.experience_level)) {
+    return false;
+  }
+  if (!containsAll(insights.primary_skills, options.primarySkills)) return false;
+  if (!containsAll(insights.tech_stack, options.techStack)) return false;
+
+  if (options.location && !user.location?.toLowerCase().includes(options.location)) return false;
+  if (options.minFollowers !== null && !(parseCount(user.raw_data?.followers) >= options.minFollowers)) return false;
+  if (options.minContributions !== null && !(parseCount(user.contribution_count) >= options.minContributions)) {
+    return false;
+  }
+
+  if (options.languages.length > 0) {
+    const pinned = (user.pinned_repositories || [])
+      .map(repo => normalizeLanguage(repo.language)?.toLowerCase())
+      .filter(Boolean);
+    if (!options.languages.some(language => pinned.includes(language))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Every wanted term appears within some entry of a list, case-insensitively
+ * (e.g. "react" matches "React Native")
+ */
+function containsAll(list, terms) {
+  if (terms.length === 0) return true;
+  if (!Array.isArray(list)) return false;
+  const entries = list.map(entry => String(entry).toLowerCase());
+  return terms.every(term => entries.some(entry => entry.includes(term)));
+}
+
+/**
+ * Comma-separated (or repeated) query parameter as a list of trimmed values
+ */
+function parseList(value) {
+  if (value === undefined) return [];
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseInteger(value, name) {
+  if (value === undefined || value === '') return null;
+  if (!/^\d+$/.test(String(value))) {
+    throw invalid(name, `Invalid ${name}, expected a non-negative integer`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Sort parameter such as "followers" or "-followers" (descending)
+ */
+function parseSort(value) {
+  if (!value) return null;
+  const descending = String(value).startsWith('-');
+  const field = descending ? String(value).slice(1) : String(value);
+  if (!SORT_FIELDS[field]) {
+    throw invalid('sort', `Invalid sort "${value}", expected one of: ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)`);
+  }
+  return { field, descending };
+}
+
+// Cursors carry the next offset and a fingerprint of the filters and sort, so
+// a cursor can't silently be reused with a different query
+function queryFingerprint(options) {
+  const { limit, offset, ...criteria } = options;
+  return crypto.createHash('sha1').update(JSON.stringify(criteria)).digest('base64url').slice(0, 10);
+}
+
+function encodeCursor(offset, options) {
+  return Buffer.from(JSON.stringify({ offset, query: queryFingerprint(options) })).toString('base64url');
+}
+
+function decodeCursor(cursor, options) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!Number.isInteger(decoded?.offset) || decoded.offset < 0) {
+    throw invalid('cursor', 'Invalid cursor');
+  }
+  if (decoded.query !== queryFingerprint(options)) {
+    throw invalid('cursor', 'Cursor does not match the current filters and sort');
+  }
+  return decoded.offset;
+}
+
+function invalid(field, message) {
+  return new ValidationError(message, { details: [{ in: 'query', field, message }] });
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  parseResultQuery,
+  applyResultQuery
+};
@@ -0,0 +1,473 @@
+// services/saved-searches.js
+const crypto = require('crypto');
+const CronSchedule = require('./cron-schedule');
+const { diffResults } = require('./profile-history');
+const {
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  toAppError
+} = require('./errors');
+const logger = require('./logger').child({ component: 'saved-searches' });
+
+const RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const CHANGED_EVENT = 'saved_search.changed';
+
+// Fields a client may change after creating a search
+const EDITABLE_FIELDS = ['name', 'query', 'pages', 'schedule', 'provider', 'template', 'webhook_url', 'webhook_secret', 'enabled'];
+
+/**
+ * The parts of a user a diff reports
+ * @param {Object} user - Enriched user
+ * @returns {Object}
+ */
+function summarizeUser(user) {
+  return {
+    username: user.username,
+    display_name: user.display_name ?? null,
+    profile_url: user.profile_url ?? null,
+    location: user.location ?? null,
+    bio: user.bio ?? null,
+    ai_insights: user.ai_insights ?? null
+  };
+}
+
+function invalidField(field, message) {
+  return new ValidationError(message, { details: [{ in: 'body', field, message }] });
+}
+
+/**
+ * Saved searches run on a cron schedule (UTC) through the same pipeline as
+ * POST /jobs. Each run is compared with the previous successful run: users
+ * that appeared, users that dropped out and changes to the profiles of
+ * users in both. When anything changed and the search has a webhook URL, a
+ * signed `saved_search.changed` payload describing the diff is queued with
+ * the WebhookDispatcher. The first run only records a baseline.
+ *
+ * A search belongs to the API key that created it. Scheduled runs count
+ * against that key's daily request quota and use its AI call quota, as if
+ * the key had started the search itself.
+ */
+class SavedSearchManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dataStore - DataStore holding searches, runs and results
+   * @param {Object} options.jobManager - JobManager that runs the searches
+   * @param {Object} options.apiKeys - ApiKeyManager, for the owners' quotas
+   * @param {Object} options.webhooks - WebhookDispatcher
+   * @param {number} [options.pollMs] - How often due searches and webhook retries are checked
+   */
+  constructor({
+    dataStore,
+    jobManager,
+    apiKeys,
+    webhooks,
+    pollMs = parseFloat(process.env.SAVED_SEARCH_POLL_SECONDS || 30) * 1000
+  }) {
+    this.dataStore = dataStore;
+    this.jobManager = jobManager;
+    this.apiKeys = apiKeys;
+    this.webhooks = webhooks;
+    this.pollMs = pollMs;
+    // Saved search ID -> promise of its current run
+    this.running = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Start checking for due searches and webhook retries
+   */
+  start() {
+    if (this.timer) return;
+    this.recoverInterruptedRuns();
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    // Don't keep the process alive just for the schedule
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run every enabled search that is due and send due webhook retries
+   * @param {Date} [now]
+   * @returns {Promise<void>}
+   */
+  async tick(now = new Date()) {
+    try {
+      this.dataStore.listSavedSearches()
+        .filter(search => search.enabled && search.next_run_at && search.next_run_at <= now.toISOString())
+        .filter(search => !this.running.has(search.id))
+        .forEach(search => this.startRun(search, { trigger: 'schedule', now }));
+
+      await this.webhooks.deliverDue(now);
+    } catch (error) {
+      logger.error('Saved search scheduler failed', { error });
+    }
+  }
+
+  /**
+   * Create a saved search
+   * @param {Object|null} owner - API key record of the creator, null without one
+   * @param {Object} fields - Validated SavedSearchRequest
+   * @returns {Object} - The search's view, with its webhook secret
+   * @throws {ValidationError}
+   */
+  create(owner, fields) {
+    const now = new Date().toISOString();
+    const search = {
+      id: crypto.randomBytes(8).toString('hex'),
+      api_key_id: owner?.id ?? null,
+      name: fields.name,
+      query: fields.query,
+      pages: fields.pages,
+      schedule: fields.schedule,
+      provider: fields.provider ?? null,
+      template: fields.template ?? null,
+      webhook_url: fields.webhook_url ?? null,
+      webhook_secret: fields.webhook_secret ?? null,
+      enabled: fields.enabled,
+      created_at: now,
+      updated_at: now,
+      last_run_at: null,
+      next_run_at: null,
+      last_request_id: null
+    };
+
+    this.checkFields(search);
+    if (search.webhook_url && !search.webhook_secret) search.webhook_secret = generateSecret();
+    search.next_run_at = this.nextRunAt(search);
+
+    this.dataStore.createSavedSearch(search);
+    logger.info('Created saved search', { saved_search_id: search.id, name: search.name, schedule: search.schedule });
+    // The secret is only shown here, or to whoever set it
+    return { ...this.toView(search), webhook_secret: search.webhook_secret };
+  }
+
+  /**
+   * Saved searches visible to a caller, oldest first
+   * @param {Object|null} owner - API key record; null (admin or no key) sees every search
+   * @returns {Array<Object>}
+   */
+  list(owner) {
+    return this.dataStore.listSavedSearches({ apiKeyId: owner ? owner.id : undefined }).map(search => this.toView(search));
+  }
+
+  /**
+   * @param {Object|null} owner - API key record of the caller
+   * @param {string} id - Saved search ID
+   * @returns {Object}
+   * @throws {NotFoundError}
+   */
+  get(owner, id) {
+    return this.toView(this.getRecord(owner, id));
+  }
+
+  /**
+   * Change a saved search. Changing the query or pages resets the baseline,
+   * so the next run isn't compared with results of a different search.
+   * @param {Object|null} owner - API key record of the caller
+   * @param {string} id - Saved search ID
+   * @param {Object} changes - Validated SavedSearchUpdate
+   * @returns {Object} - The updated search's view
+   * @throws {NotFoundError|ValidationError}
+   */
+  update(owner, id, changes) {
+    const fields = Object.fromEntries(
+      Object.entries(changes).filter(([key, value]) => EDITABLE_FIELDS.includes(key) && value !== undefined)
+    );
+    const search = { ...this.getRecord(owner, id), ...fields };
+    this.checkFields(search);
+
+    const updates = { ...fields, updated_at: new Date().toISOString() };
+    if (search.webhook_url && !search.webhook_secret) {
+      updates.webhook_secret = generateSecret();
+      search.webhook_secret = updates.webhook_secret;
+    }
+    if (fields.schedule !== undefined || fields.enabled !== undefined) {
+      updates.next_run_at = this.nextRunAt(search);
+    }
+    if (fields.query !== undefined || fields.pages !== undefined) {
+      updates.last_request_id = null;
+    }
+
+    const updated = this.dataStore.updateSavedSearch(id, updates);
+    const view = this.toView(updated);
+    return updates.webhook_secret && !fields.webhook_secret ? { ...view, webhook_secret: updates.webhook_secret } : view;
+  }
+
+  /**
+   * Delete a saved search with its runs and webhook deliveries
+   * @param {Object|null} owner - API key record of the caller
+   * @param {string} id - Saved search ID
+   * @throws {NotFoundError}
+   */
+  remove(owner, id) {
+    this.getRecord(owner, id);
+    this.dataStore.deleteSavedSearch(id);
+    logger.info('Deleted saved search', { saved_search_id: id });
+  }
+
+  /**
+   * Run a saved search now, in the background
+   * @param {Object|null} owner - API key record of the caller
+   * @param {string} id - Saved search ID
+   * @param {Object} [options]
+   * @param {Object} [options.meter] - AI call meter of the request
+   * @returns {Object} - The started run
+   * @throws {NotFoundError|ConflictError}
+   */
+  runNow(owner, id, { meter } = {}) {
+    const search = this.getRecord(owner, id);
+    if (this.running.has(search.id)) {
+      throw new ConflictError(`Saved search ${search.id} is already running`);
+    }
+    return this.startRun(search, { trigger: 'manual', meter });
+  }
+
+  /**
+   * Page through a saved search's runs, newest first, without their diffs
+   * @param {Object|null} owner - API key record of the caller
+   * @param {string} id - Saved search ID
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.offset] - Runs to skip
+   * @returns {Object}
+   * @throws {NotFoundError}
+   */
+  listRuns(owner, id, { limit = 20, offset = 0 } = {}) {
+    this.getRecord(owner, id);
+    const { total, runs } = this.dataStore.findSearchRuns({ savedSearchId: id, limit, offset });
+    return { total, count: runs.length, limit, offset, runs: runs.map(({ diff, ...run }) => run) };
+  }
+
+  /**
+   * A run with its diff
+   * @param {Object|null} owner - API key record of the caller
+   * @param {string} id - Saved search ID
+   * @param {string} runId - Run ID
+   * @returns {Object}
+   * @throws {NotFoundError}
+   */
+  getRun(owner, id, runId) {
+    this.getRecord(owner, id);
+    const run = this.dataStore.getSearchRun(runId);
+    if (!run || run.saved_search_id !== id) throw new NotFoundError(`Run ${runId} of saved search ${id} not found`);
+    return run;
+  }
+
+  /**
+   * Page through a saved search's webhook deliveries, newest first
+   * @param {Object|null} owner - API key record of the caller
+   * @param {string} id - Saved search ID
+   * @param {Object} [options]
+   * @param {string} [options.status] - pending, delivered or failed
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.offset] - Deliveries to skip
+   * @returns {Object}
+   * @throws {NotFoundError}
+   */
+  listDeliveries(owner, id, { status, limit = 20, offset = 0 } = {}) {
+    this.getRecord(owner, id);
+    const { total, deliveries } = this.dataStore.findWebhookDeliveries({ savedSearchId: id, status, limit, offset });
+    return { total, count: deliveries.length, limit, offset, deliveries };
+  }
+
+  getRecord(owner, id) {
+    const search = this.dataStore.getSavedSearch(id);
+    // Other keys' searches are reported as missing rather than forbidden
+    if (!search || (owner && search.api_key_id !== owner.id)) {
+      throw new NotFoundError(`Saved search ${id} not found`);
+    }
+    return search;
+  }
+
+  /**
+   * Check what the request schema can't: the schedule and the webhook URL
+   * @param {Object} search - Saved search fields
+   * @throws {ValidationError}
+   */
+  checkFields(search) {
+    try {
+      new CronSchedule(search.schedule);
+    } catch (error) {
+      throw invalidField('schedule', error.message);
+    }
+
+    if (search.webhook_url) {
+      try {
+        this.webhooks.checkUrl(search.webhook_url);
+      } catch (error) {
+        throw invalidField('webhook_url', error.message);
+      }
+    }
+  }
+
+  nextRunAt(search, after = new Date()) {
+    return search.enabled ? new CronSchedule(search.schedule).next(after).toISOString() : null;
+  }
+
+  /**
+   * Record a run and start it in the background
+   * @param {Object} search - Saved search record
+   * @param {Object} options
+   * @param {string} options.trigger - "schedule" or "manual"
+   * @param {Object} [options.meter] - AI call meter of a manual run's request
+   * @param {Date} [options.now] - Start time, from which the next run is scheduled
+   * @returns {Object} - The run record
+   */
+  startRun(search, { trigger, meter, now = new Date() }) {
+    // The run uses the search as it is now, whatever changes meanwhile
+    search = { ...search };
+    const run = {
+      id: crypto.randomBytes(8).toString('hex'),
+      saved_search_id: search.id,
+      trigger,
+      status: RUN_STATUS.RUNNING,
+      request_id: null,
+      previous_request_id: search.last_request_id,
+      started_at: now.toISOString(),
+      completed_at: null,
+      added_count: null,
+      removed_count: null,
+      changed_count: null,
+      diff: null,
+      error: null,
+      error_code: null
+    };
+
+    this.dataStore.createSearchRun(run);
+    this.dataStore.updateSavedSearch(search.id, {
+      last_run_at: run.started_at,
+      next_run_at: this.nextRunAt(search, now)
+    });
+    const done = logger.withContext({ saved_search_id: search.id, run_id: run.id }, () => {
+      logger.info('Running saved search', { trigger });
+      return this.executeRun(search, run, meter);
+    }).finally(() => this.running.delete(search.id));
+    this.running.set(search.id, done);
+    return run;
+  }
+
+  /**
+   * Run the search, diff it against the previous run and queue the webhook.
+   * Never rejects; failures are recorded on the run.
+   */
+  async executeRun(search, run, meter) {
+    try {
+      let runMeter = meter;
+      if (run.trigger === 'schedule' && search.api_key_id) {
+        const owner = this.dataStore.getApiKey(search.api_key_id);
+        if (!owner || owner.revoked_at) {
+          throw new AuthenticationError(`The API key that owns saved search ${search.id} was revoked`);
+        }
+        this.apiKeys.consumeRequest(owner);
+        runMeter = this.apiKeys.meter(owner);
+      }
+
+      const job = this.jobManager.createJob(search.query, search.pages, {
+        provider: search.provider ?? undefined,
+        template: search.template ?? undefined,
+        apiKeyId: search.api_key_id ?? undefined,
+        meter: runMeter
+      });
+      this.dataStore.updateSearchRun(run.id, { request_id: job.id });
+      logger.annotate({ request_id: job.id });
+
+      await this.jobManager.runJob(job);
+      if (job.failure) throw job.failure;
+
+      const previous = search.last_request_id ? this.dataStore.getResult(search.last_request_id) : null;
+      const completedAt = new Date().toISOString();
+      const updates = { status: RUN_STATUS.COMPLETED, completed_at: completedAt };
+
+      if (previous) {
+        const { added, removed, changed } = diffResults(previous.results, job.result.results);
+        const diff = { added: added.map(summarizeUser), removed: removed.map(summarizeUser), changed };
+        Object.assign(updates, {
+          added_count: added.length,
+          removed_count: removed.length,
+          changed_count: changed.length,
+          diff
+        });
+
+        const current = this.dataStore.getSavedSearch(search.id);
+        if (current?.webhook_url && added.length + removed.length + changed.length > 0) {
+          this.webhooks.enqueue(current, CHANGED_EVENT, {
+            event: CHANGED_EVENT,
+            saved_search: { id: current.id, name: current.name, query: current.query },
+            run: { id: run.id, request_id: job.id, previous_request_id: search.last_request_id, completed_at: completedAt },
+            summary: { added: added.length, removed: removed.length, changed: changed.length },
+            ...diff
+          }, { runId: run.id });
+        }
+      }
+
+      this.dataStore.updateSearchRun(run.id, updates);
+      // Skip if the search was deleted, or changed to a different query, meanwhile
+      const current = this.dataStore.getSavedSearch(search.id);
+      if (current && current.last_request_id === search.last_request_id) {
+        this.dataStore.updateSavedSearch(search.id, { last_request_id: job.id });
+      }
+      logger.info('Saved search run completed', { added: updates.added_count, removed: updates.removed_count, changed: updates.changed_count });
+    } catch (error) {
+      const failure = toAppError(error);
+      logger.error('Saved search run failed', { error });
+      try {
+        this.dataStore.updateSearchRun(run.id, {
+          status: RUN_STATUS.FAILED,
+          completed_at: new Date().toISOString(),
+          error: error.message,
+          error_code: failure.code
+        });
+      } catch (storageError) {
+        logger.error('Could not record the failure of the run', { error: storageError });
+      }
+    }
+  }
+
+  /**
+   * Mark runs left running by a previous process as failed
+   */
+  recoverInterruptedRuns() {
+    this.dataStore.listSavedSearches().forEach(search => {
+      // Only the newest run of a search can be running
+      const { runs } = this.dataStore.findSearchRuns({ savedSearchId: search.id, limit: 1 });
+      runs.filter(run => run.status === RUN_STATUS.RUNNING).forEach(run => {
+        this.dataStore.updateSearchRun(run.id, {
+          status: RUN_STATUS.FAILED,
+          completed_at: new Date().toISOString(),
+          error: 'Interrupted by a server restart',
+          error_code: 'internal_error'
+        });
+      });
+    });
+  }
+
+  /**
+   * A saved search without its webhook secret
+   * @param {Object} search - Saved search record
+   * @returns {Object}
+   */
+  toView(search) {
+    const { webhook_secret: secret, ...view } = search;
+    return { ...view, running: this.running.has(search.id) };
+  }
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+SavedSearchManager.RUN_STATUS = RUN_STATUS;
+
+module.exports = SavedSearchManager;
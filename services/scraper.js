@@ -1,9 +1,51 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { performance } = require('perf_hooks');
+const SelectorConfig = require('./selector-config');
+const DriftDetector = require('./drift-detector');
+const { summarizeLanguages } = require('./profile-stats');
+const { parseCount, normalizeUser } = require('./profile-normalizer');
+const { createHttpCache, HttpCache } = require('./http-cache');
+const GitHubScheduler = require('./github-scheduler');
+const logger = require('./logger').child({ component: 'scraper' });
+const {
+  GitHubError,
+  GitHubLoginWallError,
+  GitHubRateLimitError,
+  GitHubUnavailableError,
+  toGitHubError
+} = require('./errors');
+
+// GitHub lists this many repositories per page of the repositories tab
+const REPOSITORIES_PER_PAGE = 30;
+
+// Wording of the page GitHub shows when its abuse detection (secondary rate limit) kicks in
+const ABUSE_PAGE_PATTERN = /abuse detection mechanism|exceeded a secondary rate limit/i;
+
+// Valid GitHub username: alphanumerics and single inner hyphens, up to 39 characters
+const USERNAME_PATTERN = /^[a-zA-Z0-9](?:[a-zA-Z0-9]|-(?=[a-zA-Z0-9])){0,38}$/;
 
 class GitHubScraper {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {SelectorConfig} [options.selectorConfig] - Extraction selectors, defaults to config/selectors.json
+   * @param {DriftDetector} [options.driftDetector] - Flags pages where extraction stops working
+   * @param {number} [options.repositoryPages] - Repositories tab pages scraped per profile, 0 to skip
+   * @param {HttpCache} [options.httpCache] - Cache for fetched pages, configured by SCRAPER_CACHE_* by default
+   * @param {GitHubScheduler} [options.scheduler] - Paces every request to GitHub, configured by GITHUB_* by default
+   */
+  constructor({
+    selectorConfig = new SelectorConfig(),
+    driftDetector = new DriftDetector(),
+    repositoryPages = Number(process.env.SCRAPER_REPOSITORY_PAGES ?? 1),
+    httpCache = createHttpCache(),
+    scheduler = GitHubScheduler.fromEnv()
+  } = {}) {
+    this.selectorConfig = selectorConfig;
+    this.driftDetector = driftDetector;
+    this.repositoryPages = repositoryPages;
+    this.httpCache = httpCache;
+    this.scheduler = scheduler;
     this.client = axios.create({
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/94.0.4606.81 Safari/537.36',
@@ -14,76 +56,105 @@ class GitHubScraper {
       },
       timeout: 15000,
     });
-
-    this.rateLimitDelay = 3000; // Increased tod   avoid rate limits
-    this.cache = new Map(); // Simple in-memory cache
-    this.batchSize = 3; // Reduced batch size to be more gentle with GitHub's servers
   }
 
-  async searchUsers(query, pages = 3) {
+  /**
+   * Search GitHub users and scrape each result's profile
+   * @param {string} query - Search query
+   * @param {number} [pages] - Number of search result pages
+   * @param {Object} [hooks] - Progress callbacks
+   * @param {Function} [hooks.onPage] - Called with ({ page, users }) as each search page is scraped
+   * @param {Function} [hooks.onProfile] - Called with (user) as each profile is scraped
+   * @returns {Promise<Array>} - Users with profile details
+   * @throws {GitHubError} - If GitHub can't be reached or no search page could be scraped;
+   *   a GitHubRateLimitError with retryAfter when GitHub is rate limiting the scraper
+   */
+  async searchUsers(query, pages = 3, hooks = {}) {
     const startTime = performance.now();
-    console.info(`Initiating GitHub search for query: ${query}, pages: ${pages}`);
+    logger.info('Starting GitHub search', { query, pages });
     
     // Check if the query looks like a valid search term
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
-      console.error('Invalid search query provided');
+      logger.error('Invalid search query provided', { query });
       return [];
     }
     
     try {
       // First check if GitHub search is accessible with a simple request
-      console.info('Testing GitHub connectivity...');
+      logger.debug('Testing GitHub connectivity');
       await this.testGitHubConnectivity();
       
-      const users = await this.fetchAllUsers(query, pages);
-      console.info(`Found ${users.length} users before detailed processing`);
+      const users = await this.fetchAllUsers(query, pages, hooks.onPage);
+      logger.info('Found users before detailed processing', { users: users.length });
       
       if (users.length === 0) {
-        console.error('No users found. Check the search query or GitHub page structure.');
+        logger.warn('No users found. Check the search query or GitHub page structure.', { query });
         return [];
       }
       
-      const detailedUsers = await this.processUserProfilesInBatches(users);
+      const detailedUsers = await this.processUserProfiles(users, hooks.onProfile);
+      const rateLimited = GitHubScheduler.rateLimitedSearchError(detailedUsers);
+      if (rateLimited) throw rateLimited;
 
       const endTime = performance.now();
-      console.info(`Completed GitHub search in ${((endTime - startTime) / 1000).toFixed(2)} seconds.`);
+      logger.info('Completed GitHub search', { users: detailedUsers.length, duration_seconds: Number(((endTime - startTime) / 1000).toFixed(2)) });
       return detailedUsers;
     } catch (error) {
-      console.error(`Search failed with error: ${error.message}`);
-      return [];
+      logger.error('GitHub search failed', { query, error });
+      throw error instanceof GitHubError ? error : new GitHubError(`GitHub search failed: ${error.message}`, { cause: error });
     }
   }
   
   async testGitHubConnectivity() {
     try {
       // Make a simple request to GitHub to check connectivity
-      const { data } = await this.client.get('https://github.com/');
+      const url = 'https://github.com/';
+      const { data } = await this.scheduler.schedule(url, () => this.client.get(url), { check: checkAbusePage });
       if (!data || data.length === 0) {
         throw new Error('Received empty response from GitHub');
       }
-      console.info('GitHub connectivity test successful');
+      logger.debug('GitHub connectivity test successful');
       return true;
     } catch (error) {
-      console.error(`GitHub connectivity test failed: ${error.message}`);
-      throw new Error(`Cannot access GitHub: ${error.message}`);
+      logger.error('GitHub connectivity test failed', { error });
+      throw toGitHubError(error, 'Cannot access GitHub');
     }
   }
 
-  async fetchAllUsers(query, pages) {
+  /**
+   * Scrape the search result pages. They are requested together; the
+   * scheduler decides how fast they actually go out.
+   * @param {string} query - Search query
+   * @param {number} pages - Number of search result pages
+   * @param {Function} [onPage] - Called with ({ page, users }) as each page is scraped
+   * @returns {Promise<Array>} - Users from every page that could be scraped
+   * @throws {GitHubError} - The first page's error if every page failed
+   */
+  async fetchAllUsers(query, pages, onPage) {
     const users = [];
     const promises = [];
 
     for (let page = 1; page <= pages; page++) {
-      promises.push(this.scrapeUsersPage(query, page));
+      promises.push(this.scrapeUsersPage(query, page).then(pageUsers => {
+        if (onPage) onPage({ page, users: pageUsers });
+        return pageUsers;
+      }));
     }
    
-    const pageResults = await Promise.all(promises);
+    const settled = await Promise.allSettled(promises);
+
+    // Partial results are kept; the search only fails if every page did
+    const failures = settled.filter(outcome => outcome.status === 'rejected');
+    if (failures.length === settled.length) throw failures[0].reason;
+    failures.forEach(({ reason }) => logger.error('Search page failed', { error: reason }));
+
+    const pageResults = settled.map(outcome => (outcome.status === 'fulfilled' ? outcome.value : []));
     
     // Log specific details about each page result
     pageResults.forEach((pageUsers, index) => {
-      console.info(`Scraped ${pageUsers.length} users from page ${index + 1}`);
+      logger.debug('Scraped users from search page', { page: index + 1, users: pageUsers.length });
       if (pageUsers.length === 0) {
-        console.warn(`No users found on page ${index + 1}. This might indicate a problem.`);
+        logger.warn('No users found on search page. This might indicate a problem.', { page: index + 1 });
       }
       users.push(...pageUsers);
     });
@@ -91,380 +162,444 @@ class GitHubScraper {
     return users;
   }
 
+  /**
+   * Scrape one page of search results
+   * @param {string} query - Search query
+   * @param {number} [page] - Page number
+   * @returns {Promise<Array>} - Users on the page
+   * @throws {GitHubError} - If the page can't be fetched, or GitHub shows a login wall or rate limit page instead
+   */
   async scrapeUsersPage(query, page = 1) {
-    const cacheKey = `users:${query}:page:${page}`;
-    if (this.cache.has(cacheKey)) {
-      console.info(`Cache hit for ${cacheKey}`);
-      return this.cache.get(cacheKey);
-    }
-
     const url = `https://github.com/search?q=${encodeURIComponent(query)}&type=users&p=${page}`;
-    console.info(`Fetching: ${url}`);
+    logger.debug('Fetching search page', { url });
 
     try {
-      const { data } = await this.client.get(url);
+      const { data, cache } = await this.fetchPage(url, { kind: 'search' });
       
-      // Debug HTML response
       if (!data || data.length === 0) {
-        console.error('Received empty response from GitHub');
-        return [];
+        throw new GitHubUnavailableError('GitHub returned an empty search page');
       }
       
-      console.info(`Received ${data.length} bytes of HTML from GitHub`);
-      
-      // Save a snippet of HTML to a file for analysis (first 10000 characters)
-      // This will help us analyze what's actually in the response
-      const fs = require('fs');
-      // try {
-      //   fs.writeFileSync(`github_response_page${page}.html`, data.substring(0, 10000));
-      //   console.info(`Saved HTML snippet to github_response_page${page}.html`);
-      // } catch (err) {
-      //   console.error(`Failed to save HTML snippet: ${err.message}`);
-      // }
+      logger.debug('Received search page', { url, cache, bytes: data.length });
       
-      const $ = cheerio.load(data);
-      const users = [];
-
-      // Add comprehensive logging for debugging
-      console.info('=== HTML STRUCTURE ANALYSIS ===');
-      
-      // Check if we're being rate limited or blocked
-      if (data.includes('rate limit') || data.includes('abuse detection')) {
-        console.error('RATE LIMITING DETECTED: GitHub may be blocking the scraper');
-      }
-      
-      // Check if we need to login
-      if (data.includes('Sign in to GitHub') && data.includes('login')) {
-        console.error('LOGIN REQUIRED: GitHub is asking for authentication');
-      }
-      
-      // Look for common user list containers
-      const containers = {
-        'div.iwUbcA': $('div.iwUbcA').length,
-        'div.ldRxiI': $('div.ldRxiI').length, 
-        'data-testid="results-list"': $('div[data-testid="results-list"]').length,
-        'user-list': $('.user-list').length,
-        'Box': $('.Box').length,
-        'Box-row': $('.Box-row').length,
-        'user-list-item': $('.user-list-item').length,
-        'search-title': $('.search-title').length
-      };
-      
-      console.info('Potential containers found:', containers);
-      
-      // Check if the page says no results
-      const noResultsText = $('div:contains("We couldn\'t find any users matching")').text().trim();
-      if (noResultsText) {
-        console.warn('GitHub reports no results found:', noResultsText);
+      const { users, itemSelector, noResults } = this.parseSearchPage(data);
+      if (users.length === 0 && !noResults) {
+        const blocked = detectBlockedPage(data);
+        if (blocked) {
+          await this.httpCache.discard(url, 'search');
+          if (blocked instanceof GitHubRateLimitError) this.scheduler.reportRateLimit(url, blocked);
+          throw blocked;
+        }
       }
+      users.forEach(user => this.selectorConfig.recordMatches('search', user.extraction.search));
+      this.driftDetector.checkSearchPage({ url, html: data, users, itemSelector, noResults });
+
+      logger.info('Found users on search page', { page, users: users.length });
+      return users;
+    } catch (err) {
+      logger.error('Error scraping search page', { page, error: err });
+      throw toGitHubError(err, `Could not scrape search page ${page}`);
+    }
+  }
+
+  /**
+   * Extract users from a search results page
+   * @param {string} html - Search page HTML
+   * @returns {{users: Array, itemSelector: string|null, noResults: boolean}}
+   */
+  parseSearchPage(html) {
+    const $ = cheerio.load(html);
+    const users = [];
+
+    // Check if we're being rate limited or blocked
+    if (html.includes('rate limit') || html.includes('abuse detection')) {
+      logger.warn('Rate limiting detected: GitHub may be blocking the scraper');
+    }
+    
+    // Check if we need to login
+    if (html.includes('Sign in to GitHub') && html.includes('login')) {
+      logger.warn('Login required: GitHub is asking for authentication');
+    }
+    
+    // Check if the page says no results
+    const noResultsText = $('div:contains("We couldn\'t find any users matching")').text().trim();
+    if (noResultsText) {
+      logger.info('GitHub reports no results found', { text: noResultsText });
+    }
+    
+    logger.debug('Parsing search page', { title: $('title').text().trim() });
+    
+    const selectors = this.selectorConfig.config;
+    const { elements: userElements, selector: itemSelector } = this.selectorConfig.findItems($, selectors.search);
+
+    if (itemSelector && itemSelector !== selectors.search.items[0]) {
+      logger.warn('Primary result selector failed, using fallback', { selector: itemSelector });
+    }
+
+    if (userElements.length === 0) {
+      logger.error('Could not find user elements with any known selector');
       
-      // Try to find the page title for context
-      const pageTitle = $('title').text().trim();
-      console.info('Page title:', pageTitle);
-      
-      // Updated selector based on the provided HTML sample
-      // First try the selectors that match the new GitHub structure
-      let userElements = $('div.iwUbcA');
-      console.info('New selector "div.iwUbcA" found elements:', userElements.length);
-      
-      // If the above selector doesn't work, try alternatives
-      if (userElements.length === 0) {
-        console.warn('Primary selector failed, trying alternatives...');
-        
-        // Try a broad set of possible selectors
-        const potentialSelectors = [
-          'div.ldRxiI',
-          'div[data-testid="results-list"] > div',
-          '.user-list-item',
-          '.Box-row',
-          '.search-result-item',
-          '.user-list > li',
-          '.list-item',
-          '[data-hovercard-type="user"]',
-          '.repo-list > div',
-          '.codesearch-results .hx_hit-user',
-          '.flex-auto d-flex'
-        ];
+      if (logger.isEnabled('debug')) {
+        // Look for ANY divs that might have user-related classes
+        const divClasses = new Set();
+        $('div').each((_, el) => {
+          const classes = $(el).attr('class');
+          if (classes) divClasses.add(classes);
+        });
+        logger.debug('Available div classes', { classes: Array.from(divClasses) });
         
-        for (const selector of potentialSelectors) {
-          const elements = $(selector);
-          console.info(`Selector "${selector}" found: ${elements.length} elements`);
+        // Try to find GitHub usernames using a generic approach
+        $('a').each((_, el) => {
+          const linkText = $(el).text().trim();
+          const href = $(el).attr('href');
           
-          if (elements.length > 0) {
-            userElements = elements;
-            console.info(`Using selector: ${selector}`);
-            break;
+          if (linkText && USERNAME_PATTERN.test(linkText) && href && href.startsWith('/')) {
+            logger.debug('Potential username found', { username: linkText, href });
           }
-        }
-        
-        // If still nothing found, look for any divs or items that might look like user listings
-        if (userElements.length === 0) {
-          console.error('Could not find user elements with any known selector');
-          
-          // Look for ANY divs that might have user-related classes
-          const divClasses = new Set();
-          $('div').each((_, el) => {
-            const classes = $(el).attr('class');
-            if (classes) divClasses.add(classes);
-          });
-          console.debug('Available div classes:', Array.from(divClasses).join(', '));
-          
-          // Extract and log all link texts to see if we can find usernames
-          const allLinks = [];
-          $('a').each((_, el) => {
-            const linkText = $(el).text().trim();
-            const href = $(el).attr('href');
-            if (linkText && href && href.includes('/')) {
-              allLinks.push({ text: linkText, href });
-            }
-          });
-          console.debug('Potential user links found:', allLinks.length);
-          if (allLinks.length > 0) {
-            console.debug('Sample links:', allLinks.slice(0, 5));
-          }
-          
-          // Try to find GitHub usernames using a generic approach
-          const usernamePattern = /^[a-zA-Z0-9](?:[a-zA-Z0-9]|-(?=[a-zA-Z0-9])){0,38}$/;
-          $('a').each((_, el) => {
-            const linkText = $(el).text().trim();
-            const href = $(el).attr('href');
-            
-            if (linkText && usernamePattern.test(linkText) && href && href.startsWith('/')) {
-              console.info(`Potential username found: ${linkText} at ${href}`);
-            }
-          });
-        }
+        });
       }
+    }
 
-      userElements.each((_, el) => {
-        const userElement = $(el);
-        
-        // Updated selectors based on the HTML sample
-        // Try to get username based on the current structure
-        // First attempt - using the element with class 'gbmbF'
-        let username = userElement.find('span.gbmbF').text().trim();
-        let usernameLink = userElement.find('a.prc-Link-Link-85e08').last();
-        
-        // If not found, try alternative selectors
-        if (!username) {
-          const allLinks = userElement.find('a');
-          allLinks.each((_, link) => {
-            const href = $(link).attr('href');
-            if (href && href.startsWith('/') && !href.includes('/') && username === '') {
-              username = $(link).text().trim();
-              usernameLink = $(link);
-            }
-          });
-        }
-        
-        // If still not found, try other selectors
-        if (!username) {
-          usernameLink = userElement.find('a[href*="/"].text-bold');
-          if (usernameLink.length === 0) {
-            usernameLink = userElement.find('a.mr-1');
-          }
-          if (usernameLink.length === 0) {
-            usernameLink = userElement.find('a[data-hovercard-type="user"]');
-          }
-          username = usernameLink.text().trim();
-        }
-        
-        if (!username) return;
-        
-        // Get the profile URL
-        const profileUrl = usernameLink.attr('href');
+    userElements.each((_, el) => {
+      const { values, matched } = this.selectorConfig.extractFields($, $(el), selectors.search.fields);
+      if (!values.username) return;
+
+      matched.items = itemSelector;
+
+      const profileUrl = values.profile_url || `/${values.username}`;
+      
+      users.push({
+        username: values.username,
+        display_name: values.display_name || null,
         // Ensure the URL is absolute
-        const fullProfileUrl = profileUrl && profileUrl.startsWith('http') ? 
-                              profileUrl : 
-                              `https://github.com${profileUrl}`;
-                              
-        // Try different selectors for display name - use text from element with class 'hYFqef'
-        let displayName = userElement.find('span.hYFqef').text().trim();
-        
-        // If not found, try alternate selectors
-        if (!displayName) {
-          displayName = userElement.find('p.text-gray').text().trim();
+        profile_url: profileUrl.startsWith('http') ? profileUrl : `https://github.com${profileUrl}`,
+        bio: values.bio || null,
+        raw_data: {},
+        ai_insights: {},
+        extraction: {
+          selectors_version: selectors.version,
+          search: matched
         }
-        if (!displayName) {
-          displayName = userElement.find('.color-fg-muted').text().trim();
-        }
-        
-        // Try to get bio - the element with class 'gKFdvh'
-        let bio = userElement.find('span.gKFdvh').text().trim();
-        
-        users.push({
-          username,
-          display_name: displayName || null,
-          profile_url: fullProfileUrl,
-          bio: bio || null,
-          raw_data: {},
-          ai_insights: {}
-        });
       });
+    });
 
-      console.info(`Found ${users.length} users on page ${page}`);
-      
-      this.cache.set(cacheKey, users);
-      await this.sleep(this.rateLimitDelay);
-      return users;
-    } catch (err) {
-      console.error(`Error scraping users page ${page}: ${err.message}`);
-      console.error(`Stack trace: ${err.stack}`);
-      return [];
-    }
+    return { users, itemSelector, noResults: Boolean(noResultsText) };
   }
 
-  async processUserProfilesInBatches(users) {
-    const detailedUsers = [];
-    for (let i = 0; i < users.length; i += this.batchSize) {
-      const batch = users.slice(i, i + this.batchSize);
-      const batchPromises = batch.map(user => this.scrapeUserProfile(user));
-      const batchResults = await Promise.all(batchPromises);
-      detailedUsers.push(...batchResults);
-      console.info(`Processed batch of ${batchResults.length} user profiles`);
-      if (i + this.batchSize < users.length) await this.sleep(this.rateLimitDelay);
-    }
+  /**
+   * Scrape every user's profile. All profiles are queued at once; the
+   * scheduler paces the requests.
+   * @param {Array} users - Users from the search results
+   * @param {Function} [onProfile] - Called with (user) as each profile is scraped
+   * @returns {Promise<Array>} - Users with profile details, in search order
+   */
+  async processUserProfiles(users, onProfile) {
+    const detailedUsers = await Promise.all(users.map(user => this.scrapeUserProfile(user).then(profile => {
+      if (onProfile) onProfile(profile);
+      return profile;
+    })));
+    logger.info('Processed user profiles', { users: detailedUsers.length });
     return detailedUsers;
   }
 
-  async scrapeUserProfile(user) {
-    const cacheKey = `profile:${user.username}`;
-    if (this.cache.has(cacheKey)) {
-      console.info(`Cache hit for ${cacheKey}`);
-      return this.cache.get(cacheKey);
-    }
-
+  /**
+   * Scrape a user's profile page
+   * @param {Object} user - User with username and profile_url
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Revalidate cached pages with GitHub even while fresh
+   * @param {boolean} [options.throwOnError] - Throw a GitHubError instead of returning raw_data.error
+   *   (with raw_data.error_code, and raw_data.retry_after when rate limited)
+   * @returns {Promise<Object>} - User with profile fields and raw_data
+   */
+  async scrapeUserProfile(user, { refresh = false, throwOnError = false } = {}) {
     try {
-      console.info(`Scraping profile: ${user.username}`);
-      const { data } = await this.client.get(user.profile_url);
+      const { data, cache } = await this.fetchPage(user.profile_url, { kind: 'profile', refresh });
+      logger.debug('Fetched profile page', { username: user.username, cache });
       
       if (!data || data.length === 0) {
-        console.error(`Received empty response for ${user.username}'s profile`);
+        logger.error('Received empty profile page', { username: user.username });
         return user;
       }
       
-      const $ = cheerio.load(data);
+      const scrapedUser = this.parseProfilePage(data, user);
+      this.selectorConfig.recordMatches('profile', scrapedUser.extraction.profile);
+      scrapedUser.extraction.pinned_repositories.forEach(matched => {
+        this.selectorConfig.recordMatches('pinned_repositories', matched);
+      });
+      this.driftDetector.checkProfile({ url: user.profile_url, html: data, user: scrapedUser });
 
-      const enhancedUser = { ...user };
-      
-      // Extract contributions - try multiple selector patterns
-      let contributionCount = '0';
-      const contribText = $('h2:contains("contributions")').text();
-      const contribMatch = contribText.match(/(\d+(?:,\d+)*)/);
-      
-      if (contribMatch && contribMatch[0]) {
-        contributionCount = contribMatch[0];
-      } else {
-        // Try alternative selector for contributions
-        const altContribElem = $('.js-yearly-contributions');
-        if (altContribElem.length > 0) {
-          const altContribText = altContribElem.text();
-          const altMatch = altContribText.match(/(\d+(?:,\d+)*)/);
-          if (altMatch && altMatch[0]) {
-            contributionCount = altMatch[0];
-          }
-        }
-      }
-      
-      enhancedUser.contribution_count = contributionCount;
+      await this.scrapeProfileExtras(scrapedUser, { refresh });
+      return normalizeUser(scrapedUser);
+    } catch (err) {
+      logger.error('Error scraping profile', { username: user.username, error: err });
+      const failure = toGitHubError(err, `Could not scrape profile for ${user.username}`);
+      if (throwOnError) throw failure;
+      return {
+        ...user,
+        raw_data: describeFailure(err, failure)
+      };
+    }
+  }
 
-      // Extract pinned repositories with more flexible selectors
-      const pinnedRepos = [];
-      
-      // Try multiple selectors for pinned repositories
-      const pinnedSelectors = [
-        'div.pinned-item-list-item',
-        'div.js-pinned-item-list-item',
-        'ol.d-flex > li'
-      ];
-      
-      let pinnedElements = $();
-      for (const selector of pinnedSelectors) {
-        pinnedElements = $(selector);
-        if (pinnedElements.length > 0) break;
-      }
-      
-      pinnedElements.each((_, el) => {
-        const repoElement = $(el);
-        
-        // Try different selectors for repo name
-        let repoName = repoElement.find('span.repo').text().trim();
-        if (!repoName) {
-          repoName = repoElement.find('a[itemprop="name codeRepository"]').text().trim();
-        }
-        if (!repoName) {
-          repoName = repoElement.find('.repo').text().trim();
-        }
-        
-        // Try different selectors for description
-        let description = repoElement.find('p.pinned-item-desc').text().trim();
-        if (!description) {
-          description = repoElement.find('.color-fg-muted').text().trim();
-          description=description.split('\n')[0];
-        }
-        
-        // Try different selectors for language
-        let language = repoElement.find('span[itemprop="programmingLanguage"]').text().trim();
-        if (!language) {
-          language = repoElement.find('.repo-language-color').next().text().trim();
-        }
-        
-        pinnedRepos.push({
-          name: repoName || "Unknown Repository",
-          description: description || null,
-          language: language || null
-        });
-      });
-      
-      enhancedUser.pinned_repositories = pinnedRepos;
+  /**
+   * Extract profile fields from a profile page
+   * @param {string} html - Profile page HTML
+   * @param {Object} user - User from the search results
+   * @returns {Object} - User with profile fields, raw_data and extraction
+   */
+  parseProfilePage(html, user) {
+    const $ = cheerio.load(html);
 
-      // Extract additional profile data with more resilient selectors
-      // Updated selectors to look specifically for follower/following counts
-      const followers = $('a[href$="?tab=followers"], a[href*="followers"]').first().text().replace(/\D/g, '') || '0';
-      const following = $('a[href$="?tab=following"], a[href*="following"]').first().text().replace(/\D/g, '') || '0';
-      
-      // Extract organizations
-      const organizations = [];
-      $('a[data-hovercard-type="organization"], .avatar-group-item').each((_, el) => {
-        const orgName = $(el).attr('aria-label') || $(el).text().trim();
-        if (orgName) organizations.push(orgName);
-      });
-      
-      // Extract profile readme with multiple possible selectors
-      let profileReadme = $('div.js-user-profile-bio').text().trim();
-      if (!profileReadme) {
-        profileReadme = $('.user-profile-bio').text().trim();
-      }
-      if (!profileReadme) {
-        profileReadme = $('div[itemprop="description"]').text().trim();
-      }
+    const enhancedUser = { ...user };
+    
+    const selectors = this.selectorConfig.config;
+    const { values, matched } = this.selectorConfig.extractFields($, $.root(), selectors.profile.fields);
 
-      enhancedUser.raw_data = {
-        followers,
-        following,
-        organizations,
-        profile_readme: profileReadme || null
-      };
+    enhancedUser.contribution_count = values.contribution_count;
+    if (values.location) enhancedUser.location = values.location;
+
+    const pinnedList = selectors.profile.pinned_repositories;
+    const { elements: pinnedElements, selector: pinnedSelector } = this.selectorConfig.findItems($, pinnedList);
+    const pinnedMatches = [];
+
+    enhancedUser.pinned_repositories = pinnedElements.toArray().map(el => {
+      const repo = this.selectorConfig.extractFields($, $(el), pinnedList.fields);
+      pinnedMatches.push(repo.matched);
 
-      this.cache.set(cacheKey, enhancedUser);
-      return enhancedUser;
-    } catch (err) {
-      console.error(`Error scraping profile ${user.username}: ${err.message}`);
       return {
-        ...user,
-        raw_data: { error: err.message }
+        name: repo.values.name || "Unknown Repository",
+        description: repo.values.description || null,
+        language: repo.values.language || null
       };
+    });
+
+    matched.pinned_repositories = pinnedSelector;
+
+    enhancedUser.raw_data = {
+      followers: values.followers,
+      following: values.following,
+      organizations: values.organizations || [],
+      profile_readme: values.profile_readme || null,
+      company: values.company || null,
+      website: values.website || null,
+      social_links: values.social_links || [],
+      joined_at: values.joined_at || null
+    };
+
+    enhancedUser.extraction = {
+      ...user.extraction,
+      selectors_version: selectors.version,
+      profile: matched,
+      pinned_repositories: pinnedMatches
+    };
+
+    return enhancedUser;
+  }
+
+  /**
+   * Add the repositories tab, language breakdown and contribution calendar to
+   * a scraped profile. A failure here is logged and leaves those fields empty
+   * rather than failing the whole profile.
+   * @param {Object} user - User returned by parseProfilePage, updated in place
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Revalidate cached pages with GitHub even while fresh
+   */
+  async scrapeProfileExtras(user, { refresh = false } = {}) {
+    const profileUrl = `https://github.com/${encodeURIComponent(user.username)}`;
+    const repositories = [];
+
+    try {
+      for (let page = 1; page <= this.repositoryPages; page++) {
+        const { data } = await this.fetchPage(`${profileUrl}?tab=repositories&page=${page}`, { kind: 'profile', refresh });
+        const result = this.parseRepositoriesPage(data);
+        this.selectorConfig.recordMatches('repositories', result.matched);
+        if (page === 1) user.extraction.repositories = result.matched;
+        repositories.push(...result.repositories);
+        if (result.repositories.length < REPOSITORIES_PER_PAGE) break;
+      }
+    } catch (err) {
+      logger.error('Error scraping repositories', { username: user.username, error: err });
     }
+
+    let calendar = [];
+    try {
+      const contributionsUrl = `https://github.com/users/${encodeURIComponent(user.username)}/contributions`;
+      const { data } = await this.fetchPage(contributionsUrl, { kind: 'profile', refresh });
+      const result = this.parseContributionCalendar(data);
+      this.selectorConfig.recordMatches('contributions', result.matched);
+      user.extraction.contributions = result.matched;
+      calendar = result.days;
+    } catch (err) {
+      logger.error('Error scraping contribution calendar', { username: user.username, error: err });
+    }
+
+    user.raw_data.repositories = repositories;
+    user.raw_data.languages = summarizeLanguages(repositories);
+    user.raw_data.contribution_calendar = calendar;
+  }
+
+  /**
+   * Extract repositories from a page of the profile's repositories tab
+   * @param {string} html - Repositories tab HTML
+   * @returns {{repositories: Array, matched: Object}} - Repositories and the selector that first matched each field
+   */
+  parseRepositoriesPage(html) {
+    const $ = cheerio.load(html);
+    const list = this.selectorConfig.config.repositories;
+    const { elements, selector } = this.selectorConfig.findItems($, list);
+    const matched = { items: selector };
+
+    const repositories = [];
+    elements.each((_, el) => {
+      const repo = this.extractListItem($, el, list, matched);
+      if (!repo.name) return;
+
+      repositories.push({
+        name: repo.name,
+        description: repo.description || null,
+        language: repo.language || null,
+        stars: parseCount(repo.stars) ?? 0,
+        forks: parseCount(repo.forks) ?? 0,
+        updated_at: repo.updated_at || null,
+        forked_from: repo.forked_from || null
+      });
+    });
+
+    return { repositories, matched };
+  }
+
+  /**
+   * Extract per-day contribution counts from the contribution calendar
+   * @param {string} html - HTML of the /users/:username/contributions fragment
+   * @returns {{days: Array<{date: string, count: number, level: number|null}>, matched: Object}}
+   */
+  parseContributionCalendar(html) {
+    const $ = cheerio.load(html);
+    const list = this.selectorConfig.config.contributions;
+    const { elements, selector } = this.selectorConfig.findItems($, list);
+    const matched = { items: selector };
+
+    const days = [];
+    elements.each((_, el) => {
+      const day = this.extractListItem($, el, list, matched);
+      if (!day.date) return;
+
+      days.push({
+        date: day.date,
+        count: !day.count || day.count === 'No' ? 0 : parseInt(day.count, 10),
+        level: day.level ? parseInt(day.level, 10) : null
+      });
+    });
+
+    days.sort((a, b) => a.date.localeCompare(b.date));
+    return { days, matched };
+  }
+
+  /**
+   * Extract a list item's fields, noting in `matched` the first selector
+   * that matched each field across the list
+   */
+  extractListItem($, el, list, matched) {
+    const { values, matched: itemMatched } = this.selectorConfig.extractFields($, $(el), list.fields);
+    Object.entries(itemMatched).forEach(([field, selector]) => {
+      if (!matched[field]) matched[field] = selector;
+    });
+    return values;
+  }
+
+  /**
+   * Build the user stub scrapeUserProfile expects from a bare username
+   * @param {string} username - GitHub username
+   * @returns {Object}
+   */
+  createUserStub(username) {
+    return {
+      username,
+      display_name: null,
+      profile_url: `https://github.com/${encodeURIComponent(username)}`,
+      bio: null,
+      raw_data: {},
+      ai_insights: {}
+    };
+  }
+
+  /**
+   * Scraper health: selector config version and drift detection state
+   * @returns {Object}
+   */
+  getHealth() {
+    return {
+      ...this.driftDetector.getState(),
+      data_source: 'html',
+      selectors_version: this.selectorConfig.version,
+      github_requests: this.scheduler.getState()
+    };
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  /**
+   * GET a GitHub page through the HTTP cache, revalidating stale copies with
+   * a conditional request. Requests that reach GitHub go through the scheduler.
+   * @param {string} url - Page URL, also the cache key
+   * @param {Object} options
+   * @param {string} options.kind - "search" or "profile", selecting the cache TTL
+   * @param {boolean} [options.refresh] - Revalidate a cached page even while fresh
+   * @returns {Promise<{data: string, cache: string}>} - HTML and "hit", "revalidated" or "miss"
+   */
+  fetchPage(url, { kind, refresh = false }) {
+    return this.httpCache.fetch(url, {
+      kind,
+      refresh,
+      request: headers => this.scheduler.schedule(
+        url,
+        () => this.client.get(url, { headers, validateStatus: HttpCache.validateStatus }),
+        { check: checkAbusePage }
+      )
+    });
+  }
+}
+
+/**
+ * The error to report when GitHub served a login or rate limit page instead
+ * of search results
+ * @param {string} html - Page HTML
+ * @returns {GitHubError|null}
+ */
+function detectBlockedPage(html) {
+  if (html.includes('Sign in to GitHub') && html.includes('login')) {
+    return new GitHubLoginWallError('GitHub is asking for authentication instead of showing search results');
   }
+  if (html.includes('rate limit') || html.includes('abuse detection')) {
+    return new GitHubRateLimitError('GitHub is rate limiting the scraper');
+  }
+  return null;
+}
 
-  clearCache() {
-    this.cache.clear();
-    console.info('Cache cleared');
+/**
+ * Scheduler check for GitHub's secondary rate limit page, which is served
+ * with status 200. Only its specific wording is matched: profile READMEs may
+ * well mention rate limits.
+ * @param {Object} response - axios response
+ * @throws {GitHubRateLimitError}
+ */
+function checkAbusePage(response) {
+  if (typeof response.data === 'string' && ABUSE_PAGE_PATTERN.test(response.data)) {
+    throw new GitHubRateLimitError('GitHub abuse detection is blocking the scraper');
   }
 }
 
+/**
+ * raw_data for a profile that couldn't be scraped
+ * @param {Error} error - The original error
+ * @param {GitHubError} failure - The error classified by toGitHubError
+ * @returns {Object}
+ */
+function describeFailure(error, failure) {
+  const rawData = { error: error.message, error_code: failure.code };
+  if (error.response) rawData.status_code = error.response.status;
+  if (failure.retryAfter !== undefined) rawData.retry_after = failure.retryAfter;
+  return rawData;
+}
+
+GitHubScraper.USERNAME_PATTERN = USERNAME_PATTERN;
+
 module.exports = GitHubScraper;
\ No newline at end of file
@@ -0,0 +1,337 @@
+// services/selector-config.js
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const logger = require('./logger').child({ component: 'scraper' });
+const metrics = require('./metrics');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'selectors.json');
+const PICK_MODES = ['first', 'last', 'all'];
+const SCOPES = ['item', 'self', 'document'];
+const SELF_LABEL = '(self)';
+
+/**
+ * Declarative selectors used by GitHubScraper, loaded from a JSON file and
+ * reloaded when the file changes.
+ *
+ * Each field has an ordered list of candidates; the first candidate that
+ * yields a non-empty value wins. A candidate has:
+ * - selector: CSS selector, relative to the list item for list fields. `{name}`
+ *   is replaced with the item's `name` attribute.
+ * - scope: where to look, "item" (default), "self" (the item itself, no
+ *   selector needed) or "document" (the whole page, e.g. for a tooltip
+ *   referencing the item by id)
+ * - extract: value sources tried in order, "text" or "attr:<name>" (default ["text"])
+ * - pick: "first" (default), "last" or "all" (returns every value as an array)
+ * - pattern: regex applied to the value, keeping group 1 or the whole match
+ * - strip: regex of characters removed from the value
+ *
+ * Lists (search results, pinned and tab repositories, contribution calendar
+ * days) have `items`, an ordered list
+ * of selectors for the list elements, and `fields` extracted from each item.
+ */
+class SelectorConfig {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - Config file, defaults to SCRAPER_SELECTORS_PATH or config/selectors.json
+   * @param {boolean} [options.watch] - Reload the file when it changes
+   */
+  constructor({ file = process.env.SCRAPER_SELECTORS_PATH || DEFAULT_FILE, watch = true } = {}) {
+    this.file = file;
+    // An invalid file at startup is fatal; invalid edits later are ignored
+    this.config = compileConfig(JSON.parse(fs.readFileSync(file, 'utf8')));
+    this.loadedAt = new Date().toISOString();
+    this.stats = {};
+    logger.info('Loaded selector config', { version: this.config.version, file });
+
+    if (watch) this.watch();
+  }
+
+  get version() {
+    return this.config.version;
+  }
+
+  /**
+   * Re-read the config file, keeping the current config if the new one is invalid
+   * @returns {boolean} - True if the new config was loaded
+   */
+  reload() {
+    try {
+      const config = compileConfig(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+      if (config.version !== this.config.version) this.stats = {};
+      this.config = config;
+      this.loadedAt = new Date().toISOString();
+      logger.info('Reloaded selector config', { version: config.version, file: this.file });
+      return true;
+    } catch (error) {
+      logger.error('Ignoring invalid selector config', { file: this.file, error });
+      return false;
+    }
+  }
+
+  watch() {
+    this.onFileChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.reload();
+    };
+    // Polling survives editors that replace the file instead of writing to it
+    fs.watchFile(this.file, { interval: 2000 }, this.onFileChange).unref();
+  }
+
+  close() {
+    if (this.onFileChange) fs.unwatchFile(this.file, this.onFileChange);
+    this.onFileChange = null;
+  }
+
+  /**
+   * Find list elements using the first item selector that matches
+   * @param {Function} $ - Cheerio document
+   * @param {Object} list - List config with `items`
+   * @param {Object} [root] - Element to search within, defaults to the document
+   * @returns {{elements: Object, selector: string|null}}
+   */
+  findItems($, list, root = $.root()) {
+    for (const selector of list.items) {
+      const elements = root.find(selector);
+      if (elements.length > 0) return { elements, selector };
+    }
+    return { elements: $([]), selector: null };
+  }
+
+  /**
+   * Extract a set of fields from an element
+   * @param {Function} $ - Cheerio document
+   * @param {Object} root - Element to search within
+   * @param {Object} fields - Field name -> candidates
+   * @returns {{values: Object, matched: Object}} - Values and the selector that matched each field (null if none)
+   */
+  extractFields($, root, fields) {
+    const values = {};
+    const matched = {};
+
+    Object.entries(fields).forEach(([name, candidates]) => {
+      const result = extractField($, root, candidates);
+      values[name] = result.value;
+      matched[name] = result.selector;
+    });
+
+    return { values, matched };
+  }
+
+  /**
+   * Count which selector matched each field, to show which fallbacks are in
+   * use. Also counted in scraper_selector_matches_total as primary, fallback
+   * or none.
+   * @param {string} scope - Field group, e.g. "search" or "profile"
+   * @param {Object} matched - Field name -> selector or null; "items" is the list's item selector
+   */
+  recordMatches(scope, matched) {
+    Object.entries(matched).forEach(([name, selector]) => {
+      const key = `${scope}.${name}`;
+      const counts = this.stats[key] || (this.stats[key] = {});
+      const label = selector || '(none)';
+      counts[label] = (counts[label] || 0) + 1;
+
+      let match = 'none';
+      if (selector) match = selector === this.primarySelector(scope, name) ? 'primary' : 'fallback';
+      metrics.selectorMatches.inc({ scope, field: name, match });
+    });
+  }
+
+  /**
+   * The first selector configured for a field, as recordMatches labels it
+   * @param {string} scope - Field group
+   * @param {string} name - Field name, or "items" for a list's item selector
+   * @returns {string|null} - null for fields the config doesn't have
+   */
+  primarySelector(scope, name) {
+    const { config } = this;
+    const group = {
+      search: config.search,
+      profile: config.profile,
+      pinned_repositories: config.profile.pinned_repositories,
+      repositories: config.repositories,
+      contributions: config.contributions
+    }[scope];
+
+    if (!group) return null;
+    if (name === 'items') return group.items ? group.items[0] : null;
+    // Profiles note the pinned repositories' item selector alongside their fields
+    if (scope === 'profile' && name === 'pinned_repositories') return group.pinned_repositories.items[0];
+    const candidate = group.fields[name]?.[0];
+    return candidate ? candidate.selector || SELF_LABEL : null;
+  }
+
+  /**
+   * Config version and selector match counts since it was loaded
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      version: this.config.version,
+      file: this.file,
+      loaded_at: this.loadedAt,
+      matches: this.stats
+    };
+  }
+}
+
+/**
+ * Extract one field using the first candidate that yields a value
+ * @param {Function} $ - Cheerio document
+ * @param {Object} root - Element to search within
+ * @param {Array<Object>} candidates - Compiled candidates
+ * @returns {{value: *, selector: string|null}}
+ */
+function extractField($, root, candidates = []) {
+  for (const candidate of candidates) {
+    let elements = root;
+    if (candidate.scope !== 'self') {
+      const selector = fillPlaceholders(candidate.selector, root);
+      if (!selector) continue;
+      elements = (candidate.scope === 'document' ? $.root() : root).find(selector);
+    }
+
+    const values = elements.toArray()
+      .map(el => readValue($(el), candidate))
+      .filter(Boolean);
+    if (values.length === 0) continue;
+
+    let value = values[0];
+    if (candidate.pick === 'last') value = values[values.length - 1];
+    if (candidate.pick === 'all') value = values;
+    return { value, selector: candidate.selector || SELF_LABEL };
+  }
+  return { value: null, selector: null };
+}
+
+/**
+ * Replace `{name}` placeholders with the element's attributes
+ * @returns {string|null} - Selector, or null if an attribute is missing
+ */
+function fillPlaceholders(selector, element) {
+  let missing = false;
+  const filled = selector.replace(/\{([\w-]+)\}/g, (_, name) => {
+    const value = element.attr(name);
+    if (value === undefined) missing = true;
+    return String(value).replace(/["\\]/g, '\\$&');
+  });
+  return missing ? null : filled;
+}
+
+function readValue(element, candidate) {
+  for (const source of candidate.extract) {
+    let value = source === 'text' ? element.text() : element.attr(source.slice('attr:'.length));
+    if (!value) continue;
+
+    value = value.trim();
+    if (candidate.pattern) {
+      const match = value.match(candidate.pattern);
+      if (!match) continue;
+      value = match[1] ?? match[0];
+    }
+    if (candidate.strip) value = value.replace(candidate.strip, '');
+
+    value = value.trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Validate a parsed config file and compile its regexes
+ * @param {Object} raw - Parsed JSON
+ * @returns {Object} - Compiled config
+ */
+function compileConfig(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('config must be a JSON object');
+  if (!Number.isInteger(raw.version)) throw new Error('"version" must be an integer');
+
+  const config = {
+    version: raw.version,
+    search: compileList(raw.search, 'search'),
+    profile: {
+      fields: compileFields(raw.profile?.fields, 'profile.fields'),
+      pinned_repositories: compileList(raw.profile?.pinned_repositories, 'profile.pinned_repositories')
+    },
+    repositories: compileList(raw.repositories, 'repositories'),
+    contributions: compileList(raw.contributions, 'contributions')
+  };
+
+  if (!config.search.fields.username) throw new Error('"search.fields.username" is required');
+  return config;
+}
+
+function compileList(list, name) {
+  if (!list || !Array.isArray(list.items) || list.items.length === 0) {
+    throw new Error(`"${name}.items" must be a non-empty array of selectors`);
+  }
+  list.items.forEach((selector, i) => checkSelector(selector, `${name}.items[${i}]`));
+  return { items: list.items, fields: compileFields(list.fields, `${name}.fields`) };
+}
+
+function compileFields(fields, name) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error(`"${name}" must be an object of field candidates`);
+  }
+
+  const compiled = {};
+  Object.entries(fields).forEach(([field, candidates]) => {
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+      throw new Error(`"${name}.${field}" must be a non-empty array`);
+    }
+    compiled[field] = candidates.map((candidate, i) => compileCandidate(candidate, `${name}.${field}[${i}]`));
+  });
+  return compiled;
+}
+
+function compileCandidate(candidate, name) {
+  const scope = candidate?.scope || 'item';
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`"${name}.scope" must be one of: ${SCOPES.join(', ')}`);
+  }
+  if (scope !== 'self' || candidate.selector !== undefined) {
+    checkSelector(candidate?.selector, `${name}.selector`);
+  }
+
+  const extract = candidate.extract || ['text'];
+  if (!Array.isArray(extract) || extract.some(source => source !== 'text' && !/^attr:.+/.test(source))) {
+    throw new Error(`"${name}.extract" must list "text" or "attr:<name>" sources`);
+  }
+
+  const pick = candidate.pick || 'first';
+  if (!PICK_MODES.includes(pick)) {
+    throw new Error(`"${name}.pick" must be one of: ${PICK_MODES.join(', ')}`);
+  }
+
+  return {
+    selector: candidate.selector || null,
+    scope,
+    extract,
+    pick,
+    pattern: candidate.pattern ? compileRegex(candidate.pattern, '', `${name}.pattern`) : null,
+    strip: candidate.strip ? compileRegex(candidate.strip, 'g', `${name}.strip`) : null
+  };
+}
+
+function compileRegex(source, flags, name) {
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`"${name}" is not a valid regex: ${error.message}`);
+  }
+}
+
+const emptyDocument = cheerio.load('');
+
+function checkSelector(selector, name) {
+  if (typeof selector !== 'string' || selector.trim().length === 0) {
+    throw new Error(`"${name}" must be a non-empty string`);
+  }
+  try {
+    emptyDocument(selector);
+  } catch (error) {
+    throw new Error(`"${name}" is not a valid selector: ${error.message}`);
+  }
+}
+
+module.exports = SelectorConfig;
@@ -0,0 +1,72 @@
+// services/storage/index.js
+const path = require('path');
+const JsonFileStorage = require('./json-file-storage');
+const SqliteStorage = require('./sqlite-storage');
+
+/**
+ * Storage backends used by DataStore. Every backend implements the same
+ * synchronous interface:
+ *
+ *   insertRequest(request)
+ *   updateRequest(requestId, updates) -> request | null
+ *   getRequest(requestId) -> request | null
+ *   listRequests() -> Array<request>, oldest first
+ *   findRequests({ query, status, from, to, apiKeyId, limit, offset }) -> { total, requests }, newest first
+ *   saveResult(result, capturedAt?)
+ *   getResult(requestId) -> result | null
+ *   listResults() -> Array<result>
+ *   getUserHistory(username) -> { username, first_seen_at, last_seen_at, snapshots } | null
+ *   listUserSightings(username) -> Array<{ request_id, snapshot_id }>, the user's entries in stored results
+ *   getCachedInsights(key) -> insights | null, ignoring expired entries
+ *   saveCachedInsights(key, insights, expiresAt)
+ *   insertApiKey(apiKey)
+ *   updateApiKey(id, updates) -> apiKey | null
+ *   getApiKey(id) -> apiKey | null
+ *   findApiKeyByHash(keyHash) -> apiKey | null
+ *   listApiKeys() -> Array<apiKey>, oldest first
+ *   incrementUsage(apiKeyId, date, { requests, ai_calls })
+ *   getUsage(apiKeyId, fromDate?) -> Array<{ date, requests, ai_calls }>, oldest first
+ *   insertSavedSearch(search)
+ *   updateSavedSearch(id, updates) -> search | null
+ *   getSavedSearch(id) -> search | null
+ *   listSavedSearches({ apiKeyId? }) -> Array<search>, oldest first
+ *   deleteSavedSearch(id) -> boolean, also deleting its runs and deliveries
+ *   insertSearchRun(run)
+ *   updateSearchRun(id, updates) -> run | null
+ *   getSearchRun(id) -> run | null
+ *   findSearchRuns({ savedSearchId, limit, offset }) -> { total, runs }, newest first
+ *   insertWebhookDelivery(delivery)
+ *   updateWebhookDelivery(id, updates) -> delivery | null
+ *   findWebhookDeliveries({ savedSearchId, status, dueBefore, limit, offset }) -> { total, deliveries }, newest first
+ *   close()
+ */
+const BACKENDS = {
+  json: JsonFileStorage,
+  sqlite: SqliteStorage
+};
+
+/**
+ * Create a storage backend
+ * @param {string} type - Backend name ('json' or 'sqlite')
+ * @param {Object} options
+ * @param {string} options.dataDir - Data directory
+ * @param {string} [options.file] - Database file for the sqlite backend
+ * @returns {Object} - Storage backend instance
+ */
+function createStorage(type, { dataDir, file } = {}) {
+  const Backend = BACKENDS[type];
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${type}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  return new Backend({
+    dataDir,
+    file: file || path.join(dataDir, 'insights.db')
+  });
+}
+
+module.exports = {
+  createStorage,
+  JsonFileStorage,
+  SqliteStorage
+};
@@ -0,0 +1,460 @@
+// services/storage/json-file-storage.js
+const fs = require('fs');
+const path = require('path');
+const { userKey, toSnapshot, hashSnapshot } = require('../profile-history');
+const logger = require('../logger').child({ component: 'storage' });
+
+/**
+ * Storage backend that keeps everything in memory and mirrors it to
+ * data/requests.json, data/results.json, data/users.json,
+ * data/ai-cache.json, data/api-keys.json, data/api-key-usage.json,
+ * data/saved-searches.json, data/search-runs.json and
+ * data/webhook-deliveries.json. Intended for development.
+ *
+ * Users are stored once in users.json, keyed by lowercase username, with a
+ * snapshot for every change to their scraped profile. Results reference
+ * users by username and snapshot ID.
+ */
+class JsonFileStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory holding the JSON files
+   * @param {boolean} [options.readOnly] - Never write the files; data in an
+   *   older format is upgraded in memory only, e.g. when importing it
+   */
+  constructor({ dataDir, readOnly = false }) {
+    this.dataDir = dataDir;
+    this.readOnly = readOnly;
+    this.requestsFile = path.join(this.dataDir, 'requests.json');
+    this.resultsFile = path.join(this.dataDir, 'results.json');
+    this.usersFile = path.join(this.dataDir, 'users.json');
+    this.aiCacheFile = path.join(this.dataDir, 'ai-cache.json');
+    this.apiKeysFile = path.join(this.dataDir, 'api-keys.json');
+    this.usageFile = path.join(this.dataDir, 'api-key-usage.json');
+    this.savedSearchesFile = path.join(this.dataDir, 'saved-searches.json');
+    this.searchRunsFile = path.join(this.dataDir, 'search-runs.json');
+    this.deliveriesFile = path.join(this.dataDir, 'webhook-deliveries.json');
+
+    this.requests = this.loadFromFile(this.requestsFile, []);
+    this.results = this.loadFromFile(this.resultsFile, []);
+    this.users = this.loadFromFile(this.usersFile, {});
+    this.aiCache = this.loadFromFile(this.aiCacheFile, {});
+    this.apiKeys = this.loadFromFile(this.apiKeysFile, []);
+    // API key ID -> date -> { requests, ai_calls }
+    this.usage = this.loadFromFile(this.usageFile, {});
+    this.savedSearches = this.loadFromFile(this.savedSearchesFile, []);
+    this.searchRuns = this.loadFromFile(this.searchRunsFile, []);
+    this.deliveries = this.loadFromFile(this.deliveriesFile, []);
+
+    this.upgradeLegacyRequests();
+    this.upgradeEmbeddedResults();
+  }
+
+  /**
+   * Mark requests logged before request statuses were tracked, which were
+   * left pending, as completed when their result was stored
+   */
+  upgradeLegacyRequests() {
+    const results = new Map(this.results.map(result => [result.request_id, result]));
+    let upgraded = 0;
+
+    this.requests.forEach(request => {
+      const result = results.get(request.id);
+      if (request.status !== 'pending' || !result) return;
+
+      request.status = 'completed';
+      request.result_count = result.count ?? result.results.length;
+      upgraded++;
+    });
+
+    if (upgraded > 0) {
+      this.saveUpgradedFiles([[this.requestsFile, this.requests]]);
+      logger.info('Marked requests with stored results as completed', { requests: upgraded, file: this.requestsFile });
+    }
+  }
+
+  /**
+   * Move user objects embedded in results written before users were
+   * deduplicated into users.json, replacing them with references
+   */
+  upgradeEmbeddedResults() {
+    let upgraded = 0;
+
+    this.results.forEach(result => {
+      if (!result.results.some(item => item.snapshot_id === undefined)) return;
+
+      const request = this.getRequest(result.request_id);
+      const capturedAt = request?.completed_at || request?.timestamp || new Date().toISOString();
+      result.results = result.results.map(item =>
+        item.snapshot_id === undefined ? this.toReference(item, result.request_id, capturedAt) : item
+      );
+      upgraded++;
+    });
+
+    if (upgraded > 0) {
+      this.saveUpgradedFiles([[this.usersFile, this.users], [this.resultsFile, this.results]]);
+      logger.info('Moved users from stored results into their own file', { results: upgraded, file: this.usersFile });
+    }
+  }
+
+  /**
+   * Save files rewritten by a format upgrade, first copying their previous
+   * versions to <file>.bak. If a backup fails, none of them is rewritten.
+   * @param {Array<[string, *]>} files - File paths and their upgraded data
+   */
+  saveUpgradedFiles(files) {
+    if (this.readOnly) return;
+
+    try {
+      files.forEach(([file]) => {
+        if (fs.existsSync(file)) fs.copyFileSync(file, `${file}.bak`);
+      });
+    } catch (error) {
+      logger.error('Error backing up data files; keeping them in their old format on disk', { error });
+      return;
+    }
+
+    files.forEach(([file, data]) => this.saveToFile(file, data));
+    logger.info('Backed up data files before upgrading them', { backups: files.map(([file]) => `${file}.bak`) });
+  }
+
+  /**
+   * Load data from a JSON file
+   * @param {string} file - File path
+   * @param {*} defaultValue - Default value if file doesn't exist
+   * @returns {*} - Loaded data
+   */
+  loadFromFile(file, defaultValue) {
+    try {
+      if (fs.existsSync(file)) {
+        const data = fs.readFileSync(file, 'utf8');
+        return JSON.parse(data);
+      }
+      return defaultValue;
+    } catch (error) {
+      logger.error('Error loading data file', { file, error });
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Save data to a JSON file, unless read-only. Writes to a temporary file and
+   * renames it so a crash mid-write never leaves a truncated file behind.
+   * @param {string} file - File path
+   * @param {*} data - Data to save
+   */
+  saveToFile(file, data) {
+    if (this.readOnly) return;
+
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      logger.error('Error saving data file', { file, error });
+    }
+  }
+
+  insertRequest(request) {
+    this.requests.push(request);
+    this.saveToFile(this.requestsFile, this.requests);
+  }
+
+  updateRequest(requestId, updates) {
+    const request = this.getRequest(requestId);
+    if (!request) return null;
+
+    Object.assign(request, updates);
+    this.saveToFile(this.requestsFile, this.requests);
+    return request;
+  }
+
+  getRequest(requestId) {
+    return this.requests.find(r => r.id === requestId) || null;
+  }
+
+  listRequests() {
+    return this.requests;
+  }
+
+  findRequests({ query, status, from, to, apiKeyId, limit, offset }) {
+    const needle = query ? query.toLowerCase() : null;
+
+    const matches = this.requests
+      .filter(request => {
+        const timestamp = new Date(request.timestamp);
+        if (needle && !String(request.query).toLowerCase().includes(needle)) return false;
+        if (status && request.status !== status) return false;
+        if (from && timestamp < from) return false;
+        if (to && timestamp > to) return false;
+        if (apiKeyId && request.api_key_id !== apiKeyId) return false;
+        return true;
+      })
+      .reverse();
+
+    return {
+      total: matches.length,
+      requests: matches.slice(offset, offset + limit)
+    };
+  }
+
+  saveResult(result, capturedAt = new Date().toISOString()) {
+    const stored = {
+      ...result,
+      results: result.results.map(user => this.toReference(user, result.request_id, capturedAt))
+    };
+
+    this.results.push(stored);
+    this.saveToFile(this.usersFile, this.users);
+    this.saveToFile(this.resultsFile, this.results);
+  }
+
+  getResult(requestId) {
+    const stored = this.results.find(r => r.request_id === requestId);
+    return stored ? this.resolveResult(stored) : null;
+  }
+
+  listResults() {
+    return this.results.map(stored => this.resolveResult(stored));
+  }
+
+  getUserHistory(username) {
+    return this.users[userKey(username)] || null;
+  }
+
+  listUserSightings(username) {
+    const key = userKey(username);
+    return this.results.flatMap(result => result.results
+      .filter(item => userKey(item.username) === key)
+      .map(item => ({ request_id: result.request_id, snapshot_id: item.snapshot_id })));
+  }
+
+  getCachedInsights(key, now = new Date().toISOString()) {
+    const entry = this.aiCache[key];
+    if (!entry || entry.expires_at <= now) return null;
+    return entry.insights;
+  }
+
+  saveCachedInsights(key, insights, expiresAt) {
+    const now = new Date().toISOString();
+
+    // Drop expired entries whenever the file is rewritten anyway
+    Object.keys(this.aiCache).forEach(existing => {
+      if (this.aiCache[existing].expires_at <= now) delete this.aiCache[existing];
+    });
+
+    this.aiCache[key] = { insights, created_at: now, expires_at: expiresAt };
+    this.saveToFile(this.aiCacheFile, this.aiCache);
+  }
+
+  insertApiKey(apiKey) {
+    this.apiKeys.push({
+      requests_per_day: null,
+      ai_calls_per_day: null,
+      revoked_at: null,
+      last_used_at: null,
+      ...apiKey
+    });
+    this.saveToFile(this.apiKeysFile, this.apiKeys);
+  }
+
+  updateApiKey(id, updates) {
+    const apiKey = this.getApiKey(id);
+    if (!apiKey) return null;
+
+    Object.assign(apiKey, updates);
+    this.saveToFile(this.apiKeysFile, this.apiKeys);
+    return apiKey;
+  }
+
+  getApiKey(id) {
+    return this.apiKeys.find(apiKey => apiKey.id === id) || null;
+  }
+
+  findApiKeyByHash(keyHash) {
+    return this.apiKeys.find(apiKey => apiKey.key_hash === keyHash) || null;
+  }
+
+  listApiKeys() {
+    return this.apiKeys;
+  }
+
+  incrementUsage(apiKeyId, date, { requests = 0, ai_calls: aiCalls = 0 }) {
+    const days = this.usage[apiKeyId] || (this.usage[apiKeyId] = {});
+    const day = days[date] || (days[date] = { requests: 0, ai_calls: 0 });
+    day.requests += requests;
+    day.ai_calls += aiCalls;
+    this.saveToFile(this.usageFile, this.usage);
+  }
+
+  getUsage(apiKeyId, fromDate = '') {
+    return Object.entries(this.usage[apiKeyId] || {})
+      .filter(([date]) => date >= fromDate)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, counts]) => ({ date, ...counts }));
+  }
+
+  insertSavedSearch(search) {
+    this.savedSearches.push(search);
+    this.saveToFile(this.savedSearchesFile, this.savedSearches);
+  }
+
+  updateSavedSearch(id, updates) {
+    const search = this.getSavedSearch(id);
+    if (!search) return null;
+
+    Object.assign(search, updates);
+    this.saveToFile(this.savedSearchesFile, this.savedSearches);
+    return search;
+  }
+
+  getSavedSearch(id) {
+    return this.savedSearches.find(search => search.id === id) || null;
+  }
+
+  listSavedSearches({ apiKeyId } = {}) {
+    return this.savedSearches.filter(search => apiKeyId === undefined || search.api_key_id === apiKeyId);
+  }
+
+  deleteSavedSearch(id) {
+    if (!this.getSavedSearch(id)) return false;
+
+    this.savedSearches = this.savedSearches.filter(search => search.id !== id);
+    this.searchRuns = this.searchRuns.filter(run => run.saved_search_id !== id);
+    this.deliveries = this.deliveries.filter(delivery => delivery.saved_search_id !== id);
+    this.saveToFile(this.savedSearchesFile, this.savedSearches);
+    this.saveToFile(this.searchRunsFile, this.searchRuns);
+    this.saveToFile(this.deliveriesFile, this.deliveries);
+    return true;
+  }
+
+  insertSearchRun(run) {
+    this.searchRuns.push(run);
+    this.saveToFile(this.searchRunsFile, this.searchRuns);
+  }
+
+  updateSearchRun(id, updates) {
+    const run = this.getSearchRun(id);
+    if (!run) return null;
+
+    Object.assign(run, updates);
+    this.saveToFile(this.searchRunsFile, this.searchRuns);
+    return run;
+  }
+
+  getSearchRun(id) {
+    return this.searchRuns.find(run => run.id === id) || null;
+  }
+
+  findSearchRuns({ savedSearchId, limit, offset }) {
+    const matches = this.searchRuns.filter(run => run.saved_search_id === savedSearchId).reverse();
+    return { total: matches.length, runs: matches.slice(offset, offset + limit) };
+  }
+
+  insertWebhookDelivery(delivery) {
+    this.deliveries.push(delivery);
+    this.saveToFile(this.deliveriesFile, this.deliveries);
+  }
+
+  updateWebhookDelivery(id, updates) {
+    const delivery = this.deliveries.find(item => item.id === id);
+    if (!delivery) return null;
+
+    Object.assign(delivery, updates);
+    this.saveToFile(this.deliveriesFile, this.deliveries);
+    return delivery;
+  }
+
+  findWebhookDeliveries({ savedSearchId, status, dueBefore, limit, offset }) {
+    const matches = this.deliveries
+      .filter(delivery => {
+        if (savedSearchId && delivery.saved_search_id !== savedSearchId) return false;
+        if (status && delivery.status !== status) return false;
+        if (dueBefore && !(delivery.next_attempt_at && delivery.next_attempt_at <= dueBefore)) return false;
+        return true;
+      })
+      .reverse();
+
+    return { total: matches.length, deliveries: matches.slice(offset, offset + limit) };
+  }
+
+  /**
+   * Record a user's snapshot and return the reference stored in the result
+   * @param {Object} user - Enriched user
+   * @param {string} requestId - Request that produced the user
+   * @param {string} capturedAt - Snapshot timestamp
+   * @returns {{username: string, snapshot_id: number, ai_insights: Object}}
+   */
+  toReference(user, requestId, capturedAt) {
+    const snapshot = this.recordSnapshot(toSnapshot(user), requestId, capturedAt);
+    return {
+      username: user.username,
+      snapshot_id: snapshot.id,
+      ai_insights: user.ai_insights || {}
+    };
+  }
+
+  /**
+   * Append a snapshot for a user unless the profile is unchanged since the
+   * latest one
+   * @param {Object} profile - Snapshot profile
+   * @param {string} requestId - Request that produced the profile
+   * @param {string} capturedAt - Snapshot timestamp
+   * @returns {Object} - The new or unchanged latest snapshot
+   */
+  recordSnapshot(profile, requestId, capturedAt) {
+    const key = userKey(profile.username);
+    const hash = hashSnapshot(profile);
+
+    if (!this.users[key]) {
+      this.users[key] = {
+        username: profile.username,
+        first_seen_at: capturedAt,
+        last_seen_at: capturedAt,
+        snapshots: []
+      };
+    }
+
+    const record = this.users[key];
+    record.username = profile.username;
+    if (capturedAt > record.last_seen_at) record.last_seen_at = capturedAt;
+
+    const latest = record.snapshots[record.snapshots.length - 1];
+    if (latest && latest.hash === hash) return latest;
+
+    const snapshot = {
+      id: record.snapshots.length + 1,
+      captured_at: capturedAt,
+      request_id: requestId,
+      hash,
+      profile
+    };
+    record.snapshots.push(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Replace user references in a stored result with full user objects
+   * @param {Object} stored - Result as kept in results.json
+   * @returns {Object}
+   */
+  resolveResult(stored) {
+    return {
+      ...stored,
+      // Results stored before insights were cached have no cache hits
+      ai_cache_hits: stored.ai_cache_hits ?? 0,
+      results: stored.results.map(item => {
+        const record = this.users[userKey(item.username)];
+        const snapshot = record?.snapshots.find(s => s.id === item.snapshot_id);
+        return {
+          ...(snapshot ? snapshot.profile : { username: item.username }),
+          ai_insights: item.ai_insights
+        };
+      })
+    };
+  }
+
+  close() {}
+}
+
+module.exports = JsonFileStorage;
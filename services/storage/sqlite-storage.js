@@ -0,0 +1,836 @@
+// services/storage/sqlite-storage.js
+const Database = require('better-sqlite3');
+const { userKey, toSnapshot, hashSnapshot } = require('../profile-history');
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+  // 1: requests, the users returned for each request and their AI insights
+  db => db.exec(`
+    CREATE TABLE IF NOT EXISTS requests (
+      id TEXT PRIMARY KEY,
+      query TEXT NOT NULL,
+      pages INTEGER,
+      timestamp TEXT NOT NULL,
+      status TEXT NOT NULL,
+      completed_at TEXT,
+      result_count INTEGER,
+      error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_requests_timestamp ON requests (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_requests_status ON requests (status);
+
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id TEXT NOT NULL REFERENCES requests (id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      display_name TEXT,
+      profile_url TEXT,
+      location TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_users_request ON users (request_id, position);
+    CREATE INDEX IF NOT EXISTS idx_users_username ON users (username);
+
+    CREATE TABLE IF NOT EXISTS ai_insights (
+      user_id INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+      experience_level TEXT,
+      primary_skills TEXT,
+      tech_stack TEXT,
+      error TEXT,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+  `),
+
+  // 2: store each user once with profile snapshots; insights reference a snapshot
+  (db, storage) => {
+    db.exec(`
+      DROP INDEX idx_users_request;
+      DROP INDEX idx_users_username;
+      ALTER TABLE ai_insights RENAME TO v1_ai_insights;
+      ALTER TABLE users RENAME TO v1_users;
+
+      CREATE TABLE users (
+        username_key TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL
+      );
+
+      CREATE TABLE user_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username_key TEXT NOT NULL REFERENCES users (username_key) ON DELETE CASCADE,
+        captured_at TEXT NOT NULL,
+        request_id TEXT,
+        content_hash TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_user_snapshots_user ON user_snapshots (username_key, id);
+
+      CREATE TABLE ai_insights (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id TEXT NOT NULL REFERENCES requests (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        username_key TEXT NOT NULL REFERENCES users (username_key),
+        snapshot_id INTEGER REFERENCES user_snapshots (id),
+        experience_level TEXT,
+        primary_skills TEXT,
+        tech_stack TEXT,
+        error TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_ai_insights_request ON ai_insights (request_id, position);
+      CREATE INDEX idx_ai_insights_user ON ai_insights (username_key);
+    `);
+    storage.prepareStatements();
+
+    const rows = db.prepare(`
+      SELECT v1_users.request_id, v1_users.data AS user_data, v1_ai_insights.data AS insights_data,
+             COALESCE(requests.completed_at, requests.timestamp) AS captured_at
+      FROM v1_users
+      JOIN requests ON requests.id = v1_users.request_id
+      LEFT JOIN v1_ai_insights ON v1_ai_insights.user_id = v1_users.id
+      ORDER BY requests.timestamp, v1_users.request_id, v1_users.position
+    `).all();
+
+    const positions = new Map();
+    rows.forEach(row => {
+      const position = positions.get(row.request_id) || 0;
+      positions.set(row.request_id, position + 1);
+
+      const user = JSON.parse(row.user_data);
+      user.ai_insights = row.insights_data ? JSON.parse(row.insights_data) : {};
+      storage.insertResultUser(row.request_id, position, user, row.captured_at);
+    });
+
+    db.exec(`
+      DROP TABLE v1_ai_insights;
+      DROP TABLE v1_users;
+    `);
+  },
+
+  // 3: parsed AI insights keyed by a hash of the prompt, provider and model
+  db => db.exec(`
+    CREATE TABLE ai_cache (
+      key TEXT PRIMARY KEY,
+      insights TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_ai_cache_expires ON ai_cache (expires_at);
+  `),
+
+  // 4: API keys (hashed), their daily usage, and the key that created each request
+  db => db.exec(`
+    CREATE TABLE api_keys (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      requests_per_day INTEGER,
+      ai_calls_per_day INTEGER,
+      created_at TEXT NOT NULL,
+      revoked_at TEXT,
+      last_used_at TEXT
+    );
+
+    CREATE TABLE api_key_usage (
+      api_key_id TEXT NOT NULL REFERENCES api_keys (id) ON DELETE CASCADE,
+      date TEXT NOT NULL,
+      requests INTEGER NOT NULL DEFAULT 0,
+      ai_calls INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (api_key_id, date)
+    );
+
+    ALTER TABLE requests ADD COLUMN api_key_id TEXT;
+    CREATE INDEX idx_requests_api_key ON requests (api_key_id, timestamp);
+  `),
+
+  // 5: scheduled saved searches, their runs with the diff to the previous run,
+  // and the webhook deliveries announcing those diffs
+  db => db.exec(`
+    CREATE TABLE saved_searches (
+      id TEXT PRIMARY KEY,
+      api_key_id TEXT,
+      name TEXT NOT NULL,
+      query TEXT NOT NULL,
+      pages INTEGER NOT NULL,
+      schedule TEXT NOT NULL,
+      provider TEXT,
+      template TEXT,
+      webhook_url TEXT,
+      webhook_secret TEXT,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      last_run_at TEXT,
+      next_run_at TEXT,
+      last_request_id TEXT
+    );
+    CREATE INDEX idx_saved_searches_api_key ON saved_searches (api_key_id);
+
+    CREATE TABLE search_runs (
+      id TEXT PRIMARY KEY,
+      saved_search_id TEXT NOT NULL REFERENCES saved_searches (id) ON DELETE CASCADE,
+      trigger TEXT NOT NULL,
+      status TEXT NOT NULL,
+      request_id TEXT,
+      previous_request_id TEXT,
+      started_at TEXT NOT NULL,
+      completed_at TEXT,
+      added_count INTEGER,
+      removed_count INTEGER,
+      changed_count INTEGER,
+      diff TEXT,
+      error TEXT,
+      error_code TEXT
+    );
+    CREATE INDEX idx_search_runs_search ON search_runs (saved_search_id, started_at);
+
+    CREATE TABLE webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      saved_search_id TEXT NOT NULL REFERENCES saved_searches (id) ON DELETE CASCADE,
+      run_id TEXT,
+      event TEXT NOT NULL,
+      url TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_status_code INTEGER,
+      last_error TEXT,
+      created_at TEXT NOT NULL,
+      last_attempt_at TEXT,
+      next_attempt_at TEXT,
+      delivered_at TEXT
+    );
+    CREATE INDEX idx_webhook_deliveries_search ON webhook_deliveries (saved_search_id, created_at);
+    CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+  `),
+
+  // 6: requests imported from JSON data written before request statuses were
+  // tracked are still pending; those with stored users were completed
+  db => db.exec(`
+    UPDATE requests
+    SET status = 'completed',
+        result_count = (SELECT COUNT(*) FROM ai_insights WHERE ai_insights.request_id = requests.id)
+    WHERE status = 'pending'
+      AND EXISTS (SELECT 1 FROM ai_insights WHERE ai_insights.request_id = requests.id);
+  `),
+
+  // 7: result-level fields; cache hits of results stored earlier are counted
+  // from their insights
+  db => db.exec(`
+    CREATE TABLE results (
+      request_id TEXT PRIMARY KEY REFERENCES requests (id) ON DELETE CASCADE,
+      ai_cache_hits INTEGER NOT NULL DEFAULT 0
+    );
+
+    INSERT INTO results (request_id, ai_cache_hits)
+    SELECT request_id, SUM(json_extract(data, '$.cache_hit') IS 1)
+    FROM ai_insights
+    GROUP BY request_id;
+  `)
+];
+
+const REQUEST_COLUMNS = ['query', 'pages', 'timestamp', 'status', 'completed_at', 'result_count', 'error', 'api_key_id'];
+const API_KEY_COLUMNS = ['name', 'requests_per_day', 'ai_calls_per_day', 'revoked_at', 'last_used_at'];
+const SAVED_SEARCH_COLUMNS = [
+  'name', 'query', 'pages', 'schedule', 'provider', 'template', 'webhook_url', 'webhook_secret',
+  'enabled', 'updated_at', 'last_run_at', 'next_run_at', 'last_request_id'
+];
+const SEARCH_RUN_COLUMNS = [
+  'status', 'request_id', 'previous_request_id', 'completed_at', 'added_count', 'removed_count',
+  'changed_count', 'diff', 'error', 'error_code'
+];
+const DELIVERY_COLUMNS = [
+  'status', 'attempts', 'last_status_code', 'last_error', 'last_attempt_at', 'next_attempt_at', 'delivered_at'
+];
+
+/**
+ * Storage backend on an embedded SQLite database. Requests, users (stored
+ * once, with a snapshot per profile change) and the AI insights produced for
+ * each user in a request live in separate tables.
+ */
+class SqliteStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Database file path
+   */
+  constructor({ file }) {
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.migrate();
+    this.prepareStatements();
+
+    this.saveResult = this.db.transaction(this.saveResult.bind(this));
+  }
+
+  /**
+   * Apply pending schema migrations
+   */
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      this.db.transaction(() => {
+        MIGRATIONS[i](this.db, this);
+        this.db.pragma(`user_version = ${i + 1}`);
+      })();
+    }
+  }
+
+  prepareStatements() {
+    const tables = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").pluck().all();
+
+    this.statements = {
+      insertRequest: this.db.prepare(`
+        INSERT INTO requests (id, query, pages, timestamp, status, completed_at, result_count, error)
+        VALUES (@id, @query, @pages, @timestamp, @status, @completed_at, @result_count, @error)
+      `),
+      getRequest: this.db.prepare('SELECT * FROM requests WHERE id = ?'),
+      listRequests: this.db.prepare('SELECT * FROM requests ORDER BY timestamp, rowid')
+    };
+
+    // Statements on later tables can only be prepared once migrations created them
+    if (tables.includes('user_snapshots')) this.prepareSnapshotStatements();
+    if (tables.includes('ai_cache')) this.prepareCacheStatements();
+    if (tables.includes('api_keys')) this.prepareApiKeyStatements();
+    if (tables.includes('saved_searches')) this.prepareSavedSearchStatements();
+    if (tables.includes('results')) this.prepareResultStatements();
+  }
+
+  prepareResultStatements() {
+    Object.assign(this.statements, {
+      saveResultFields: this.db.prepare(`
+        INSERT OR REPLACE INTO results (request_id, ai_cache_hits) VALUES (@request_id, @ai_cache_hits)
+      `),
+      getResultFields: this.db.prepare('SELECT ai_cache_hits FROM results WHERE request_id = ?')
+    });
+  }
+
+  prepareSnapshotStatements() {
+    Object.assign(this.statements, {
+      getUser: this.db.prepare('SELECT * FROM users WHERE username_key = ?'),
+      insertUser: this.db.prepare(`
+        INSERT INTO users (username_key, username, first_seen_at, last_seen_at)
+        VALUES (@username_key, @username, @seen_at, @seen_at)
+      `),
+      touchUser: this.db.prepare(`
+        UPDATE users SET username = @username, last_seen_at = MAX(last_seen_at, @seen_at)
+        WHERE username_key = @username_key
+      `),
+      getLatestSnapshot: this.db.prepare(`
+        SELECT id, content_hash FROM user_snapshots WHERE username_key = ? ORDER BY id DESC LIMIT 1
+      `),
+      insertSnapshot: this.db.prepare(`
+        INSERT INTO user_snapshots (username_key, captured_at, request_id, content_hash, data)
+        VALUES (@username_key, @captured_at, @request_id, @content_hash, @data)
+      `),
+      listSnapshots: this.db.prepare(`
+        SELECT id, captured_at, request_id, data FROM user_snapshots WHERE username_key = ? ORDER BY id
+      `),
+      insertInsights: this.db.prepare(`
+        INSERT INTO ai_insights (request_id, position, username_key, snapshot_id, experience_level,
+                                 primary_skills, tech_stack, error, data, created_at)
+        VALUES (@request_id, @position, @username_key, @snapshot_id, @experience_level,
+                @primary_skills, @tech_stack, @error, @data, @created_at)
+      `),
+      getResultUsers: this.db.prepare(`
+        SELECT ai_insights.username_key, ai_insights.data AS insights_data, user_snapshots.data AS user_data
+        FROM ai_insights
+        LEFT JOIN user_snapshots ON user_snapshots.id = ai_insights.snapshot_id
+        WHERE ai_insights.request_id = ?
+        ORDER BY ai_insights.position
+      `),
+      listUserSightings: this.db.prepare(`
+        SELECT request_id, snapshot_id FROM ai_insights
+        WHERE username_key = ? AND snapshot_id IS NOT NULL
+        ORDER BY id
+      `),
+      countResultUsers: this.db.prepare('SELECT COUNT(*) AS count FROM ai_insights WHERE request_id = ?'),
+      listResultRequestIds: this.db.prepare(`
+        SELECT DISTINCT ai_insights.request_id FROM ai_insights
+        JOIN requests ON requests.id = ai_insights.request_id
+        ORDER BY requests.timestamp, requests.rowid
+      `)
+    });
+  }
+
+  prepareCacheStatements() {
+    Object.assign(this.statements, {
+      getCachedInsights: this.db.prepare('SELECT insights FROM ai_cache WHERE key = ? AND expires_at > ?'),
+      saveCachedInsights: this.db.prepare(`
+        INSERT OR REPLACE INTO ai_cache (key, insights, created_at, expires_at)
+        VALUES (@key, @insights, @created_at, @expires_at)
+      `),
+      deleteExpiredInsights: this.db.prepare('DELETE FROM ai_cache WHERE expires_at <= ?')
+    });
+  }
+
+  prepareApiKeyStatements() {
+    Object.assign(this.statements, {
+      insertRequest: this.db.prepare(`
+        INSERT INTO requests (id, query, pages, timestamp, status, completed_at, result_count, error, api_key_id)
+        VALUES (@id, @query, @pages, @timestamp, @status, @completed_at, @result_count, @error, @api_key_id)
+      `),
+      insertApiKey: this.db.prepare(`
+        INSERT INTO api_keys (id, name, prefix, key_hash, requests_per_day, ai_calls_per_day,
+                              created_at, revoked_at, last_used_at)
+        VALUES (@id, @name, @prefix, @key_hash, @requests_per_day, @ai_calls_per_day,
+                @created_at, @revoked_at, @last_used_at)
+      `),
+      getApiKey: this.db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+      findApiKeyByHash: this.db.prepare('SELECT * FROM api_keys WHERE key_hash = ?'),
+      listApiKeys: this.db.prepare('SELECT * FROM api_keys ORDER BY created_at, rowid'),
+      incrementUsage: this.db.prepare(`
+        INSERT INTO api_key_usage (api_key_id, date, requests, ai_calls)
+        VALUES (@api_key_id, @date, @requests, @ai_calls)
+        ON CONFLICT (api_key_id, date) DO UPDATE SET
+          requests = requests + excluded.requests,
+          ai_calls = ai_calls + excluded.ai_calls
+      `),
+      getUsage: this.db.prepare(`
+        SELECT date, requests, ai_calls FROM api_key_usage
+        WHERE api_key_id = ? AND date >= ?
+        ORDER BY date
+      `)
+    });
+  }
+
+  prepareSavedSearchStatements() {
+    Object.assign(this.statements, {
+      insertSavedSearch: this.db.prepare(`
+        INSERT INTO saved_searches (id, api_key_id, name, query, pages, schedule, provider, template,
+                                    webhook_url, webhook_secret, enabled, created_at, updated_at,
+                                    last_run_at, next_run_at, last_request_id)
+        VALUES (@id, @api_key_id, @name, @query, @pages, @schedule, @provider, @template,
+                @webhook_url, @webhook_secret, @enabled, @created_at, @updated_at,
+                @last_run_at, @next_run_at, @last_request_id)
+      `),
+      getSavedSearch: this.db.prepare('SELECT * FROM saved_searches WHERE id = ?'),
+      listSavedSearches: this.db.prepare('SELECT * FROM saved_searches ORDER BY created_at, rowid'),
+      listSavedSearchesByKey: this.db.prepare(`
+        SELECT * FROM saved_searches WHERE api_key_id IS ? ORDER BY created_at, rowid
+      `),
+      deleteSavedSearch: this.db.prepare('DELETE FROM saved_searches WHERE id = ?'),
+      insertSearchRun: this.db.prepare(`
+        INSERT INTO search_runs (id, saved_search_id, trigger, status, request_id, previous_request_id,
+                                 started_at, completed_at, added_count, removed_count, changed_count,
+                                 diff, error, error_code)
+        VALUES (@id, @saved_search_id, @trigger, @status, @request_id, @previous_request_id,
+                @started_at, @completed_at, @added_count, @removed_count, @changed_count,
+                @diff, @error, @error_code)
+      `),
+      getSearchRun: this.db.prepare('SELECT * FROM search_runs WHERE id = ?'),
+      countSearchRuns: this.db.prepare('SELECT COUNT(*) AS total FROM search_runs WHERE saved_search_id = ?'),
+      findSearchRuns: this.db.prepare(`
+        SELECT * FROM search_runs WHERE saved_search_id = ?
+        ORDER BY started_at DESC, rowid DESC LIMIT ? OFFSET ?
+      `),
+      insertWebhookDelivery: this.db.prepare(`
+        INSERT INTO webhook_deliveries (id, saved_search_id, run_id, event, url, payload, status, attempts,
+                                        last_status_code, last_error, created_at, last_attempt_at,
+                                        next_attempt_at, delivered_at)
+        VALUES (@id, @saved_search_id, @run_id, @event, @url, @payload, @status, @attempts,
+                @last_status_code, @last_error, @created_at, @last_attempt_at,
+                @next_attempt_at, @delivered_at)
+      `),
+      getWebhookDelivery: this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?')
+    });
+  }
+
+  insertRequest(request) {
+    this.statements.insertRequest.run({
+      completed_at: null,
+      result_count: null,
+      error: null,
+      api_key_id: null,
+      ...request
+    });
+  }
+
+  updateRequest(requestId, updates) {
+    const columns = Object.keys(updates).filter(key => REQUEST_COLUMNS.includes(key));
+
+    if (columns.length > 0) {
+      const assignments = columns.map(column => `${column} = @${column}`).join(', ');
+      const values = Object.fromEntries(columns.map(column => [column, updates[column]]));
+      this.db.prepare(`UPDATE requests SET ${assignments} WHERE id = @id`).run({ ...values, id: requestId });
+    }
+
+    return this.getRequest(requestId);
+  }
+
+  getRequest(requestId) {
+    return this.statements.getRequest.get(requestId) || null;
+  }
+
+  listRequests() {
+    return this.statements.listRequests.all();
+  }
+
+  findRequests({ query, status, from, to, apiKeyId, limit, offset }) {
+    const conditions = [];
+    const params = {};
+
+    if (query) {
+      conditions.push("query LIKE @query ESCAPE '\\'");
+      params.query = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    if (status) {
+      conditions.push('status = @status');
+      params.status = status;
+    }
+    if (from) {
+      conditions.push('timestamp >= @from');
+      params.from = from.toISOString();
+    }
+    if (to) {
+      conditions.push('timestamp <= @to');
+      params.to = to.toISOString();
+    }
+    if (apiKeyId) {
+      conditions.push('api_key_id = @api_key_id');
+      params.api_key_id = apiKeyId;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM requests ${where}`).get(params);
+    const requests = this.db
+      .prepare(`SELECT * FROM requests ${where} ORDER BY timestamp DESC, rowid DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset });
+
+    return { total, requests };
+  }
+
+  /**
+   * Save a result's users and their AI insights. Wrapped in a transaction in
+   * the constructor so a result is stored completely or not at all.
+   * @param {Object} result - Result with request_id and results
+   * @param {string} [capturedAt] - Timestamp for new profile snapshots
+   */
+  saveResult(result, capturedAt = new Date().toISOString()) {
+    this.statements.saveResultFields.run({ request_id: result.request_id, ai_cache_hits: result.ai_cache_hits ?? 0 });
+    result.results.forEach((user, position) => {
+      this.insertResultUser(result.request_id, position, user, capturedAt);
+    });
+  }
+
+  /**
+   * Record a user's snapshot and the insights produced for them in a request
+   * @param {string} requestId - Request ID
+   * @param {number} position - Position of the user in the result
+   * @param {Object} user - Enriched user
+   * @param {string} capturedAt - Snapshot timestamp
+   */
+  insertResultUser(requestId, position, user, capturedAt) {
+    const { ai_insights: insights = {}, ...profile } = user;
+    const snapshotId = this.recordSnapshot(toSnapshot(profile), requestId, capturedAt);
+
+    this.statements.insertInsights.run({
+      request_id: requestId,
+      position,
+      username_key: userKey(profile.username),
+      snapshot_id: snapshotId,
+      experience_level: toText(insights.experience_level),
+      primary_skills: toText(insights.primary_skills),
+      tech_stack: toText(insights.tech_stack),
+      error: toText(insights.error),
+      data: JSON.stringify(insights),
+      created_at: insights.timestamp || capturedAt
+    });
+  }
+
+  /**
+   * Insert a snapshot for a user unless the profile is unchanged since the
+   * latest one
+   * @param {Object} profile - Snapshot profile
+   * @param {string} requestId - Request that produced the profile
+   * @param {string} capturedAt - Snapshot timestamp
+   * @returns {number} - ID of the new or unchanged latest snapshot
+   */
+  recordSnapshot(profile, requestId, capturedAt) {
+    const key = userKey(profile.username);
+    const hash = hashSnapshot(profile);
+    const userParams = { username_key: key, username: profile.username, seen_at: capturedAt };
+
+    if (this.statements.getUser.get(key)) {
+      this.statements.touchUser.run(userParams);
+    } else {
+      this.statements.insertUser.run(userParams);
+    }
+
+    const latest = this.statements.getLatestSnapshot.get(key);
+    if (latest && latest.content_hash === hash) return latest.id;
+
+    const { lastInsertRowid } = this.statements.insertSnapshot.run({
+      username_key: key,
+      captured_at: capturedAt,
+      request_id: requestId,
+      content_hash: hash,
+      data: JSON.stringify(profile)
+    });
+    return Number(lastInsertRowid);
+  }
+
+  getResult(requestId) {
+    const request = this.getRequest(requestId);
+    if (!request) return null;
+
+    const { count } = this.statements.countResultUsers.get(requestId);
+    if (count === 0 && request.status !== 'completed') return null;
+
+    const results = this.statements.getResultUsers.all(requestId).map(row => ({
+      ...(row.user_data ? JSON.parse(row.user_data) : { username: row.username_key }),
+      ai_insights: JSON.parse(row.insights_data)
+    }));
+
+    return {
+      request_id: request.id,
+      query: request.query,
+      count: results.length,
+      ai_cache_hits: this.statements.getResultFields.get(requestId)?.ai_cache_hits ?? 0,
+      results
+    };
+  }
+
+  listResults() {
+    return this.statements.listResultRequestIds.all().map(row => this.getResult(row.request_id));
+  }
+
+  getCachedInsights(key, now = new Date().toISOString()) {
+    const row = this.statements.getCachedInsights.get(key, now);
+    return row ? JSON.parse(row.insights) : null;
+  }
+
+  saveCachedInsights(key, insights, expiresAt) {
+    const now = new Date().toISOString();
+    this.statements.deleteExpiredInsights.run(now);
+    this.statements.saveCachedInsights.run({
+      key,
+      insights: JSON.stringify(insights),
+      created_at: now,
+      expires_at: expiresAt
+    });
+  }
+
+  getUserHistory(username) {
+    const key = userKey(username);
+    const user = this.statements.getUser.get(key);
+    if (!user) return null;
+
+    return {
+      username: user.username,
+      first_seen_at: user.first_seen_at,
+      last_seen_at: user.last_seen_at,
+      snapshots: this.statements.listSnapshots.all(key).map(row => ({
+        id: row.id,
+        captured_at: row.captured_at,
+        request_id: row.request_id,
+        profile: JSON.parse(row.data)
+      }))
+    };
+  }
+
+  listUserSightings(username) {
+    return this.statements.listUserSightings.all(userKey(username));
+  }
+
+  insertApiKey(apiKey) {
+    this.statements.insertApiKey.run({
+      requests_per_day: null,
+      ai_calls_per_day: null,
+      revoked_at: null,
+      last_used_at: null,
+      ...apiKey
+    });
+  }
+
+  updateApiKey(id, updates) {
+    this.updateColumns('api_keys', API_KEY_COLUMNS, id, updates);
+    return this.getApiKey(id);
+  }
+
+  getApiKey(id) {
+    return this.statements.getApiKey.get(id) || null;
+  }
+
+  findApiKeyByHash(keyHash) {
+    return this.statements.findApiKeyByHash.get(keyHash) || null;
+  }
+
+  listApiKeys() {
+    return this.statements.listApiKeys.all();
+  }
+
+  incrementUsage(apiKeyId, date, { requests = 0, ai_calls: aiCalls = 0 }) {
+    this.statements.incrementUsage.run({ api_key_id: apiKeyId, date, requests, ai_calls: aiCalls });
+  }
+
+  getUsage(apiKeyId, fromDate = '') {
+    return this.statements.getUsage.all(apiKeyId, fromDate);
+  }
+
+  insertSavedSearch(search) {
+    this.statements.insertSavedSearch.run({
+      api_key_id: null,
+      provider: null,
+      template: null,
+      webhook_url: null,
+      webhook_secret: null,
+      last_run_at: null,
+      next_run_at: null,
+      last_request_id: null,
+      ...search,
+      enabled: search.enabled === false ? 0 : 1
+    });
+  }
+
+  updateSavedSearch(id, updates) {
+    const values = { ...updates };
+    if (values.enabled !== undefined) values.enabled = values.enabled ? 1 : 0;
+    this.updateColumns('saved_searches', SAVED_SEARCH_COLUMNS, id, values);
+    return this.getSavedSearch(id);
+  }
+
+  getSavedSearch(id) {
+    return toSavedSearch(this.statements.getSavedSearch.get(id));
+  }
+
+  listSavedSearches({ apiKeyId } = {}) {
+    const rows = apiKeyId === undefined
+      ? this.statements.listSavedSearches.all()
+      : this.statements.listSavedSearchesByKey.all(apiKeyId);
+    return rows.map(toSavedSearch);
+  }
+
+  deleteSavedSearch(id) {
+    return this.statements.deleteSavedSearch.run(id).changes > 0;
+  }
+
+  insertSearchRun(run) {
+    this.statements.insertSearchRun.run({
+      request_id: null,
+      previous_request_id: null,
+      completed_at: null,
+      added_count: null,
+      removed_count: null,
+      changed_count: null,
+      error: null,
+      error_code: null,
+      ...run,
+      diff: run.diff ? JSON.stringify(run.diff) : null
+    });
+  }
+
+  updateSearchRun(id, updates) {
+    const values = { ...updates };
+    if (values.diff !== undefined) values.diff = values.diff ? JSON.stringify(values.diff) : null;
+    this.updateColumns('search_runs', SEARCH_RUN_COLUMNS, id, values);
+    return this.getSearchRun(id);
+  }
+
+  getSearchRun(id) {
+    return toSearchRun(this.statements.getSearchRun.get(id));
+  }
+
+  findSearchRuns({ savedSearchId, limit, offset }) {
+    const { total } = this.statements.countSearchRuns.get(savedSearchId);
+    const runs = this.statements.findSearchRuns.all(savedSearchId, limit, offset).map(toSearchRun);
+    return { total, runs };
+  }
+
+  insertWebhookDelivery(delivery) {
+    this.statements.insertWebhookDelivery.run({
+      run_id: null,
+      attempts: 0,
+      last_status_code: null,
+      last_error: null,
+      last_attempt_at: null,
+      next_attempt_at: null,
+      delivered_at: null,
+      ...delivery,
+      payload: JSON.stringify(delivery.payload)
+    });
+  }
+
+  updateWebhookDelivery(id, updates) {
+    this.updateColumns('webhook_deliveries', DELIVERY_COLUMNS, id, updates);
+    return toDelivery(this.statements.getWebhookDelivery.get(id));
+  }
+
+  findWebhookDeliveries({ savedSearchId, status, dueBefore, limit, offset }) {
+    const conditions = [];
+    const params = {};
+
+    if (savedSearchId) {
+      conditions.push('saved_search_id = @saved_search_id');
+      params.saved_search_id = savedSearchId;
+    }
+    if (status) {
+      conditions.push('status = @status');
+      params.status = status;
+    }
+    if (dueBefore) {
+      conditions.push('next_attempt_at <= @due_before');
+      params.due_before = dueBefore;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`).get(params);
+    const deliveries = this.db
+      .prepare(`SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC, rowid DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset })
+      .map(toDelivery);
+
+    return { total, deliveries };
+  }
+
+  /**
+   * Update the allowed columns of a row by ID
+   * @param {string} table - Table name
+   * @param {Array<string>} allowed - Columns that may be updated
+   * @param {string} id - Row ID
+   * @param {Object} updates - Column values; other keys are ignored
+   */
+  updateColumns(table, allowed, id, updates) {
+    const columns = Object.keys(updates).filter(key => allowed.includes(key));
+    if (columns.length === 0) return;
+
+    const assignments = columns.map(column => `${column} = @${column}`).join(', ');
+    const values = Object.fromEntries(columns.map(column => [column, updates[column]]));
+    this.db.prepare(`UPDATE ${table} SET ${assignments} WHERE id = @id`).run({ ...values, id });
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function toSavedSearch(row) {
+  return row ? { ...row, enabled: row.enabled === 1 } : null;
+}
+
+function toSearchRun(row) {
+  return row ? { ...row, diff: row.diff ? JSON.parse(row.diff) : null } : null;
+}
+
+function toDelivery(row) {
+  return row ? { ...row, payload: JSON.parse(row.payload) } : null;
+}
+
+/**
+ * Flatten an insight value into a queryable text column
+ * @param {*} value - String, array or missing value
+ * @returns {string|null}
+ */
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,273 @@
+// services/webhooks.js
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const logger = require('./logger').child({ component: 'webhooks' });
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+// Addresses webhooks aren't sent to unless their host is allowed: unspecified,
+// loopback, private, shared, link-local (including cloud metadata services),
+// multicast and reserved ranges. IPv4 rules also match IPv4-mapped IPv6.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Thrown for webhook hosts in a blocked range; such deliveries aren't retried
+class BlockedAddressError extends Error {}
+
+/**
+ * Whether an IP address is in a range webhooks aren't sent to
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - false for host names
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Signature of a webhook body: HMAC-SHA256 of "<timestamp>.<body>" with the
+ * saved search's secret, sent as "sha256=<hex>"
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix time in seconds, as sent in X-Insights-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string}
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Whether a failed delivery may succeed if tried again: network errors,
+ * timeouts, rate limits and server errors. Other responses, such as 404 or
+ * 410, fail the delivery at once.
+ * @param {number|null} statusCode - Response status, null if there was no response
+ * @returns {boolean}
+ */
+function isRetryable(statusCode) {
+  return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Sends webhook deliveries queued in the DataStore. Each delivery is POSTed
+ * as JSON with X-Insights-Event, X-Insights-Delivery, X-Insights-Timestamp
+ * and X-Insights-Signature headers; any 2xx response delivers it. Failed
+ * attempts are retried with exponential backoff until maxAttempts, after
+ * which the delivery is marked failed. Every attempt is recorded on the
+ * delivery, which doubles as the delivery log.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dataStore - DataStore holding deliveries and saved searches
+   * @param {number} [options.maxAttempts] - Attempts before a delivery fails
+   * @param {number} [options.retryBaseMs] - Wait before the first retry; doubles with each attempt
+   * @param {number} [options.timeoutMs] - Time allowed for the receiver to respond
+   * @param {Array<string>} [options.allowedHosts] - Hosts that may be local or private, e.g. an internal receiver
+   * @param {Object} [options.client] - HTTP client with axios's post()
+   * @param {Function} [options.lookup] - Resolves a host name like dns.promises.lookup
+   */
+  constructor({
+    dataStore,
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+    retryBaseMs = parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS || 60) * 1000,
+    timeoutMs = parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS || 10) * 1000,
+    allowedHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(','),
+    client = axios,
+    lookup = dns.promises.lookup
+  }) {
+    this.dataStore = dataStore;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.allowedHosts = allowedHosts.map(host => host.trim().toLowerCase()).filter(Boolean);
+    this.client = client;
+    this.lookup = lookup;
+    // Deliveries being sent, so overlapping ticks don't send one twice
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Check that a webhook URL may be used: http or https, and not a local or
+   * private address unless its host is allowed. Host names are checked again
+   * when a delivery resolves them.
+   * @param {string} webhookUrl
+   * @throws {Error}
+   */
+  checkUrl(webhookUrl) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch (error) {
+      throw new Error(`Invalid webhook URL: ${webhookUrl}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('Webhook URLs must use http or https');
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (this.allowedHosts.includes(host)) return;
+    if (host === 'localhost' || host.endsWith('.localhost') || isBlockedAddress(host)) {
+      throw new BlockedAddressError(`Webhooks can't be sent to ${host}, a local or private address`);
+    }
+  }
+
+  /**
+   * Resolve a webhook host for the HTTP client, refusing hosts with any local
+   * or private address so a public name can't point deliveries inside
+   * @param {string} hostname
+   * @param {Object} options - dns.lookup options
+   * @returns {Promise<Array<{address: string, family: number}>>}
+   */
+  async resolveHost(hostname, options) {
+    const addresses = await this.lookup(hostname, { ...options, all: true });
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked && !this.allowedHosts.includes(hostname.toLowerCase())) {
+      throw new BlockedAddressError(`Webhooks can't be sent to ${hostname}, which resolves to the local or private address ${blocked.address}`);
+    }
+    return addresses;
+  }
+
+  /**
+   * Queue an event for a saved search's webhook and try to send it
+   * @param {Object} search - Saved search with webhook_url and webhook_secret
+   * @param {string} event - Event name
+   * @param {Object} payload - JSON payload
+   * @param {Object} [options]
+   * @param {string} [options.runId] - Run that produced the event
+   * @returns {Object} - The queued delivery
+   */
+  enqueue(search, event, payload, { runId = null } = {}) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: crypto.randomBytes(8).toString('hex'),
+      saved_search_id: search.id,
+      run_id: runId,
+      event,
+      url: search.webhook_url,
+      payload,
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      last_status_code: null,
+      last_error: null,
+      created_at: now,
+      last_attempt_at: null,
+      next_attempt_at: now,
+      delivered_at: null
+    };
+
+    this.dataStore.createWebhookDelivery(delivery);
+    this.attempt(delivery, search);
+    return delivery;
+  }
+
+  /**
+   * Send every pending delivery whose next attempt is due
+   * @param {Date} [now]
+   * @returns {Promise<void>}
+   */
+  async deliverDue(now = new Date()) {
+    const { deliveries } = this.dataStore.findWebhookDeliveries({
+      status: DELIVERY_STATUS.PENDING,
+      dueBefore: now.toISOString(),
+      limit: 100
+    });
+
+    await Promise.all(deliveries.map(delivery => {
+      const search = this.dataStore.getSavedSearch(delivery.saved_search_id);
+      return search ? this.attempt(delivery, search) : null;
+    }));
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome. Never rejects.
+   * @param {Object} delivery - Pending delivery
+   * @param {Object} search - Its saved search, for the signing secret
+   * @returns {Promise<Object>} - The updated delivery
+   */
+  async attempt(delivery, search) {
+    if (this.inFlight.has(delivery.id)) return delivery;
+    this.inFlight.add(delivery.id);
+
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let statusCode = null;
+    let error = null;
+    let blocked = false;
+
+    try {
+      this.checkUrl(delivery.url);
+      const response = await this.client.post(delivery.url, body, {
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        // axios only awaits lookups that are async functions
+        lookup: async (hostname, options) => this.resolveHost(hostname, options),
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'github-user-insights-webhooks',
+          'X-Insights-Event': delivery.event,
+          'X-Insights-Delivery': delivery.id,
+          'X-Insights-Timestamp': timestamp,
+          'X-Insights-Signature': sign(search.webhook_secret, timestamp, body)
+        }
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) error = `Receiver responded with status ${statusCode}`;
+    } catch (requestError) {
+      error = requestError.message;
+      // The HTTP client wraps errors thrown by lookup
+      blocked = requestError instanceof BlockedAddressError || requestError.cause instanceof BlockedAddressError;
+    }
+
+    const now = new Date();
+    const updates = {
+      attempts,
+      last_status_code: statusCode,
+      last_error: error,
+      last_attempt_at: now.toISOString()
+    };
+
+    if (!error) {
+      Object.assign(updates, { status: DELIVERY_STATUS.DELIVERED, delivered_at: now.toISOString(), next_attempt_at: null });
+      logger.info('Delivered webhook', { delivery_id: delivery.id, event: delivery.event, url: delivery.url, attempts });
+    } else if (blocked || attempts >= this.maxAttempts || !isRetryable(statusCode)) {
+      Object.assign(updates, { status: DELIVERY_STATUS.FAILED, next_attempt_at: null });
+      logger.error('Webhook delivery failed', { delivery_id: delivery.id, url: delivery.url, attempts, status_code: statusCode, reason: error });
+    } else {
+      const retryAt = new Date(now.getTime() + this.retryBaseMs * 2 ** (attempts - 1));
+      updates.next_attempt_at = retryAt.toISOString();
+      logger.warn('Webhook delivery attempt failed, will retry', { delivery_id: delivery.id, url: delivery.url, attempts, status_code: statusCode, reason: error, retry_at: updates.next_attempt_at });
+    }
+
+    try {
+      return this.dataStore.updateWebhookDelivery(delivery.id, updates) || delivery;
+    } catch (storageError) {
+      logger.error('Could not record webhook attempt', { delivery_id: delivery.id, error: storageError });
+      return delivery;
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+}
+
+WebhookDispatcher.DELIVERY_STATUS = DELIVERY_STATUS;
+WebhookDispatcher.sign = sign;
+WebhookDispatcher.isRetryable = isRetryable;
+WebhookDispatcher.isBlockedAddress = isBlockedAddress;
+
+module.exports = WebhookDispatcher;
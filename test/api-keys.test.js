@@ -0,0 +1,176 @@
+// test/api-keys.test.js
+// Authentication of API keys and their daily request and AI call quotas,
+// against a DataStore backed by an in-memory SQLite database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyManager = require('../services/api-keys');
+const DataStore = require('../services/data-store');
+const { AuthenticationError, ForbiddenError, QuotaExceededError } = require('../services/errors');
+const logger = require('../services/logger');
+
+const ADMIN_KEY = 'admin-key';
+
+let dataDir;
+let dataStore;
+let apiKeys;
+
+beforeAll(() => {
+  jest.spyOn(logger, 'write').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  dataStore = new DataStore({ backend: 'sqlite', file: ':memory:', dataDir });
+  apiKeys = new ApiKeyManager({
+    dataStore,
+    adminKey: ADMIN_KEY,
+    required: true,
+    defaultQuotas: { requests_per_day: null, ai_calls_per_day: null }
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('authenticate', () => {
+  test('returns the record of a valid key, which only stores its hash', () => {
+    const { id, key, prefix } = apiKeys.create({ name: 'ci' });
+
+    const record = apiKeys.authenticate(key);
+
+    expect(record).toMatchObject({ id, name: 'ci', prefix });
+    expect(key.startsWith(prefix)).toBe(true);
+    expect(JSON.stringify(record)).not.toContain(key);
+  });
+
+  test('rejects an unknown key', () => {
+    apiKeys.create({ name: 'ci' });
+
+    expect(() => apiKeys.authenticate('gui_unknown')).toThrow(AuthenticationError);
+    expect(() => apiKeys.authenticate('gui_unknown')).toThrow('Invalid API key');
+  });
+
+  test('rejects a revoked key', () => {
+    const { id, key, prefix } = apiKeys.create({ name: 'ci' });
+    apiKeys.revoke(id);
+
+    expect(() => apiKeys.authenticate(key)).toThrow(AuthenticationError);
+    expect(() => apiKeys.authenticate(key)).toThrow(`API key ${prefix}… was revoked`);
+  });
+
+  test('keeps the first revocation time when a key is revoked again', () => {
+    const { id } = apiKeys.create({ name: 'ci' });
+    const { revoked_at: revokedAt } = apiKeys.revoke(id);
+
+    expect(revokedAt).not.toBeNull();
+    expect(apiKeys.revoke(id).revoked_at).toBe(revokedAt);
+  });
+
+  test('requires a key unless keys are disabled', () => {
+    expect(() => apiKeys.authenticate(null)).toThrow(AuthenticationError);
+    expect(new ApiKeyManager({ dataStore, required: false }).authenticate(null)).toBeNull();
+  });
+
+  test('accepts the admin key without a record', () => {
+    expect(apiKeys.authenticate(ADMIN_KEY)).toBeNull();
+  });
+});
+
+describe('assertAdmin', () => {
+  test('accepts only the admin key', () => {
+    const { key } = apiKeys.create({ name: 'ci' });
+
+    expect(() => apiKeys.assertAdmin(ADMIN_KEY)).not.toThrow();
+    expect(() => apiKeys.assertAdmin(key)).toThrow(AuthenticationError);
+    expect(() => apiKeys.assertAdmin(null)).toThrow(AuthenticationError);
+  });
+
+  test('is forbidden when no admin key is configured', () => {
+    const withoutAdmin = new ApiKeyManager({ dataStore, adminKey: null });
+
+    expect(() => withoutAdmin.assertAdmin(ADMIN_KEY)).toThrow(ForbiddenError);
+  });
+});
+
+describe('request quota', () => {
+  test('counts requests until the quota is used up', () => {
+    const { key } = apiKeys.create({ name: 'ci', requests_per_day: 2 });
+    const record = apiKeys.authenticate(key);
+
+    expect(apiKeys.consumeRequest(record)).toMatchObject({ limit: 2, remaining: 1 });
+    expect(apiKeys.consumeRequest(record)).toMatchObject({ limit: 2, remaining: 0 });
+
+    let error;
+    try {
+      apiKeys.consumeRequest(record);
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error).toMatchObject({ status: 429, code: 'quota_exceeded', message: 'Daily request quota of 2 reached for this API key' });
+    // Seconds until the next UTC midnight
+    expect(error.retryAfter).toBeGreaterThanOrEqual(1);
+    expect(error.retryAfter).toBeLessThanOrEqual(86400);
+  });
+
+  test('does not count rejected requests', () => {
+    const { id, key } = apiKeys.create({ name: 'ci', requests_per_day: 1 });
+    const record = apiKeys.authenticate(key);
+
+    apiKeys.consumeRequest(record);
+    expect(() => apiKeys.consumeRequest(record)).toThrow(QuotaExceededError);
+
+    expect(apiKeys.usage(id).today.requests).toEqual({ used: 1, limit: 1, remaining: 0 });
+  });
+
+  test('never runs out when unlimited', () => {
+    const { key } = apiKeys.create({ name: 'ci' });
+    const record = apiKeys.authenticate(key);
+
+    for (let i = 0; i < 5; i++) {
+      expect(apiKeys.consumeRequest(record)).toMatchObject({ limit: null, remaining: null });
+    }
+  });
+
+  test('uses the default quotas for keys created without them', () => {
+    const withDefaults = new ApiKeyManager({ dataStore, defaultQuotas: { requests_per_day: 100, ai_calls_per_day: 10 } });
+
+    expect(withDefaults.create({ name: 'ci' })).toMatchObject({ requests_per_day: 100, ai_calls_per_day: 10 });
+    expect(withDefaults.create({ name: 'ci', ai_calls_per_day: null })).toMatchObject({ requests_per_day: 100, ai_calls_per_day: null });
+  });
+});
+
+describe('AI call meter', () => {
+  test('allows AI calls until the quota is used up', () => {
+    const { id, key } = apiKeys.create({ name: 'ci', ai_calls_per_day: 1 });
+    const meter = apiKeys.meter(apiKeys.authenticate(key));
+
+    expect(() => meter.assertAvailable()).not.toThrow();
+    meter.consume();
+
+    expect(() => meter.assertAvailable()).toThrow(QuotaExceededError);
+    expect(() => meter.consume()).toThrow('Daily AI call quota of 1 reached for this API key');
+    expect(apiKeys.usage(id).today.ai_calls).toEqual({ used: 1, limit: 1, remaining: 0 });
+  });
+
+  test('is not created for requests without a key', () => {
+    expect(apiKeys.meter(null)).toBeNull();
+  });
+});
+
+describe('readApiKey', () => {
+  const request = headers => ({ get: name => headers[name] });
+
+  test('reads a Bearer token or the X-API-Key header', () => {
+    expect(ApiKeyManager.readApiKey(request({ Authorization: 'Bearer gui_abc' }))).toBe('gui_abc');
+    expect(ApiKeyManager.readApiKey(request({ 'X-API-Key': 'gui_def' }))).toBe('gui_def');
+    expect(ApiKeyManager.readApiKey(request({ Authorization: 'Basic dXNlcg==' }))).toBeNull();
+  });
+});
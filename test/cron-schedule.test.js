@@ -0,0 +1,95 @@
+// test/cron-schedule.test.js
+// Parsing of saved search schedules and the times they next run at. All
+// times are UTC; 1 January 2024 was a Monday.
+const CronSchedule = require('../services/cron-schedule');
+
+const at = iso => new Date(iso);
+
+describe('parsing', () => {
+  test('expands ranges and lists', () => {
+    const schedule = new CronSchedule('0,30 9-11 1,15 * *');
+
+    expect([...schedule.minutes]).toEqual([0, 30]);
+    expect([...schedule.hours]).toEqual([9, 10, 11]);
+    expect([...schedule.days]).toEqual([1, 15]);
+  });
+
+  test('expands steps over *, ranges and a start value', () => {
+    expect([...new CronSchedule('*/15 * * * *').minutes]).toEqual([0, 15, 30, 45]);
+    expect([...new CronSchedule('10-40/10 * * * *').minutes]).toEqual([10, 20, 30, 40]);
+    expect([...new CronSchedule('5/20 * * * *').minutes]).toEqual([5, 25, 45]);
+  });
+
+  test('accepts month and weekday names in any case', () => {
+    const schedule = new CronSchedule('0 6 * JAN,jul Mon-Fri');
+
+    expect([...schedule.months]).toEqual([1, 7]);
+    expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('treats weekday 7 as Sunday', () => {
+    expect([...new CronSchedule('0 0 * * 7').weekdays]).toEqual([0]);
+    expect([...new CronSchedule('0 0 * * 5-7').weekdays].sort()).toEqual([0, 5, 6]);
+  });
+
+  test('accepts nicknames', () => {
+    expect(new CronSchedule('@daily').next(at('2024-01-01T12:00:00Z'))).toEqual(at('2024-01-02T00:00:00Z'));
+    expect(new CronSchedule('@weekly').next(at('2024-01-01T12:00:00Z'))).toEqual(at('2024-01-07T00:00:00Z'));
+  });
+
+  test.each([
+    ['0 * * *', /must have 5 fields/],
+    ['60 * * * *', /Invalid minute "60": must be within 0-59/],
+    ['0 0 0 * *', /Invalid day of month "0"/],
+    ['0 0 * * 8', /Invalid day of week "8"/],
+    ['0 0 * foo *', /Invalid month "foo"/],
+    ['0 17-9 * * *', /Invalid hour "17-9"/],
+    ['*/0 * * * *', /step must be at least 1/]
+  ])('rejects "%s"', (expression, message) => {
+    expect(() => new CronSchedule(expression)).toThrow(message);
+  });
+
+  test('rejects expressions that never match a date', () => {
+    expect(() => new CronSchedule('0 0 30 2 *')).toThrow('Cron expression "0 0 30 2 *" never matches a date');
+    expect(() => new CronSchedule('0 0 31 4,6,9,11 *')).toThrow(/never matches/);
+  });
+});
+
+describe('next', () => {
+  test('returns the first matching minute strictly after the given time', () => {
+    const schedule = new CronSchedule('0 * * * *');
+
+    expect(schedule.next(at('2024-01-01T12:00:00Z'))).toEqual(at('2024-01-01T13:00:00Z'));
+    expect(schedule.next(at('2024-01-01T12:59:59Z'))).toEqual(at('2024-01-01T13:00:00Z'));
+  });
+
+  test('rolls over days, months and years', () => {
+    expect(new CronSchedule('30 23 31 12 *').next(at('2024-01-01T00:00:00Z'))).toEqual(at('2024-12-31T23:30:00Z'));
+    expect(new CronSchedule('0 0 1 * *').next(at('2024-12-31T23:30:00Z'))).toEqual(at('2025-01-01T00:00:00Z'));
+  });
+
+  test('matches only the weekday when the day of month is *', () => {
+    expect(new CronSchedule('0 6 * * mon').next(at('2024-01-01T06:00:00Z'))).toEqual(at('2024-01-08T06:00:00Z'));
+  });
+
+  test('matches only the day of month when the weekday is *', () => {
+    expect(new CronSchedule('0 6 13 * *').next(at('2024-01-01T00:00:00Z'))).toEqual(at('2024-01-13T06:00:00Z'));
+  });
+
+  test('matches either day field when both are restricted', () => {
+    const schedule = new CronSchedule('0 0 13 * fri');
+    const runs = [];
+    let time = at('2024-01-01T00:00:00Z');
+    for (let i = 0; i < 3; i++) {
+      time = schedule.next(time);
+      runs.push(time.toISOString());
+    }
+
+    // Fridays 5 and 12 January, then Saturday the 13th
+    expect(runs).toEqual(['2024-01-05T00:00:00.000Z', '2024-01-12T00:00:00.000Z', '2024-01-13T00:00:00.000Z']);
+  });
+
+  test('finds 29 February in the next leap year', () => {
+    expect(new CronSchedule('0 0 29 2 *').next(at('2024-03-01T00:00:00Z'))).toEqual(at('2028-02-29T00:00:00Z'));
+  });
+});
@@ -0,0 +1,158 @@
+// test/legacy-data.test.js
+// Loads requests.json and results.json as the first release wrote them,
+// where every request stayed pending and results embedded full users, with
+// the JSON backend, the SQLite import script and an SQLite database imported
+// before request statuses were upgraded.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const DataStore = require('../services/data-store');
+const JobManager = require('../services/job-manager');
+const migrate = require('../scripts/migrate-json-to-sqlite');
+const logger = require('../services/logger');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'legacy-data');
+const COMPLETED_ID = '5f0c6e2b9a4d4c1e8b7a6f5e4d3c2b1a';
+const UNFINISHED_ID = '8c1d2e3f4a5b6c7d8e9f0a1b2c3d4e5f';
+
+let dataDir;
+
+beforeAll(() => {
+  jest.spyOn(logger, 'write').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-data-'));
+  ['requests.json', 'results.json'].forEach(file => {
+    fs.copyFileSync(path.join(FIXTURES_DIR, file), path.join(dataDir, file));
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+// Start the service's job manager on the data, as app.js does at startup
+function start(options) {
+  const dataStore = new DataStore({ dataDir, ...options });
+  const jobManager = new JobManager(dataStore, null, null);
+  return { dataStore, jobManager };
+}
+
+describe.each([
+  ['the JSON backend', () => start({ backend: 'json' })],
+  ['a database imported with migrate:sqlite', () => {
+    const file = path.join(dataDir, 'insights.db');
+    migrate({ dataDir, file });
+    return start({ backend: 'sqlite', file });
+  }],
+  ['a database imported before statuses were upgraded', () => {
+    const file = path.join(dataDir, 'insights.db');
+    migrate({ dataDir, file });
+    // Put the database back in the state the import used to leave it in
+    const db = new Database(file);
+    db.prepare("UPDATE requests SET status = 'pending', result_count = NULL").run();
+    db.exec('DROP TABLE results');
+    db.pragma('user_version = 5');
+    db.close();
+    return start({ backend: 'sqlite', file });
+  }]
+])('baseline data on %s', (name, open) => {
+  let dataStore;
+  let jobManager;
+
+  beforeEach(() => {
+    ({ dataStore, jobManager } = open());
+  });
+
+  afterEach(() => {
+    dataStore.close();
+  });
+
+  test('marks requests with stored results as completed', () => {
+    expect(dataStore.getRequest(COMPLETED_ID)).toMatchObject({ status: 'completed', result_count: 2 });
+    expect(dataStore.findRequests({ status: 'completed' }).requests.map(request => request.id)).toEqual([COMPLETED_ID]);
+  });
+
+  test('reports the completed job with its stored result', () => {
+    const job = jobManager.getJob(COMPLETED_ID);
+
+    expect(job).toMatchObject({ status: 'completed', error: null });
+    expect(job.result.results.map(user => user.username)).toEqual(['ferris', 'octo-dev']);
+    expect(job.result.results[0].ai_insights.experience_level).toBe('Senior');
+  });
+
+  test('fails only the request that never finished', () => {
+    expect(dataStore.getRequest(UNFINISHED_ID)).toMatchObject({ status: 'failed', error: 'Interrupted by server restart' });
+    expect(dataStore.getRequest(COMPLETED_ID).error ?? null).toBeNull();
+  });
+
+  test('returns stored results in the same shape on every backend', () => {
+    const result = dataStore.getResult(COMPLETED_ID);
+
+    expect(Object.keys(result).sort()).toEqual(['ai_cache_hits', 'count', 'query', 'request_id', 'results']);
+    expect(result).toMatchObject({ count: 2, ai_cache_hits: 0 });
+  });
+
+  test('stores the cache hits of new results', () => {
+    const requestId = dataStore.logRequest('location:berlin', 1);
+    dataStore.saveResults({
+      request_id: requestId,
+      query: 'location:berlin',
+      count: 1,
+      ai_cache_hits: 1,
+      results: [{ username: 'ferris', raw_data: {}, ai_insights: { cache_hit: true } }]
+    });
+
+    expect(dataStore.getResult(requestId).ai_cache_hits).toBe(1);
+  });
+
+  test('keeps the profile history of stored users', () => {
+    const history = dataStore.getUserHistory('Ferris');
+
+    expect(history.snapshots).toHaveLength(1);
+    expect(history.snapshots[0]).toMatchObject({ request_id: COMPLETED_ID, profile: { location: 'Berlin' } });
+  });
+});
+
+describe('upgrading the files on disk', () => {
+  const read = file => fs.readFileSync(path.join(dataDir, file), 'utf8');
+  const fixture = file => fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+
+  test('leaves the JSON files untouched when importing them into SQLite', () => {
+    migrate({ dataDir, file: path.join(dataDir, 'insights.db') });
+
+    expect(read('requests.json')).toBe(fixture('requests.json'));
+    expect(read('results.json')).toBe(fixture('results.json'));
+    expect(fs.readdirSync(dataDir).sort()).toEqual(['insights.db', 'requests.json', 'results.json']);
+  });
+
+  test('backs up the files the JSON backend rewrites', () => {
+    start({ backend: 'json' }).dataStore.close();
+
+    expect(read('requests.json.bak')).toBe(fixture('requests.json'));
+    expect(read('results.json.bak')).toBe(fixture('results.json'));
+    expect(JSON.parse(read('results.json'))[0].results[0]).toHaveProperty('snapshot_id');
+  });
+
+  test('keeps the old files when a backup fails', () => {
+    const copyFileSync = jest.spyOn(fs, 'copyFileSync').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+
+    try {
+      new DataStore({ dataDir, backend: 'json' }).close();
+    } finally {
+      copyFileSync.mockRestore();
+    }
+
+    expect(read('requests.json')).toBe(fixture('requests.json'));
+    expect(read('results.json')).toBe(fixture('results.json'));
+    expect(fs.existsSync(path.join(dataDir, 'users.json'))).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+// test/scraper-fixtures.test.js
+// Parses the saved GitHub pages under test/fixtures/scraper and compares the
+// result with the .expected.json file next to each page. To add a fixture
+// (e.g. a page saved by the drift detector), drop the HTML in the directory
+// for its page type and run `UPDATE_FIXTURES=1 npm test`, then review the
+// generated .expected.json before committing it.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GitHubScraper = require('../services/scraper');
+const SelectorConfig = require('../services/selector-config');
+const DriftDetector = require('../services/drift-detector');
+const { normalizeUser } = require('../services/profile-normalizer');
+const logger = require('../services/logger');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'scraper');
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+// Fixture directory -> parser for that page type
+const PARSERS = {
+  search: (scraper, html) => scraper.parseSearchPage(html),
+  // Profiles are compared after normalization, as scrapeUserProfile returns them
+  profile: (scraper, html) => normalizeUser(scraper.parseProfilePage(html, scraper.createUserStub('octocat'))),
+  repositories: (scraper, html) => scraper.parseRepositoriesPage(html),
+  contributions: (scraper, html) => scraper.parseContributionCalendar(html)
+};
+
+function listFixtures(kind) {
+  return fs.readdirSync(path.join(FIXTURES_DIR, kind))
+    .filter(file => file.endsWith('.html'))
+    .map(file => file.slice(0, -'.html'.length));
+}
+
+function readFixture(kind, name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, kind, `${name}.html`), 'utf8');
+}
+
+function compareWithExpected(kind, name, actual) {
+  const file = path.join(FIXTURES_DIR, kind, `${name}.expected.json`);
+  if (UPDATE || !fs.existsSync(file)) {
+    fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+    if (!UPDATE) throw new Error(`Wrote missing ${file}; review it and re-run`);
+    return;
+  }
+  expect(actual).toEqual(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+let scraper;
+let captureDir;
+
+beforeAll(() => {
+  // The parser logs its diagnostics; keep test output readable
+  jest.spyOn(logger, 'write').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  captureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-drift-'));
+  scraper = new GitHubScraper({
+    selectorConfig: new SelectorConfig({ watch: false }),
+    driftDetector: new DriftDetector({ captureDir })
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(captureDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each(Object.keys(PARSERS))('%s page fixtures', kind => {
+  test.each(listFixtures(kind))('%s', name => {
+    compareWithExpected(kind, name, PARSERS[kind](scraper, readFixture(kind, name)));
+  });
+});
+
+describe('drift detection', () => {
+  test('flags a search page where no result selector matches and saves its HTML', () => {
+    const html = readFixture('search', 'drifted-layout');
+    const { users, itemSelector, noResults } = scraper.parseSearchPage(html);
+
+    const fields = scraper.driftDetector.checkSearchPage({ url: 'https://github.com/search', html, users, itemSelector, noResults });
+
+    expect(fields).toEqual(['items']);
+    const health = scraper.getHealth();
+    expect(health.status).toBe('degraded');
+    expect(health.search.drift.fields).toEqual(['items']);
+    expect(fs.readFileSync(health.search.drift.capture, 'utf8')).toContain('SearchResults-module__item');
+  });
+
+  test('does not flag a search with no results', () => {
+    const html = readFixture('search', 'no-results');
+    const { users, itemSelector, noResults } = scraper.parseSearchPage(html);
+
+    expect(scraper.driftDetector.checkSearchPage({ url: 'https://github.com/search', html, users, itemSelector, noResults })).toEqual([]);
+    expect(scraper.getHealth().status).toBe('ok');
+  });
+
+  test('flags profile fields missing across recent profiles and clears once they return', () => {
+    const detector = scraper.driftDetector;
+    const drifted = scraper.parseProfilePage('<html><body><h1>octocat</h1></body></html>', scraper.createUserStub('octocat'));
+
+    for (let i = 0; i < detector.minSamples; i++) {
+      detector.checkProfile({ url: 'https://github.com/octocat', html: '<html></html>', user: drifted });
+    }
+    expect(detector.getState().profile.drift.fields).toEqual(['contribution_count', 'followers', 'following']);
+    expect(fs.readdirSync(captureDir)).toHaveLength(1);
+
+    const healthy = scraper.parseProfilePage(readFixture('profile', 'current-layout'), scraper.createUserStub('octocat'));
+    for (let i = 0; i < detector.windowSize; i++) {
+      detector.checkProfile({ url: 'https://github.com/octocat', html: '', user: healthy });
+    }
+    expect(detector.getState().profile.drift).toBeNull();
+    expect(detector.getState().status).toBe('ok');
+  });
+});
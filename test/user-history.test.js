@@ -0,0 +1,87 @@
+// test/user-history.test.js
+// Profile history as seen by an API key: only the snapshots its own searches
+// returned, on both storage backends.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataStore = require('../services/data-store');
+const logger = require('../services/logger');
+
+const KEY_A = { id: 'key-a' };
+const KEY_B = { id: 'key-b' };
+
+let dataDir;
+let dataStore;
+
+beforeAll(() => {
+  jest.spyOn(logger, 'write').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  dataStore.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+// Store a completed search by a key that returned alice with a location
+function search(owner, location) {
+  const requestId = dataStore.logRequest('alice', 1, { apiKeyId: owner.id });
+  dataStore.saveResults({
+    request_id: requestId,
+    query: 'alice',
+    count: 1,
+    results: [{ username: 'alice', location, raw_data: {}, ai_insights: {} }]
+  });
+  dataStore.logResponse(requestId, 1);
+  return requestId;
+}
+
+describe.each([
+  ['json', { backend: 'json' }],
+  ['sqlite', { backend: 'sqlite', file: ':memory:' }]
+])('%s backend', (name, options) => {
+  let searches;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-history-'));
+    dataStore = new DataStore({ dataDir, ...options });
+
+    searches = {
+      a1: search(KEY_A, 'Berlin'),
+      // Unchanged profile: B's search shares A's snapshot
+      b1: search(KEY_B, 'Berlin'),
+      a2: search(KEY_A, 'Hamburg'),
+      b2: search(KEY_B, 'Munich')
+    };
+  });
+
+  test('shows every snapshot without an owner', () => {
+    const history = dataStore.getUserHistory('alice');
+
+    expect(history.snapshots.map(snapshot => snapshot.request_id)).toEqual([searches.a1, searches.a2, searches.b2]);
+  });
+
+  test("shows a key only its own searches' snapshots", () => {
+    const history = dataStore.getUserHistory('alice', KEY_A);
+
+    expect(history.snapshot_count).toBe(2);
+    expect(history.snapshots.map(snapshot => snapshot.request_id)).toEqual([searches.a1, searches.a2]);
+  });
+
+  test("attributes a shared snapshot to the key's own search and diffs the filtered list", () => {
+    const history = dataStore.getUserHistory('alice', KEY_B);
+    const b1 = dataStore.getRequest(searches.b1);
+
+    expect(history.snapshots.map(snapshot => snapshot.request_id)).toEqual([searches.b1, searches.b2]);
+    expect(history.snapshots[0].captured_at).toBe(b1.completed_at);
+    expect(history.first_seen_at).toBe(b1.completed_at);
+    expect(history.snapshots[1].changes).toEqual([{ field: 'location', from: 'Berlin', to: 'Munich' }]);
+  });
+
+  test('is missing for a key whose searches never returned the user', () => {
+    expect(dataStore.getUserHistory('alice', { id: 'key-c' })).toBeNull();
+  });
+});
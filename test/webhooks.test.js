@@ -0,0 +1,286 @@
+// test/webhooks.test.js
+// Webhook signing, the retry and backoff of deliveries, and the diffs of
+// saved search runs that webhooks carry. Deliveries are sent through a stub
+// HTTP client and recorded in an in-memory stand-in for the DataStore.
+const crypto = require('crypto');
+const WebhookDispatcher = require('../services/webhooks');
+const { diffResults } = require('../services/profile-history');
+const logger = require('../services/logger');
+
+const { DELIVERY_STATUS } = WebhookDispatcher;
+
+const SEARCH = { id: 'search-1', webhook_url: 'https://hooks.example.com/insights', webhook_secret: 'secret' };
+
+// The DataStore methods the dispatcher uses, backed by a Map
+function createDataStore() {
+  const deliveries = new Map();
+  return {
+    deliveries,
+    createWebhookDelivery: delivery => deliveries.set(delivery.id, { ...delivery }),
+    updateWebhookDelivery: (id, updates) => {
+      if (!deliveries.has(id)) return null;
+      deliveries.set(id, { ...deliveries.get(id), ...updates });
+      return deliveries.get(id);
+    },
+    findWebhookDeliveries: ({ status, dueBefore }) => {
+      const found = [...deliveries.values()].filter(delivery =>
+        delivery.status === status && delivery.next_attempt_at <= dueBefore);
+      return { total: found.length, deliveries: found };
+    },
+    getSavedSearch: id => (id === SEARCH.id ? SEARCH : null)
+  };
+}
+
+// Answers each post() with the next status in the list, or throws it if it's an Error
+function createClient(...responses) {
+  return {
+    requests: [],
+    async post(url, body, config) {
+      this.requests.push({ url, body, config });
+      const response = responses.shift();
+      if (response instanceof Error) throw response;
+      return { status: response };
+    }
+  };
+}
+
+function createDispatcher(client, options = {}) {
+  return new WebhookDispatcher({
+    dataStore: createDataStore(),
+    client,
+    maxAttempts: 3,
+    retryBaseMs: 1000,
+    lookup: async () => [{ address: '93.184.215.14', family: 4 }],
+    ...options
+  });
+}
+
+// Queue a delivery and wait for its first attempt
+async function enqueue(dispatcher) {
+  const { id } = dispatcher.enqueue(SEARCH, 'saved_search.changed', { changed: true });
+  await new Promise(resolve => setImmediate(resolve));
+  return dispatcher.dataStore.deliveries.get(id);
+}
+
+beforeAll(() => {
+  jest.spyOn(logger, 'write').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sign', () => {
+  test('is the HMAC-SHA256 of "<timestamp>.<body>" as README shows receivers verifying it', () => {
+    const body = JSON.stringify({ event: 'saved_search.changed' });
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+    expect(WebhookDispatcher.sign('secret', '1700000000', body)).toBe(expected);
+    expect(WebhookDispatcher.sign('other', '1700000000', body)).not.toBe(expected);
+    expect(WebhookDispatcher.sign('secret', '1700000001', body)).not.toBe(expected);
+  });
+
+  test('signs the body and timestamp that are sent', async () => {
+    const client = createClient(200);
+    await enqueue(createDispatcher(client));
+
+    const [{ body, config }] = client.requests;
+    const timestamp = config.headers['X-Insights-Timestamp'];
+    expect(config.headers['X-Insights-Signature']).toBe(WebhookDispatcher.sign('secret', timestamp, body));
+    expect(JSON.parse(body)).toEqual({ changed: true });
+  });
+});
+
+describe('isRetryable', () => {
+  test.each([null, 408, 429, 500, 503])('retries %p', statusCode => {
+    expect(WebhookDispatcher.isRetryable(statusCode)).toBe(true);
+  });
+
+  test.each([301, 400, 401, 404, 410])('does not retry %p', statusCode => {
+    expect(WebhookDispatcher.isRetryable(statusCode)).toBe(false);
+  });
+});
+
+describe('delivery attempts', () => {
+  test('delivers on a 2xx response', async () => {
+    const delivery = await enqueue(createDispatcher(createClient(204)));
+
+    expect(delivery).toMatchObject({
+      status: DELIVERY_STATUS.DELIVERED,
+      attempts: 1,
+      last_status_code: 204,
+      last_error: null,
+      next_attempt_at: null
+    });
+    expect(delivery.delivered_at).toBe(delivery.last_attempt_at);
+  });
+
+  test('retries server errors with doubling waits, then fails after maxAttempts', async () => {
+    const client = createClient(500, 503, 502);
+    const dispatcher = createDispatcher(client);
+    let delivery = await enqueue(dispatcher);
+    const waits = [];
+
+    while (delivery.status === DELIVERY_STATUS.PENDING) {
+      waits.push(Date.parse(delivery.next_attempt_at) - Date.parse(delivery.last_attempt_at));
+      delivery = await dispatcher.attempt(delivery, SEARCH);
+    }
+
+    expect(waits).toEqual([1000, 2000]);
+    expect(client.requests).toHaveLength(3);
+    expect(delivery).toMatchObject({
+      status: DELIVERY_STATUS.FAILED,
+      attempts: 3,
+      last_status_code: 502,
+      last_error: 'Receiver responded with status 502',
+      next_attempt_at: null
+    });
+  });
+
+  test('retries network errors and delivers once the receiver answers', async () => {
+    const dispatcher = createDispatcher(createClient(new Error('socket hang up'), 200));
+    let delivery = await enqueue(dispatcher);
+
+    expect(delivery).toMatchObject({ status: DELIVERY_STATUS.PENDING, attempts: 1, last_status_code: null, last_error: 'socket hang up' });
+
+    delivery = await dispatcher.attempt(delivery, SEARCH);
+    expect(delivery).toMatchObject({ status: DELIVERY_STATUS.DELIVERED, attempts: 2, last_status_code: 200, last_error: null });
+  });
+
+  test('fails at once on a response that is not retried', async () => {
+    const delivery = await enqueue(createDispatcher(createClient(410)));
+
+    expect(delivery).toMatchObject({ status: DELIVERY_STATUS.FAILED, attempts: 1, last_status_code: 410 });
+  });
+
+  test('sends due deliveries only', async () => {
+    const client = createClient(500, 200);
+    const dispatcher = createDispatcher(client);
+    const delivery = await enqueue(dispatcher);
+
+    await dispatcher.deliverDue(new Date(Date.parse(delivery.next_attempt_at) - 1));
+    expect(client.requests).toHaveLength(1);
+
+    await dispatcher.deliverDue(new Date(delivery.next_attempt_at));
+    expect(client.requests).toHaveLength(2);
+    expect(dispatcher.dataStore.deliveries.get(delivery.id).status).toBe(DELIVERY_STATUS.DELIVERED);
+  });
+
+  test('does not send a delivery that is already being attempted', async () => {
+    const client = createClient(200);
+    const dispatcher = createDispatcher(client);
+    const { id } = dispatcher.enqueue(SEARCH, 'saved_search.changed', {});
+
+    await dispatcher.attempt(dispatcher.dataStore.deliveries.get(id), SEARCH);
+    expect(client.requests).toHaveLength(1);
+  });
+});
+
+describe('webhook addresses', () => {
+  test.each([
+    'http://localhost:3000/hook',
+    'http://127.0.0.1/hook',
+    'http://2130706433/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://10.1.2.3/hook',
+    'http://192.168.0.10/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:10.0.0.1]/hook'
+  ])('rejects %s', url => {
+    expect(() => createDispatcher(createClient()).checkUrl(url)).toThrow(/local or private address/);
+  });
+
+  test('rejects other schemes and accepts public hosts', () => {
+    const dispatcher = createDispatcher(createClient());
+
+    expect(() => dispatcher.checkUrl('ftp://hooks.example.com/')).toThrow('Webhook URLs must use http or https');
+    expect(() => dispatcher.checkUrl('not a url')).toThrow('Invalid webhook URL: not a url');
+    expect(() => dispatcher.checkUrl('https://hooks.example.com/insights')).not.toThrow();
+    expect(() => dispatcher.checkUrl('http://8.8.8.8/')).not.toThrow();
+  });
+
+  test('accepts local hosts that are allowed', () => {
+    const dispatcher = createDispatcher(createClient(), { allowedHosts: ['LOCALHOST', ' 10.1.2.3 '] });
+
+    expect(() => dispatcher.checkUrl('http://localhost:3000/hook')).not.toThrow();
+    expect(() => dispatcher.checkUrl('http://10.1.2.3/hook')).not.toThrow();
+    expect(() => dispatcher.checkUrl('http://10.1.2.4/hook')).toThrow(/local or private address/);
+  });
+
+  test('refuses host names that resolve to a private address', async () => {
+    const lookup = async () => [{ address: '93.184.215.14', family: 4 }, { address: '10.0.0.5', family: 4 }];
+    const dispatcher = createDispatcher(createClient(), { lookup });
+
+    await expect(dispatcher.resolveHost('hooks.example.com', {})).rejects.toThrow(
+      "Webhooks can't be sent to hooks.example.com, which resolves to the local or private address 10.0.0.5"
+    );
+  });
+
+  test('fails a delivery to a private address without sending it', async () => {
+    const client = createClient(200);
+    const dispatcher = createDispatcher(client);
+    const delivery = { id: 'delivery-1', event: 'saved_search.changed', url: 'http://169.254.169.254/', payload: {}, attempts: 0 };
+    dispatcher.dataStore.createWebhookDelivery(delivery);
+
+    const updated = await dispatcher.attempt(delivery, SEARCH);
+
+    expect(client.requests).toHaveLength(0);
+    expect(updated).toMatchObject({ status: DELIVERY_STATUS.FAILED, attempts: 1, next_attempt_at: null });
+  });
+});
+
+describe('diffResults', () => {
+  const user = (username, fields = {}) => ({
+    username,
+    display_name: username,
+    bio: null,
+    location: 'Berlin',
+    contribution_count: 100,
+    raw_data: { followers: '10', repositories: [{ name: 'tool', stars: 3 }], languages: [{ language: 'Rust' }] },
+    ...fields
+  });
+
+  test('reports users that appeared and dropped out', () => {
+    const diff = diffResults([user('alice'), user('bob')], [user('bob'), user('carol')]);
+
+    expect(diff.added.map(entry => entry.username)).toEqual(['carol']);
+    expect(diff.removed.map(entry => entry.username)).toEqual(['alice']);
+    expect(diff.changed).toEqual([]);
+  });
+
+  test('matches usernames case-insensitively', () => {
+    const diff = diffResults([user('Alice', { display_name: 'Alice' })], [user('alice', { display_name: 'Alice' })]);
+
+    expect(diff).toEqual({ added: [], removed: [], changed: [] });
+  });
+
+  test('reports changed fields, with added and removed list items', () => {
+    const after = user('alice', {
+      location: 'Hamburg',
+      contribution_count: '1,234',
+      raw_data: { followers: '12', repositories: [{ name: 'tool', stars: 5 }, { name: 'lib', stars: 1 }], languages: [{ language: 'Go' }] }
+    });
+
+    const { changed } = diffResults([user('alice')], [after]);
+
+    expect(changed).toEqual([{
+      username: 'alice',
+      changes: [
+        { field: 'location', from: 'Berlin', to: 'Hamburg' },
+        { field: 'contribution_count', from: 100, to: 1234 },
+        { field: 'followers', from: 10, to: 12 },
+        { field: 'repositories', added: ['lib'], removed: [] },
+        { field: 'stars', from: 3, to: 6 },
+        { field: 'languages', added: ['Go'], removed: ['Rust'] }
+      ]
+    }]);
+  });
+
+  test('ignores users whose profile could not be scraped in either result', () => {
+    const failed = user('alice', { location: null, raw_data: { error: 'Profile request failed' } });
+
+    expect(diffResults([user('alice')], [failed]).changed).toEqual([]);
+    expect(diffResults([failed], [user('alice')]).changed).toEqual([]);
+  });
+});